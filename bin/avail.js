@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * avail - availability testing command-line tool
+ *
+ * USAGE:
+ *   avail <command> [arguments] [options]
+ *
+ * Run `avail --help` for the list of commands and `avail <command> --help` for their options.
+ *
+ * EXIT CODES:
+ *   0 - Success
+ *   1 - Failure (missing files, invalid data, unexpected errors)
+ *   2 - Invalid arguments or options
+ */
+
+require('dotenv').config({ quiet: true });
+const commands = require('../lib/commands');
+const { runCommand } = require('../lib/cli');
+const { EXIT_CODES } = require('../lib/errors');
+const { version } = require('../package.json');
+
+function printHelp(stream = console.log) {
+  const width = Math.max(...commands.map(command => command.name.length)) + 2;
+  stream([
+    'Usage: avail <command> [arguments] [options]',
+    '',
+    'Commands:',
+    ...commands.map(command => `  ${command.name.padEnd(width)}${command.summary}`),
+    '',
+    'Run "avail <command> --help" for command options.',
+    '',
+    'Exit codes: 0 success, 1 failure, 2 invalid arguments'
+  ].join('\n'));
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    printHelp();
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (name === '--version' || name === '-v') {
+    console.log(version);
+    return EXIT_CODES.OK;
+  }
+
+  const command = commands.find(c => c.name === name);
+  if (!command) {
+    console.error(`Error: Unknown command "${name}"\n`);
+    printHelp(console.error);
+    return EXIT_CODES.USAGE;
+  }
+
+  return runCommand(command, rest, `avail ${command.name}`);
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
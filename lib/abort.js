@@ -0,0 +1,197 @@
+/**
+ * Abort conditions for chaos runs
+ *
+ * While a plan runs, the error rate is polled from a live metric source and the run is halted
+ * as soon as it exceeds the threshold:
+ *
+ *   abort:
+ *     errorRate: 0.05            # halt when the error rate (0-1) is above this
+ *     pollInterval: 10           # seconds between checks (default 10)
+ *     prometheus:                # instant query returning the error rate
+ *       url: http://prometheus.monitoring:9090
+ *       query: sum(rate(k6_http_req_failed_total[1m])) / sum(rate(k6_http_reqs_total[1m]))
+ *     k6Output: ./results.json   # `k6 run --out json=` or `--out csv=` file being written
+ *     metric: http_req_failed    # k6 rate metric read from k6Output (default http_req_failed)
+ *     window: 30                 # seconds of k6 samples averaged (default 30)
+ *
+ * With both sources the run is halted when either one is above the threshold. A source that
+ * cannot be read is skipped with a warning, one without data yet silently.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { setTimeout: delay } = require('timers/promises');
+const log = require('./logger');
+const { parseRecords } = require('./csv');
+const { parseK6Time } = require('./k6');
+const { queryPrometheus } = require('./prometheus');
+
+// Bytes of k6 output read at a time
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+const ABORT_DEFAULTS = {
+  pollInterval: 10,
+  metric: 'http_req_failed',
+  window: 30
+};
+
+/**
+ * Validate the abort section of a plan
+ * @param {Object} raw - As written in the plan (may be undefined)
+ * @param {string[]} errors - Collects validation errors
+ * @returns {Object|null} Normalised abort conditions, null when none
+ */
+function validateAbort(raw, errors) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('abort: expected an object');
+    return null;
+  }
+  const abort = { ...ABORT_DEFAULTS, ...raw };
+  if (typeof abort.errorRate !== 'number' || !(abort.errorRate >= 0 && abort.errorRate < 1)) {
+    errors.push('abort.errorRate: expected a ratio from 0 to 1 (e.g. 0.05 for 5%)');
+  }
+  ['pollInterval', 'window'].forEach(key => {
+    if (typeof abort[key] !== 'number' || !(abort[key] > 0)) errors.push(`abort.${key}: expected a positive number of seconds`);
+  });
+  if (abort.prometheus !== undefined) {
+    const { url, query } = abort.prometheus || {};
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) errors.push('abort.prometheus.url: expected an http(s) URL');
+    if (typeof query !== 'string' || query.trim() === '') errors.push('abort.prometheus.query: expected a PromQL query');
+  }
+  if (abort.k6Output !== undefined && (typeof abort.k6Output !== 'string' || abort.k6Output === '')) {
+    errors.push('abort.k6Output: expected a file path');
+  }
+  if (abort.prometheus === undefined && abort.k6Output === undefined) {
+    errors.push('abort: one of prometheus or k6Output is required');
+  }
+  return abort;
+}
+
+/**
+ * Follow a k6 JSON or CSV output file as k6 writes it and average a rate metric over the
+ * last `window` seconds
+ */
+function createK6Tail(filePath, metric, window) {
+  const samples = [];
+  let offset = 0;
+  let partial = '';
+  let headers = null;
+  // Keeps the bytes of a character split across two chunks
+  let decoder = new StringDecoder('utf-8');
+
+  const addLine = line => {
+    if (line.trim() === '') return;
+    if (line.trim().startsWith('{')) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+      if (entry.type === 'Point' && entry.metric === metric && entry.data) {
+        samples.push({ time: parseK6Time(entry.data.time), value: Number(entry.data.value) });
+      }
+      return;
+    }
+    const [values] = parseRecords(line);
+    if (!headers) {
+      headers = values;
+      return;
+    }
+    if (values[headers.indexOf('metric_name')] === metric) {
+      samples.push({ time: parseK6Time(values[headers.indexOf('timestamp')]), value: Number(values[headers.indexOf('metric_value')]) });
+    }
+  };
+
+  return {
+    /**
+     * Read what k6 wrote since the last call; returns the mean of the samples in the window
+     * ending at `now`, or null when there are none
+     */
+    errorRate(now) {
+      if (!fs.existsSync(filePath)) return null;
+      const size = fs.statSync(filePath).size;
+      if (size < offset) {
+        // Rewritten by a new k6 run
+        offset = 0;
+        partial = '';
+        headers = null;
+        decoder = new StringDecoder('utf-8');
+        samples.length = 0;
+      }
+      const since = now - window * 1000;
+      if (size > offset) {
+        // In bounded chunks, dropping the samples older than the window as it goes: the file
+        // can hold a whole (long) run by the time it is first read
+        const buffer = Buffer.alloc(Math.min(READ_CHUNK_SIZE, size - offset));
+        const fd = fs.openSync(filePath, 'r');
+        try {
+          while (offset < size) {
+            const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, size - offset), offset);
+            if (bytesRead === 0) break;
+            offset += bytesRead;
+            const lines = (partial + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+            partial = lines.pop();
+            lines.forEach(addLine);
+            while (samples.length > 0 && samples[0].time < since) samples.shift();
+          }
+        } finally {
+          fs.closeSync(fd);
+        }
+      }
+
+      while (samples.length > 0 && samples[0].time < since) samples.shift();
+      const values = samples.filter(sample => Number.isFinite(sample.value)).map(sample => sample.value);
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+  };
+}
+
+/**
+ * Poll the abort conditions until one is breached or the signal aborts
+ * @param {Object} abort - Normalised abort conditions (see validateAbort)
+ * @param {Object} options - { signal, now }
+ * @returns {Promise<string|null>} Why the run must be halted, null when it was not
+ */
+async function monitorAbortConditions(abort, { signal, now = Date.now }) {
+  const sources = [];
+  if (abort.prometheus) {
+    sources.push({ name: 'Prometheus', read: () => queryPrometheus(abort.prometheus) });
+  }
+  if (abort.k6Output) {
+    const tail = createK6Tail(path.resolve(process.cwd(), abort.k6Output), abort.metric, abort.window);
+    sources.push({ name: `k6 ${abort.metric}`, read: async () => tail.errorRate(now()) });
+  }
+
+  log.info(`Abort condition: error rate above ${(abort.errorRate * 100).toFixed(1)}% (${sources.map(source => source.name).join(', ')}, every ${abort.pollInterval}s)`);
+  while (!(signal && signal.aborted)) {
+    for (const source of sources) {
+      let value;
+      try {
+        value = await source.read();
+      } catch (error) {
+        log.warn(`Could not read the error rate from ${source.name}: ${error.message}`);
+        continue;
+      }
+      if (value !== null && value > abort.errorRate) {
+        return `${source.name} error rate ${(value * 100).toFixed(2)}% above ${(abort.errorRate * 100).toFixed(1)}%`;
+      }
+    }
+    try {
+      await delay(abort.pollInterval * 1000, undefined, { signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ABORT_DEFAULTS,
+  validateAbort,
+  queryPrometheus,
+  createK6Tail,
+  monitorAbortConditions
+};
@@ -0,0 +1,1192 @@
+/**
+ * Statistical Analysis for Pod Termination Impact Assessment
+ *
+ * Analyzes the impact of pod terminations on system performance by examining
+ * latency, throughput, and test failures in time series data from K6 load tests.
+ *
+ * USAGE:
+ *   avail analyze <folder-path> [clean-run-path] [options]
+ *   node scripts/statistical-analysis.js <folder-path> [clean-run-path] [options]
+ *
+ * ARGUMENTS:
+ *   folder-path      - Path to folder containing pod-terminations.csv and k6-time-series.csv
+ *   clean-run-path   - (Optional) Path to clean run k6-time-series.csv for Method 0 baseline
+ *
+ * OPTIONS (see --help; also settable via ANALYSIS_* env vars or a --config JSON file):
+ *   --method global|local   Baseline method (default: global)
+ *   --before <seconds>      Window before each termination for the local method (default: 30)
+ *   --after <seconds>       Window after each termination (default: 30)
+ *   --omit <seconds>        Start/end seconds omitted from the global baseline (default: 60)
+ *   --output <file>         Report path (default: <folder-path>/statistical-analysis-report.csv)
+ *   --clean-run <file>      Same as clean-run-path
+ *
+ * EXAMPLE:
+ *   node statistical-analysis.js reports/core-services-run1
+ *   node statistical-analysis.js reports/security-run1 reports/clean-run/k6-time-series.csv
+ *   node statistical-analysis.js reports/security-run1 --method local --before 60 --after 30
+ *
+ * INPUT FILES:
+ *   - pod-terminations.csv: Contains pod termination events (Pod, Termination Time, Status), and
+ *     from the chaos runner Fault Type and End Time (rows without them are pod deletions) and the
+ *     Replacement Pod with its Scheduled, Container Start and Ready Time
+ *   - k6-time-series.csv: Contains performance metrics with columns:
+ *     Time, VUs, Latency, Throughput, [Failures], Check rates (for failure detection)
+ *     Columns are located with a column mapping (see lib/columns.js); a columns.json in the
+ *     folder or --columns <file> overrides the defaults
+ *
+ * OUTPUT:
+ *   - statistical-analysis-report.csv: Generated in the supplied folder with columns:
+ *     Pod, Termination Time, Status, Fault Type, Fault Duration (s), Incident, Concurrent Terminations,
+ *     [Baseline Excludes Impact Of], Attribution Confidence, Samples Before, Samples After,
+ *     Before Latency Mean, After Latency Mean, Latency Change (%), Latency Significance,
+ *     Before Throughput Mean, After Throughput Mean, Throughput Z-Score, Throughput Significance,
+ *     Success Rate, and per metric (Latency/Throughput): Welch t, Welch p, Welch p (adj),
+ *     Mann-Whitney U, Mann-Whitney p, Mann-Whitney p (adj), Cohen's d, Cliff's Delta,
+ *     Diff 95% CI Low/High, Test Result; and recovery columns: Recovery Status, Time To Impact (s),
+ *     Time To Recover (s), [Replacement Pod, Pod Scheduled (s), Containers Started (s), Pod Ready (s)],
+ *     Peak Latency Increase (%), Peak Throughput Drop (%), Peak Check Failure (%),
+ *     Latency Degradation Area (%·s), Throughput Degradation Area (%·s)
+ *   - statistical-analysis-metrics.csv: Long-format report with one row per termination and
+ *     latency/throughput series (metric, percentile, k6 scenario), see lib/metrics.js
+ *   - statistical-analysis-scenarios.csv: Per-scenario summary of the long-format report
+ *   (with --output, both are written next to the report as <name>-metrics.csv/<name>-scenarios.csv)
+ *   - With --markdown/--junit, a Markdown summary and a JUnit XML report with one test case per
+ *     termination, failed when it exceeds the SLO thresholds (see lib/ci-report.js)
+ *   - Downtime (s) and Window Availability (%) of each termination's impact window, from the
+ *     run-wide availability (see RUN AVAILABILITY)
+ *   - With --slo <file>, SLO Result and SLO Breaches columns and a PASS/FAIL verdict of the run
+ *     with its error budget consumption (see lib/slo.js)
+ *
+ * ANALYSIS METHODS:
+ *   The script supports two baseline methods (selected with --method):
+ *
+ *   Method 0: Global Baseline
+ *     - Uses a single baseline from either a clean run or the chaos run (omitting first/last --omit seconds)
+ *     - Compares --after seconds (default 30s) after each termination against this global baseline
+ *     - Limitation: Doesn't account for performance drift over time (e.g., JVM warm-up)
+ *
+ *   Method 1: Local Baseline (RECOMMENDED)
+ *     - Compares --before seconds before each termination with --after seconds after (default 30s/30s)
+ *     - Naturally handles performance drift by using local context
+ *     - Best for detecting real disruptions caused by pod terminations
+ *
+ * SIGNIFICANCE THRESHOLDS (Percentage Change):
+ *   - Highly Significant: > 10%
+ *   - Significant:        > 5%
+ *   - Marginal:           > 2%
+ *   - Not Significant:    ≤ 2%
+ *
+ * HYPOTHESIS TESTS:
+ *   The before (or baseline) and after samples of each termination are also compared with
+ *   two-sample tests, which account for the small number of samples in a window:
+ *   - Welch's t-test (unequal variances) with a confidence interval for the mean difference
+ *   - Mann-Whitney U (exact for small samples without ties, normal approximation otherwise)
+ *   - Effect sizes: Cohen's d and Cliff's delta (signed as after - before)
+ *   p-values are corrected across all terminations in the run (Holm by default, or
+ *   Bonferroni/none) and the selected test (--test, default Mann-Whitney U) decides the
+ *   Test Result at the --alpha significance level (default 0.05).
+ *
+ * OVERLAPPING TERMINATIONS:
+ *   Terminations whose impact spans (--after seconds, or until the end of the fault) overlap are
+ *   grouped into incidents. The local baseline leaves out samples inside another termination's
+ *   impact span, and Attribution Confidence is High, Medium (baseline cleaned) or Low (concurrent
+ *   with other terminations). See lib/overlap.js.
+ *
+ * RECOVERY TIME:
+ *   Each termination is followed for --recovery-horizon seconds (default 180) to find when
+ *   latency, throughput or checks first leave a ±--tolerance% band (default 10%) around the
+ *   baseline and when they return to it for --recovery-stable seconds (default 10). See
+ *   lib/recovery.js. The run-level MTTR is the mean time to recover of impacted terminations.
+ *   When pod-terminations.csv has the replacement pods, the seconds until the replacement was
+ *   scheduled, started and Ready are reported next to the k6-observed time to recover.
+ *
+ * RUN-WIDE K6 RESULTS:
+ *   When the folder has a k6-summary.json (avail import) or a k6-tests.txt console summary,
+ *   every row also carries the run-wide numbers: Run Thresholds Failed, Run Check Success Rate (%),
+ *   Run Checks Failed, Run HTTP Requests, Run HTTP Failed (%), Run HTTP p(95) (ms), Run Iterations.
+ *
+ * RUN AVAILABILITY:
+ *   Every sample of the time series is weighted by throughput x sample interval to give the
+ *   availability of the whole run (also in nines) and its downtime, attributed to the termination
+ *   whose impact window holds it or left unattributed. See lib/availability.js.
+ *
+ * SUCCESS RATE CALCULATION:
+ *   - Calculates average success rate from check rate columns in the after window
+ *   - Check rate columns contain values between 0 and 1 representing success rate
+ *   - Formula: (sum of all check rates / number of check rates) * 100
+ *   - If no check rate data found, assumes 100% success
+ *
+ * PERFORMANCE DRIFT:
+ *   During performance tests, latency often decreases over time due to:
+ *   - Database connection pooling stabilization
+ *   - Cache warming
+ *   This can cause false positives/negatives with global baselines.
+ *   Method 1 (Local Baseline) is recommended to handle this drift naturally.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { readCSV, writeCSV } = require('./csv');
+const { parseTimestamp } = require('./time');
+const { readPodTerminations, loadK6Summary, reportPaths, attachTimestamps, REPORT_FILES, DEFAULT_FAULT_TYPE } = require('./report-folder');
+const { loadColumnMapping, resolveColumns } = require('./columns');
+const { mean, stdDev, compareSamples, adjustPValues } = require('./statistics');
+const { formatNumber, formatPValue } = require('./format');
+const { addRecoveryColumns } = require('./recovery');
+const { analyzeAllSeries } = require('./metrics');
+const { summarizeRun } = require('./k6');
+const { readRunMetadata } = require('./run-info');
+const { DEFAULT_THRESHOLDS, writeCiReports } = require('./ci-report');
+const { detectOverlaps, isExcluded, overlapColumns, ATTRIBUTION_CONFIDENCE } = require('./overlap');
+const { calculateAvailability, addAvailabilityColumns, printAvailability } = require('./availability');
+const { loadSloFile, evaluateSlo, addSloColumns, printSlo } = require('./slo');
+
+// Baseline methods:
+// 0 = Global baseline (clean run or omit first/last period from chaos run)
+// 1 = Local baseline (window before vs window after each termination)
+const METHOD_NAMES = {
+  0: 'Global Baseline',
+  1: 'Local Baseline (Before vs After)'
+};
+
+// Names accepted for the method option in addition to the numeric ids
+const METHOD_ALIASES = {
+  global: 0,
+  local: 1
+};
+
+// Hypothesis tests that can decide the per-termination test result
+const TEST_NAMES = {
+  'mann-whitney': 'Mann-Whitney U',
+  welch: 'Welch t-test'
+};
+
+// Multiple-comparison corrections applied across all terminations of a run
+const CORRECTION_NAMES = {
+  holm: 'Holm',
+  bonferroni: 'Bonferroni',
+  none: 'no'
+};
+
+// Default analysis options
+const DEFAULT_OPTIONS = {
+  method: 0,
+  beforeWindow: 30,
+  afterWindow: 30,
+  omitSeconds: 60,
+  output: null,
+  cleanRun: null,
+  columns: null,
+  alpha: 0.05,
+  correction: 'holm',
+  test: 'mann-whitney',
+  tolerance: 10,
+  recoveryHorizon: 180,
+  recoveryStable: 10,
+  markdown: null,
+  junit: null,
+  slo: null,
+  ...DEFAULT_THRESHOLDS
+};
+
+/**
+ * Unit of the latency column for log output
+ */
+function latencyUnit(columnIndices) {
+  return columnIndices.units ? columnIndices.units.latency : 'ms';
+}
+
+/**
+ * Find the baseline window by omitting first and last time duration (in seconds)
+ * This gives a stable baseline without worrying about pod terminations
+ */
+function findBaselineWindowByTime(timeSeriesData, omitSeconds = 60) {
+  log.info('\n--- Step 1: Finding Baseline Window ---');
+  log.info(`Strategy: Omit first ${omitSeconds}s and last ${omitSeconds}s of data`);
+
+  const totalSamples = timeSeriesData.length;
+  log.info(`Total samples in dataset: ${totalSamples}`);
+
+  if (totalSamples === 0) {
+    throw new AvailError('No samples in dataset');
+  }
+
+  // Get timestamps
+  const firstTimestamp = timeSeriesData[0].timestamp;
+  const lastTimestamp = timeSeriesData[timeSeriesData.length - 1].timestamp;
+
+  log.info(`Data range: ${new Date(firstTimestamp).toISOString()} to ${new Date(lastTimestamp).toISOString()}`);
+
+  // Calculate baseline window by time
+  const omitMillis = omitSeconds * 1000;
+  const baselineStart = firstTimestamp + omitMillis;
+  const baselineEnd = lastTimestamp - omitMillis;
+
+  // Filter samples within the baseline window
+  const baselineSamples = timeSeriesData.filter(row => {
+    const t = row.timestamp;
+    return t >= baselineStart && t <= baselineEnd;
+  });
+
+  if (baselineSamples.length === 0) {
+    throw new AvailError('No samples in baseline window. Dataset may be too short.');
+  }
+
+  log.info(`\nBaseline window:`);
+  log.info(`  Start: ${new Date(baselineStart).toISOString()}`);
+  log.info(`  End: ${new Date(baselineEnd).toISOString()}`);
+  log.info(`  Total baseline samples: ${baselineSamples.length}`);
+  log.info(`\n✓ Baseline window established`);
+
+  return {
+    start: baselineStart,
+    end: baselineEnd,
+    size: baselineSamples.length
+  };
+}
+
+/**
+ * Calculate baseline statistics for latency and throughput
+ */
+function calculateBaselineStats(timeSeriesData, baselineWindow, columnIndices) {
+  log.info('\n--- Step 2: Calculating Baseline Statistics ---');
+
+  const columns = Object.keys(timeSeriesData[0]);
+
+  const baselineData = timeSeriesData.filter(row => {
+    const t = row.timestamp;
+    return t >= baselineWindow.start && t <= baselineWindow.end;
+  });
+
+  log.info(`Extracting metrics from ${baselineData.length} baseline samples...`);
+
+  const latencyValues = [];
+  const throughputValues = [];
+
+  baselineData.forEach(row => {
+    const latency = row[columns[columnIndices.latency]];
+    const throughput = row[columns[columnIndices.throughput]];
+
+    const latencyVal = parseFloat(latency);
+    const throughputVal = parseFloat(throughput);
+
+    if (!isNaN(latencyVal) && latencyVal > 0) {
+      latencyValues.push(latencyVal);
+    }
+    if (!isNaN(throughputVal) && throughputVal > 0) {
+      throughputValues.push(throughputVal);
+    }
+  });
+
+  const stats = {
+    latency: {
+      mean: mean(latencyValues),
+      stdDev: stdDev(latencyValues),
+      values: latencyValues,
+      count: latencyValues.length
+    },
+    throughput: {
+      mean: mean(throughputValues),
+      stdDev: stdDev(throughputValues),
+      values: throughputValues,
+      count: throughputValues.length
+    }
+  };
+
+  log.info(`Latency values: ${latencyValues.length} valid samples`);
+  const unit = latencyUnit(columnIndices);
+  log.info(`  Mean: ${stats.latency.mean.toFixed(4)} ${unit}`);
+  log.info(`  StdDev: ${stats.latency.stdDev.toFixed(4)} ${unit}`);
+  log.info(`  Range: [${Math.min(...latencyValues).toFixed(2)}, ${Math.max(...latencyValues).toFixed(2)}] ${unit}`);
+
+  log.info(`Throughput values: ${throughputValues.length} valid samples`);
+  log.info(`  Mean: ${stats.throughput.mean.toFixed(4)}`);
+  log.info(`  StdDev: ${stats.throughput.stdDev.toFixed(4)}`);
+  log.info(`  Range: [${Math.min(...throughputValues).toFixed(2)}, ${Math.max(...throughputValues).toFixed(2)}]`);
+
+  return stats;
+}
+
+/**
+ * Get metrics after a termination event
+ * Returns samples within the specified time window (in seconds)
+ */
+function getMetricsAfterTermination(timeSeriesData, terminationTime, columnIndices, windowSeconds = 30) {
+  const columns = Object.keys(timeSeriesData[0]);
+
+  // Calculate window end time (terminationTime + windowSeconds)
+  const windowEnd = terminationTime + (windowSeconds * 1000);
+
+  // Get all samples within the time window after termination
+  const afterData = timeSeriesData.filter(row => {
+    const rowTime = row.timestamp;
+    return rowTime > terminationTime && rowTime <= windowEnd;
+  });
+
+  if (afterData.length === 0) {
+    return null;
+  }
+
+  const latencyValues = [];
+  const throughputValues = [];
+
+  afterData.forEach(row => {
+    const latency = row[columns[columnIndices.latency]];
+    const throughput = row[columns[columnIndices.throughput]];
+
+    const latencyVal = parseFloat(latency);
+    const throughputVal = parseFloat(throughput);
+
+    if (!isNaN(latencyVal) && latencyVal > 0) {
+      latencyValues.push(latencyVal);
+    }
+    if (!isNaN(throughputVal) && throughputVal > 0) {
+      throughputValues.push(throughputVal);
+    }
+  });
+
+  // Calculate success rate from check rate columns
+  // Check rate columns contain failure indicators based on PromQL: (-delta(k6_checks_rate[15s])) > 0
+  // These columns (SDK_E2E_STATUS_COMPLETED, TRANSFERS__POST_TRANSFERS_RESPONSE_IS_200, etc.)
+  // only appear when there are check failures
+  // When values appear (> 0), they represent check rates during failure periods
+  // A column mapping with checks type "success-rate" treats the values as success rates instead,
+  // and an error rate column with a ratio or % unit is included as another failure rate
+  const failureRates = [];
+
+  if (columnIndices.checkColumns && columnIndices.checkColumns.length > 0) {
+    // Use the specific check columns found in the data
+    for (const checkColIndex of columnIndices.checkColumns) {
+      for (const row of afterData) {
+        const value = parseFloat(row[columns[checkColIndex]]);
+        if (!isNaN(value) && value >= 0 && value <= 1) {
+          failureRates.push(columnIndices.checkType === 'success-rate' ? 1 - value : value);
+        }
+      }
+    }
+  }
+
+  if (columnIndices.errorRate !== undefined && columnIndices.errorRate !== -1 && columnIndices.errorRateScale) {
+    for (const row of afterData) {
+      const value = parseFloat(row[columns[columnIndices.errorRate]]) / columnIndices.errorRateScale;
+      if (!isNaN(value) && value >= 0 && value <= 1) {
+        failureRates.push(value);
+      }
+    }
+  }
+
+  // If failure rates found, calculate success rate
+  // If no check rate data (empty), assume 100% success (no failures detected)
+  let successRate = 100;
+  if (failureRates.length > 0) {
+    const avgFailureRate = mean(failureRates);
+    // The check rate columns show failure rate, so success = 100 - failure rate
+    successRate = 100 - (avgFailureRate * 100);
+  }
+
+  return {
+    latency: {
+      mean: mean(latencyValues),
+      values: latencyValues,
+      count: latencyValues.length
+    },
+    throughput: {
+      mean: mean(throughputValues),
+      values: throughputValues,
+      count: throughputValues.length
+    },
+    windowSeconds: windowSeconds,
+    successRate: successRate
+  };
+}
+
+/**
+ * Calculate percentage change
+ * Returns the percentage change from baseline to current value
+ */
+function calculatePercentageChange(value, baselineMean) {
+  if (baselineMean === 0) return 0;
+  return ((value - baselineMean) / baselineMean) * 100;
+}
+
+/**
+ * Calculate Z-score
+ * Returns how many standard deviations away from the mean a value is
+ */
+function calculateZScore(value, baselineMean, baselineStdDev) {
+  if (baselineStdDev === 0) return 0;
+  return (value - baselineMean) / baselineStdDev;
+}
+
+/**
+ * Assess significance based on percentage change
+ * Using thresholds:
+ * > 10% = Highly Significant
+ * > 5% = Significant
+ * > 2% = Marginal
+ * <= 2% = Not Significant
+ */
+function assessSignificance(percentageChange) {
+  const absChange = Math.abs(percentageChange);
+  if (absChange > 10.0) {
+    return 'Highly Significant';
+  } else if (absChange > 5.0) {
+    return 'Significant';
+  } else if (absChange > 2.0) {
+    return 'Marginal';
+  } else {
+    return 'Not Significant';
+  }
+}
+
+/**
+ * Assess significance based on Z-score
+ * Using thresholds:
+ * |Z| > 2.58 = Highly Significant (99% confidence, p < 0.01)
+ * |Z| > 1.96 = Significant (95% confidence, p < 0.05)
+ * |Z| > 1.28 = Marginal (90% confidence, p < 0.10)
+ * |Z| <= 1.28 = Not Significant
+ */
+function assessSignificanceByZScore(zScore) {
+  const absZ = Math.abs(zScore);
+  if (absZ > 2.58) {
+    return 'Highly Significant';
+  } else if (absZ > 1.96) {
+    return 'Significant';
+  } else if (absZ > 1.28) {
+    return 'Marginal';
+  } else {
+    return 'Not Significant';
+  }
+}
+
+/**
+ * Get metrics before a termination event (for local baseline)
+ * Returns samples within the specified time window BEFORE termination, leaving out those
+ * inside the excluded spans (the impact of earlier terminations, see lib/overlap.js)
+ */
+function getMetricsBeforeTermination(timeSeriesData, terminationTime, columnIndices, windowSeconds = 60, excludeSpans = []) {
+  const columns = Object.keys(timeSeriesData[0]);
+
+  // Calculate window start time (terminationTime - windowSeconds)
+  const windowStart = terminationTime - (windowSeconds * 1000);
+
+  // Get all samples within the time window before termination
+  const beforeData = timeSeriesData.filter(row => {
+    const rowTime = row.timestamp;
+    return rowTime >= windowStart && rowTime < terminationTime && !isExcluded(rowTime, excludeSpans);
+  });
+
+  if (beforeData.length === 0) {
+    return null;
+  }
+
+  const latencyValues = [];
+  const throughputValues = [];
+
+  beforeData.forEach(row => {
+    const latency = row[columns[columnIndices.latency]];
+    const throughput = row[columns[columnIndices.throughput]];
+
+    const latencyVal = parseFloat(latency);
+    const throughputVal = parseFloat(throughput);
+
+    if (!isNaN(latencyVal) && latencyVal > 0) {
+      latencyValues.push(latencyVal);
+    }
+    if (!isNaN(throughputVal) && throughputVal > 0) {
+      throughputValues.push(throughputVal);
+    }
+  });
+
+  return {
+    latency: {
+      mean: mean(latencyValues),
+      stdDev: stdDev(latencyValues),
+      values: latencyValues,
+      count: latencyValues.length
+    },
+    throughput: {
+      mean: mean(throughputValues),
+      stdDev: stdDev(throughputValues),
+      values: throughputValues,
+      count: throughputValues.length
+    },
+    windowSeconds: windowSeconds
+  };
+}
+
+/**
+ * Attach the before/after samples a result was computed from.
+ * Kept non-enumerable so they are not written as report columns.
+ */
+function attachSamples(row, samples) {
+  Object.defineProperty(row, 'samples', { value: samples, enumerable: false });
+  return row;
+}
+
+/**
+ * Add the run-wide k6 numbers (see summarizeRun in lib/k6.js) to each result
+ */
+function addRunColumns(results, run) {
+  const count = value => (value === null ? 'N/A' : value);
+  const percent = value => formatNumber(value === null ? NaN : value * 100, 2);
+  results.forEach(result => {
+    result['Run Thresholds Failed'] = `${run.thresholdsFailed}/${run.thresholds}`;
+    result['Run Check Success Rate (%)'] = percent(run.checkSuccessRate);
+    result['Run Checks Failed'] = count(run.checkFails);
+    result['Run HTTP Requests'] = count(run.httpRequests);
+    result['Run HTTP Failed (%)'] = percent(run.httpFailedRate);
+    result['Run HTTP p(95) (ms)'] = formatNumber(run.httpP95 === null ? NaN : run.httpP95, 2);
+    result['Run Iterations'] = count(run.iterations);
+  });
+}
+
+/**
+ * Add two-sample hypothesis test columns to each result.
+ * Welch's t-test and Mann-Whitney U are run on the before (or baseline) and after
+ * samples; p-values are corrected across all terminations of the run, and the
+ * selected test decides the result at the given significance level.
+ * @param {Object[]} results - Rows from analyzeWithGlobalBaseline/analyzeWithLocalBaseline
+ * @param {{alpha: number, correction: string, test: string}} options
+ * @returns {{latency: number, throughput: number}} Number of significant results per metric
+ */
+function addHypothesisTestColumns(results, options) {
+  const { alpha, correction, test } = options;
+  const confidence = `${+((1 - alpha) * 100).toFixed(2)}%`;
+  const significantCounts = {};
+
+  log.info(`\n--- Hypothesis Tests (${TEST_NAMES[test]}, ${CORRECTION_NAMES[correction]} correction, alpha=${alpha}) ---`);
+
+  [['latency', 'Latency'], ['throughput', 'Throughput']].forEach(([key, label]) => {
+    const comparisons = results.map(row => (
+      row.samples ? compareSamples(row.samples[key].before, row.samples[key].after, alpha) : null
+    ));
+    const welchAdjusted = adjustPValues(comparisons.map(c => (c ? c.welch.pValue : NaN)), correction);
+    const mannWhitneyAdjusted = adjustPValues(comparisons.map(c => (c ? c.mannWhitney.pValue : NaN)), correction);
+
+    significantCounts[key] = 0;
+    results.forEach((row, idx) => {
+      const c = comparisons[idx];
+      const decidingP = test === 'welch' ? welchAdjusted[idx] : mannWhitneyAdjusted[idx];
+      let testResult = 'N/A';
+      if (Number.isFinite(decidingP)) {
+        testResult = decidingP < alpha ? 'Significant' : 'Not Significant';
+      }
+      if (testResult === 'Significant') {
+        significantCounts[key]++;
+      }
+
+      Object.assign(row, {
+        [`${label} Welch t`]: c ? formatNumber(c.welch.t, 2) : 'N/A',
+        [`${label} Welch p`]: c ? formatPValue(c.welch.pValue) : 'N/A',
+        [`${label} Welch p (adj)`]: formatPValue(welchAdjusted[idx]),
+        [`${label} Mann-Whitney U`]: c ? formatNumber(c.mannWhitney.u, 1) : 'N/A',
+        [`${label} Mann-Whitney p`]: c ? formatPValue(c.mannWhitney.pValue) : 'N/A',
+        [`${label} Mann-Whitney p (adj)`]: formatPValue(mannWhitneyAdjusted[idx]),
+        [`${label} Cohen's d`]: c ? formatNumber(c.cohensD, 2) : 'N/A',
+        [`${label} Cliff's Delta`]: c ? formatNumber(c.cliffsDelta, 2) : 'N/A',
+        [`${label} Diff ${confidence} CI Low`]: c ? formatNumber(c.welch.ciLow) : 'N/A',
+        [`${label} Diff ${confidence} CI High`]: c ? formatNumber(c.welch.ciHigh) : 'N/A',
+        [`${label} Test Result`]: testResult
+      });
+    });
+  });
+
+  results.forEach(row => {
+    if (!row.samples) return;
+    log.info(`${row.Pod}:`);
+    log.info(`  Latency: ${row['Latency Test Result']} (Welch p=${row['Latency Welch p (adj)']}, Mann-Whitney p=${row['Latency Mann-Whitney p (adj)']}, d=${row["Latency Cohen's d"]}, delta=${row["Latency Cliff's Delta"]})`);
+    log.info(`  Throughput: ${row['Throughput Test Result']} (Welch p=${row['Throughput Welch p (adj)']}, Mann-Whitney p=${row['Throughput Mann-Whitney p (adj)']}, d=${row["Throughput Cohen's d"]}, delta=${row["Throughput Cliff's Delta"]})`);
+  });
+
+  return significantCounts;
+}
+
+/**
+ * Fault columns of a report row: the fault type and how long it lasted (0 for pod deletions)
+ */
+function faultColumns(termination) {
+  return {
+    'Fault Type': termination.faultType,
+    'Fault Duration (s)': ((termination.endTimestamp - termination.timestamp) / 1000).toFixed(1)
+  };
+}
+
+/**
+ * Log the incidents with concurrent terminations
+ */
+function logIncidents(overlaps) {
+  const concurrent = overlaps.incidents.filter(incident => incident.pods.length > 1);
+  if (concurrent.length > 0) {
+    log.info(`${concurrent.length} incident(s) with concurrent terminations; their impact is not attributed to a single pod:`);
+    concurrent.forEach(incident => log.info(`  Incident ${incident.id}: ${incident.pods.join(', ')}`));
+    log.info('');
+  }
+}
+
+/**
+ * Log the windows a termination shares with others
+ */
+function logOverlap(overlap) {
+  if (overlap.concurrent.length > 0) {
+    log.info(`  ⚠️  Concurrent with ${overlap.concurrent.join(', ')} (incident ${overlap.incident})`);
+  }
+  if (overlap.contaminatedBy.length > 0) {
+    log.info(`  Before window excludes the impact of ${overlap.contaminatedBy.join(', ')}`);
+  }
+}
+
+// ============================================
+// ANALYSIS METHODS
+// ============================================
+
+/**
+ * Method 0: Global Baseline Analysis
+ * Uses a single baseline (clean run or omit first/last period) for all comparisons
+ */
+function analyzeWithGlobalBaseline(timeSeriesData, podTerminations, columnIndices, baselineStats, windowSeconds = 30) {
+  log.info('\n--- Method 0: Global Baseline Analysis ---');
+  const unit = latencyUnit(columnIndices);
+  log.info(`Baseline: Mean Latency = ${baselineStats.latency.mean.toFixed(4)} ${unit}, StdDev = ${baselineStats.latency.stdDev.toFixed(4)} ${unit}`);
+  log.info(`Baseline: Mean Throughput = ${baselineStats.throughput.mean.toFixed(4)}, StdDev = ${baselineStats.throughput.stdDev.toFixed(4)}`);
+  log.info(`Will analyze ${windowSeconds}s time window after each pod termination\n`);
+  const overlaps = detectOverlaps(podTerminations, { beforeWindow: 0, afterWindow: windowSeconds });
+  logIncidents(overlaps);
+
+  const results = [];
+
+  podTerminations.forEach((termination, index) => {
+    const podName = termination.Pod;
+    const terminationTime = parseTimestamp(termination['Termination Time']);
+    const status = termination.Status;
+    const overlap = overlaps.terminations[index];
+
+    log.info(`[${index + 1}/${podTerminations.length}] Analyzing: ${podName}`);
+    logOverlap(overlap);
+
+    const metricsAfter = getMetricsAfterTermination(timeSeriesData, terminationTime, columnIndices, windowSeconds);
+
+    if (!metricsAfter || metricsAfter.latency.count === 0) {
+      log.info(`  ⚠️  No data found after termination`);
+      results.push({
+        Pod: podName,
+        'Termination Time': termination['Termination Time'],
+        Status: status,
+        ...faultColumns(termination),
+        ...overlapColumns(overlap, false),
+        'Samples After': 0,
+        'Baseline Latency Mean': baselineStats.latency.mean.toFixed(4),
+        'Baseline Latency StdDev': baselineStats.latency.stdDev.toFixed(4),
+        'After Latency Mean': 'N/A',
+        'Latency Change (%)': 'N/A',
+        'Latency Z-Score': 'N/A',
+        'Latency Significance': 'N/A',
+        'Baseline Throughput Mean': baselineStats.throughput.mean.toFixed(4),
+        'Baseline Throughput StdDev': baselineStats.throughput.stdDev.toFixed(4),
+        'After Throughput Mean': 'N/A',
+        'Throughput Z-Score': 'N/A',
+        'Throughput Significance': 'N/A',
+        'Success Rate': 'N/A'
+      });
+      return;
+    }
+
+    const latencyChange = calculatePercentageChange(metricsAfter.latency.mean, baselineStats.latency.mean);
+
+    // Calculate Z-scores using baseline stats
+    const latencyZScore = calculateZScore(metricsAfter.latency.mean, baselineStats.latency.mean, baselineStats.latency.stdDev);
+    const throughputZScore = calculateZScore(metricsAfter.throughput.mean, baselineStats.throughput.mean, baselineStats.throughput.stdDev);
+
+    const latencySignificance = assessSignificance(latencyChange);
+    const throughputSignificance = assessSignificanceByZScore(throughputZScore);
+
+    log.info(`  Latency: ${metricsAfter.latency.mean.toFixed(4)} ${unit} (baseline: ${baselineStats.latency.mean.toFixed(4)} ${unit}) → ${latencyChange > 0 ? '+' : ''}${latencyChange.toFixed(2)}% (Z=${latencyZScore.toFixed(2)}, ${latencySignificance})`);
+    log.info(`  Throughput: ${metricsAfter.throughput.mean.toFixed(4)} (baseline: ${baselineStats.throughput.mean.toFixed(4)}) → Z=${throughputZScore.toFixed(2)}, ${throughputSignificance}`);
+    log.info(`  Success Rate: ${metricsAfter.successRate.toFixed(2)}%`);
+
+    results.push(attachSamples({
+      Pod: podName,
+      'Termination Time': termination['Termination Time'],
+      Status: status,
+      ...faultColumns(termination),
+      ...overlapColumns(overlap, false),
+      'Samples After': metricsAfter.latency.count,
+      'Baseline Latency Mean': baselineStats.latency.mean.toFixed(4),
+      'Baseline Latency StdDev': baselineStats.latency.stdDev.toFixed(4),
+      'After Latency Mean': metricsAfter.latency.mean.toFixed(4),
+      'Latency Change (%)': latencyChange.toFixed(2),
+      'Latency Z-Score': latencyZScore.toFixed(2),
+      'Latency Significance': latencySignificance,
+      'Baseline Throughput Mean': baselineStats.throughput.mean.toFixed(4),
+      'Baseline Throughput StdDev': baselineStats.throughput.stdDev.toFixed(4),
+      'After Throughput Mean': metricsAfter.throughput.mean.toFixed(4),
+      'Throughput Z-Score': throughputZScore.toFixed(2),
+      'Throughput Significance': throughputSignificance,
+      'Success Rate': metricsAfter.successRate.toFixed(2) + '%'
+    }, {
+      latency: { before: baselineStats.latency.values, after: metricsAfter.latency.values },
+      throughput: { before: baselineStats.throughput.values, after: metricsAfter.throughput.values }
+    }));
+  });
+
+  return results;
+}
+
+/**
+ * Method 1: Local Baseline Analysis (Before vs After)
+ * Compares the window before termination with the window after
+ */
+function analyzeWithLocalBaseline(timeSeriesData, podTerminations, columnIndices, beforeWindowSeconds = 60, afterWindowSeconds = 30) {
+  log.info('\n--- Method 1: Local Baseline Analysis (Before vs After) ---');
+  log.info(`Before window: ${beforeWindowSeconds}s, After window: ${afterWindowSeconds}s\n`);
+
+  // Calculate baseline throughput stddev from entire dataset
+  const columns = Object.keys(timeSeriesData[0]);
+  const allThroughputValues = [];
+  timeSeriesData.forEach(row => {
+    const throughput = parseFloat(row[columns[columnIndices.throughput]]);
+    if (!isNaN(throughput) && throughput > 0) {
+      allThroughputValues.push(throughput);
+    }
+  });
+  const baselineThroughputStdDev = stdDev(allThroughputValues);
+  const unit = latencyUnit(columnIndices);
+  log.info(`Baseline throughput stddev (from entire dataset): ${baselineThroughputStdDev.toFixed(4)}\n`);
+  const overlaps = detectOverlaps(podTerminations, { beforeWindow: beforeWindowSeconds, afterWindow: afterWindowSeconds });
+  logIncidents(overlaps);
+
+  const results = [];
+
+  podTerminations.forEach((termination, index) => {
+    const podName = termination.Pod;
+    const terminationTime = parseTimestamp(termination['Termination Time']);
+    const status = termination.Status;
+    const overlap = overlaps.terminations[index];
+
+    log.info(`[${index + 1}/${podTerminations.length}] Analyzing: ${podName}`);
+    logOverlap(overlap);
+
+    const metricsBefore = getMetricsBeforeTermination(timeSeriesData, terminationTime, columnIndices, beforeWindowSeconds, overlap.exclude);
+    const metricsAfter = getMetricsAfterTermination(timeSeriesData, terminationTime, columnIndices, afterWindowSeconds);
+
+    if (!metricsBefore || metricsBefore.latency.count === 0) {
+      log.info(`  ⚠️  No data found before termination`);
+      results.push({
+        Pod: podName,
+        'Termination Time': termination['Termination Time'],
+        Status: status,
+        ...faultColumns(termination),
+        ...overlapColumns(overlap, true),
+        'Samples Before': 0,
+        'Samples After': metricsAfter ? metricsAfter.latency.count : 0,
+        'Before Latency Mean': 'N/A',
+        'Before Latency StdDev': 'N/A',
+        'After Latency Mean': 'N/A',
+        'Latency Change (%)': 'N/A',
+        'Latency Z-Score': 'N/A',
+        'Latency Significance': 'N/A',
+        'Before Throughput Mean': 'N/A',
+        'Baseline Throughput StdDev': baselineThroughputStdDev.toFixed(4),
+        'After Throughput Mean': 'N/A',
+        'Throughput Z-Score': 'N/A',
+        'Throughput Significance': 'N/A',
+        'Success Rate': metricsAfter ? metricsAfter.successRate.toFixed(2) + '%' : 'N/A'
+      });
+      return;
+    }
+
+    if (!metricsAfter || metricsAfter.latency.count === 0) {
+      log.info(`  ⚠️  No data found after termination`);
+      results.push({
+        Pod: podName,
+        'Termination Time': termination['Termination Time'],
+        Status: status,
+        ...faultColumns(termination),
+        ...overlapColumns(overlap, true),
+        'Samples Before': metricsBefore.latency.count,
+        'Samples After': 0,
+        'Before Latency Mean': metricsBefore.latency.mean.toFixed(4),
+        'Before Latency StdDev': metricsBefore.latency.stdDev.toFixed(4),
+        'After Latency Mean': 'N/A',
+        'Latency Change (%)': 'N/A',
+        'Latency Z-Score': 'N/A',
+        'Latency Significance': 'N/A',
+        'Before Throughput Mean': metricsBefore.throughput.mean.toFixed(4),
+        'Baseline Throughput StdDev': baselineThroughputStdDev.toFixed(4),
+        'After Throughput Mean': 'N/A',
+        'Throughput Z-Score': 'N/A',
+        'Throughput Significance': 'N/A',
+        'Success Rate': 'N/A'
+      });
+      return;
+    }
+
+    // Calculate percentage change using local before baseline
+    const latencyChange = calculatePercentageChange(metricsAfter.latency.mean, metricsBefore.latency.mean);
+
+    // Calculate Z-scores
+    // For latency: compare after mean with before mean and stddev (as before)
+    const latencyZScore = calculateZScore(metricsAfter.latency.mean, metricsBefore.latency.mean, metricsBefore.latency.stdDev);
+
+    // For throughput: use baseline stddev from entire dataset
+    const throughputZScore = calculateZScore(metricsAfter.throughput.mean, metricsBefore.throughput.mean, baselineThroughputStdDev);
+
+    const latencySignificance = assessSignificance(latencyChange);
+    const throughputSignificance = assessSignificanceByZScore(throughputZScore);
+
+    log.info(`  Before: Latency=${metricsBefore.latency.mean.toFixed(4)} ${unit} (±${metricsBefore.latency.stdDev.toFixed(4)}), Throughput=${metricsBefore.throughput.mean.toFixed(4)} (±${metricsBefore.throughput.stdDev.toFixed(4)})`);
+    log.info(`  After:  Latency=${metricsAfter.latency.mean.toFixed(4)} ${unit}, Throughput=${metricsAfter.throughput.mean.toFixed(4)}`);
+    log.info(`  Impact: Latency ${latencyChange > 0 ? '+' : ''}${latencyChange.toFixed(2)}% (Z=${latencyZScore.toFixed(2)}, ${latencySignificance}), Throughput Z=${throughputZScore.toFixed(2)} (${throughputSignificance})`);
+    log.info(`  Success Rate: ${metricsAfter.successRate.toFixed(2)}%`);
+
+    results.push(attachSamples({
+      Pod: podName,
+      'Termination Time': termination['Termination Time'],
+      Status: status,
+      ...faultColumns(termination),
+      ...overlapColumns(overlap, true),
+      'Samples Before': metricsBefore.latency.count,
+      'Samples After': metricsAfter.latency.count,
+      'Before Latency Mean': metricsBefore.latency.mean.toFixed(4),
+      'Before Latency StdDev': metricsBefore.latency.stdDev.toFixed(4),
+      'After Latency Mean': metricsAfter.latency.mean.toFixed(4),
+      'Latency Change (%)': latencyChange.toFixed(2),
+      'Latency Z-Score': latencyZScore.toFixed(2),
+      'Latency Significance': latencySignificance,
+      'Before Throughput Mean': metricsBefore.throughput.mean.toFixed(4),
+      'Baseline Throughput StdDev': baselineThroughputStdDev.toFixed(4),
+      'After Throughput Mean': metricsAfter.throughput.mean.toFixed(4),
+      'Throughput Z-Score': throughputZScore.toFixed(2),
+      'Throughput Significance': throughputSignificance,
+      'Success Rate': metricsAfter.successRate.toFixed(2) + '%'
+    }, {
+      latency: { before: metricsBefore.latency.values, after: metricsAfter.latency.values },
+      throughput: { before: metricsBefore.throughput.values, after: metricsAfter.throughput.values }
+    }));
+  });
+
+  return results;
+}
+
+/**
+ * Load a time series file and resolve its metric columns with the column mapping
+ * @returns {{rows: Object[], columnIndices: Object, resolved: Object}}
+ */
+function loadTimeSeries(filePath, mapping, label = 'Using columns') {
+  const { headers, rows } = readCSV(filePath);
+  if (rows.length === 0) {
+    throw new AvailError(`No samples in ${filePath}`);
+  }
+
+  const resolved = resolveColumns(headers, mapping);
+  attachTimestamps(rows, resolved.time);
+
+  if (resolved.latency.length === 0 || resolved.throughput.length === 0) {
+    throw new AvailError(`Could not find Latency or Throughput columns in ${filePath}. Available columns: ${headers.join(', ')}`);
+  }
+  if (resolved.latency.length > 1 || resolved.throughput.length > 1) {
+    log.info(`${resolved.latency.length} latency and ${resolved.throughput.length} throughput series found; the first of each is used for the per-termination report, all of them for the per-metric report`);
+  }
+
+  // Indices are relative to Object.keys(row), which follows the header order
+  const columnIndices = {
+    latency: headers.indexOf(resolved.latency[0]),
+    throughput: headers.indexOf(resolved.throughput[0]),
+    checkColumns: resolved.checks.map(column => headers.indexOf(column)),
+    errorRate: resolved.errorRate.length > 0 ? headers.indexOf(resolved.errorRate[0]) : -1,
+    checkType: resolved.checkType,
+    errorRateScale: resolved.errorRateScale,
+    units: resolved.units
+  };
+
+  log.info(`${label} - Latency: ${headers[columnIndices.latency]} (index ${columnIndices.latency}), Throughput: ${headers[columnIndices.throughput]} (index ${columnIndices.throughput})`);
+  if (columnIndices.errorRate !== -1) {
+    log.info(`Error rate column: ${headers[columnIndices.errorRate]}${resolved.errorRateScale ? '' : ' (not a ratio, excluded from success rate)'}`);
+  }
+  if (resolved.checks.length > 0) {
+    log.info(`Found ${resolved.checks.length} check columns for success rate calculation:`, resolved.checks);
+  }
+
+  return { rows, columnIndices, resolved };
+}
+
+/**
+ * Path for an additional report next to a custom output file (report.csv -> report-metrics.csv),
+ * or the default path when no custom output is set
+ */
+function siblingOutput(output, suffix, defaultPath) {
+  if (!output) {
+    return defaultPath;
+  }
+  const { dir, name, ext } = path.parse(output);
+  return path.join(dir, `${name}${suffix}${ext || '.csv'}`);
+}
+
+/**
+ * Generate statistical analysis report
+ * @param {Object} options - See DEFAULT_OPTIONS; `folderPath` is required
+ * @returns {{output: string, method: number, methodName: string, results: Object[], k6Summary: Object|null, summary: Object, slo: Object|null, ci?: Object}}
+ */
+function generateReport(options) {
+  const {
+    folderPath, method, beforeWindow, afterWindow, omitSeconds, alpha, correction, test,
+    tolerance, recoveryHorizon, recoveryStable
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const cleanRunPath = options.cleanRun; // Optional clean run file path
+
+  const podTerminationsPath = path.join(folderPath, REPORT_FILES.podTerminations);
+  const timeSeriesPath = path.join(folderPath, REPORT_FILES.timeSeries);
+  [podTerminationsPath, timeSeriesPath, cleanRunPath].filter(Boolean).forEach(filePath => {
+    if (!fs.existsSync(filePath)) {
+      throw new AvailError(`File not found: ${filePath}`);
+    }
+  });
+
+  // Load data
+  const slo = options.slo ? loadSloFile(options.slo) : null;
+  const mapping = loadColumnMapping(options.columns, folderPath);
+  const podTerminations = readPodTerminations(podTerminationsPath);
+  const { rows: timeSeriesData, columnIndices, resolved } = loadTimeSeries(timeSeriesPath, mapping);
+  if (resolved.checks.length === 0 && !resolved.errorRateScale) {
+    log.warn(`Warning: No check or error rate columns found in ${timeSeriesPath}; success rate assumes no failures`);
+  }
+
+  log.info(`Loaded ${podTerminations.length} pod terminations`);
+  log.info(`Loaded ${timeSeriesData.length} time series data points`);
+
+  // Run-wide k6 results: k6-summary.json, or parsed from the k6-tests.txt console output
+  const k6Summary = loadK6Summary(reportPaths(folderPath));
+  const run = k6Summary ? summarizeRun(k6Summary) : null;
+  if (run) {
+    log.info(`Loaded k6 summary (${k6Summary.source}): ${run.thresholds} thresholds (${run.thresholdsFailed} failed), ${k6Summary.checks.length} checks`);
+  }
+
+  log.info(`\nAnalysis Method: ${method} - ${METHOD_NAMES[method]}`);
+
+  // Route to appropriate analysis method
+  let results;
+  let globalBaseline = null;
+
+  switch(method) {
+    case 0: {
+      // Method 0: Global Baseline
+      let baselineData;
+      let baselineWindow;
+      let baselineColumnIndices = columnIndices; // Use same indices by default
+      let baselineResolved = resolved;
+
+      if (cleanRunPath) {
+        log.info(`Using clean run file for baseline: ${cleanRunPath}`);
+        // Column indices may differ from the chaos run
+        const cleanRun = loadTimeSeries(cleanRunPath, mapping, 'Baseline columns');
+        baselineData = cleanRun.rows;
+        baselineColumnIndices = cleanRun.columnIndices;
+        baselineResolved = cleanRun.resolved;
+        log.info(`Loaded ${baselineData.length} samples from clean run`);
+        baselineWindow = findBaselineWindowByTime(baselineData, omitSeconds);
+      } else {
+        log.info(`Using chaos run data for baseline (no clean run provided)`);
+        baselineData = timeSeriesData;
+        baselineWindow = findBaselineWindowByTime(timeSeriesData, omitSeconds);
+      }
+
+      globalBaseline = { rows: baselineData, resolved: baselineResolved, window: baselineWindow };
+      const baselineStats = calculateBaselineStats(baselineData, baselineWindow, baselineColumnIndices);
+      results = analyzeWithGlobalBaseline(timeSeriesData, podTerminations, columnIndices, baselineStats, afterWindow);
+      break;
+    }
+
+    case 1: {
+      // Method 1: Local Baseline (before vs after)
+      results = analyzeWithLocalBaseline(timeSeriesData, podTerminations, columnIndices, beforeWindow, afterWindow);
+      break;
+    }
+
+    default:
+      throw new AvailError(`Invalid method (${method}). Valid values are: ${Object.keys(METHOD_NAMES).join(', ')}`);
+  }
+
+  const significantTests = addHypothesisTestColumns(results, { alpha, correction, test });
+  const recovery = addRecoveryColumns(results, timeSeriesData, columnIndices, {
+    tolerance,
+    horizon: recoveryHorizon,
+    stableSeconds: recoveryStable
+  }, podTerminations);
+  const availability = calculateAvailability(timeSeriesData, columnIndices, podTerminations, results, { afterWindow });
+  if (availability) {
+    addAvailabilityColumns(results, availability);
+  }
+  if (run) {
+    addRunColumns(results, run);
+  }
+  const sloEvaluation = slo
+    ? evaluateSlo(slo, { results, timeSeriesData, headers: Object.keys(timeSeriesData[0]), columnIndices, run, availability, horizon: recoveryHorizon })
+    : null;
+  if (sloEvaluation) {
+    addSloColumns(results, sloEvaluation);
+  }
+
+  // Generate CSV output (rows without data have fewer columns, so use the union of all keys)
+  const outputPath = options.output || path.join(folderPath, REPORT_FILES.statisticalReport);
+  const headers = [...new Set(results.flatMap(row => Object.keys(row)))];
+  writeCSV(outputPath, headers, results, { quoteAll: true });
+  log.info(`\nReport generated: ${outputPath}`);
+
+  // Long-format report: every latency/throughput series (percentile, scenario) per termination
+  const perMetric = analyzeAllSeries(timeSeriesData, resolved, podTerminations, {
+    method, beforeWindow, afterWindow, baseline: globalBaseline, alpha, correction, test
+  });
+  const metricsOutputPath = siblingOutput(options.output, '-metrics', path.join(folderPath, REPORT_FILES.metricsReport));
+  const scenariosOutputPath = siblingOutput(options.output, '-scenarios', path.join(folderPath, REPORT_FILES.scenarioSummary));
+  if (perMetric.rows.length > 0) {
+    writeCSV(metricsOutputPath, Object.keys(perMetric.rows[0]), perMetric.rows, { quoteAll: true });
+    writeCSV(scenariosOutputPath, Object.keys(perMetric.scenarios[0]), perMetric.scenarios, { quoteAll: true });
+    log.info(`\nPer-metric report generated: ${metricsOutputPath}`);
+    log.info(`Per-scenario summary generated: ${scenariosOutputPath}`);
+  }
+
+  // Print summary
+  log.info('\n=== Statistical Significance Summary ===\n');
+  results.forEach(result => {
+    log.info(`Pod: ${result.Pod}`);
+    log.info(`  Samples: ${result['Samples Analyzed']}`);
+    log.info(`  Latency: ${result['After Latency Mean']} ${latencyUnit(columnIndices)} (Z=${result['Latency Z-Score']}) - ${result['Latency Significance']}`);
+    log.info(`  Throughput: ${result['After Throughput Mean']} (Z=${result['Throughput Z-Score']}) - ${result['Throughput Significance']}`);
+    log.info('');
+  });
+
+  // Summary statistics
+  const significantLatency = results.filter(r => r['Latency Significance'] === 'Significant' || r['Latency Significance'] === 'Highly Significant').length;
+  const significantThroughput = results.filter(r => r['Throughput Significance'] === 'Significant' || r['Throughput Significance'] === 'Highly Significant').length;
+
+  log.info(`\n=== Overall Summary ===`);
+  log.info(`Total pod terminations: ${results.length}`);
+  const faultTypes = {};
+  podTerminations.forEach(termination => {
+    faultTypes[termination.faultType] = (faultTypes[termination.faultType] || 0) + 1;
+  });
+  if (Object.keys(faultTypes).some(type => type !== DEFAULT_FAULT_TYPE)) {
+    log.info(`Fault types: ${Object.entries(faultTypes).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+  }
+  const incidents = new Set(results.map(r => r.Incident)).size;
+  const attribution = {};
+  Object.values(ATTRIBUTION_CONFIDENCE).forEach(confidence => {
+    attribution[confidence] = results.filter(r => r['Attribution Confidence'] === confidence).length;
+  });
+  if (incidents < results.length || attribution[ATTRIBUTION_CONFIDENCE.MEDIUM] > 0) {
+    log.info(`Incidents: ${incidents}; attribution confidence: ${Object.entries(attribution).map(([confidence, count]) => `${confidence} ${count}`).join(', ')}`);
+  }
+  log.info(`Statistically significant latency impacts: ${significantLatency}`);
+  log.info(`Statistically significant throughput impacts: ${significantThroughput}`);
+  log.info(`Significant latency impacts (${TEST_NAMES[test]}, ${CORRECTION_NAMES[correction]}-adjusted p < ${alpha}): ${significantTests.latency}`);
+  log.info(`Significant throughput impacts (${TEST_NAMES[test]}, ${CORRECTION_NAMES[correction]}-adjusted p < ${alpha}): ${significantTests.throughput}`);
+  log.info(`Terminations with measurable impact: ${recovery.impacted} (recovered: ${recovery.recovered}, not recovered within ${recoveryHorizon}s: ${recovery.notRecovered})`);
+  if (recovery.mttr !== null) {
+    log.info(`Mean time to recover (MTTR): ${recovery.mttr.toFixed(1)}s (max ${recovery.maxTimeToRecover.toFixed(1)}s)`);
+  }
+  if (recovery.kubernetes.replacements > 0) {
+    log.info(`Replacement pods Ready: ${recovery.kubernetes.ready} of ${recovery.kubernetes.replacements}` +
+      (recovery.kubernetes.meanTimeToReady !== null ? `, mean ${recovery.kubernetes.meanTimeToReady.toFixed(1)}s after termination (max ${recovery.kubernetes.maxTimeToReady.toFixed(1)}s)` : ''));
+  }
+
+  if (run) {
+    log.info('\n=== Run-wide k6 Results ===');
+    log.info(`Thresholds: ${run.thresholds - run.thresholdsFailed} passed, ${run.thresholdsFailed} failed`);
+    k6Summary.thresholds.filter(t => !t.ok).forEach(t => {
+      log.info(`  ✗ ${t.metric} '${t.threshold}'${t.value ? ` ${t.value}` : ''}`);
+    });
+    if (run.checkPasses !== null) {
+      log.info(`Checks: ${run.checkPasses} passed, ${run.checkFails} failed (${formatNumber(run.checkSuccessRate * 100, 2)}% success)`);
+    }
+    k6Summary.checks.filter(c => c.fails > 0).forEach(c => {
+      log.info(`  ✗ ${c.name}: ${c.passes !== null ? c.passes : '?'} passed, ${c.fails} failed`);
+    });
+    if (run.httpRequests !== null) {
+      log.info(`HTTP requests: ${run.httpRequests} (${formatNumber(run.httpFailedRate * 100, 2)}% failed, p(95) ${formatNumber(run.httpP95, 2)} ms)`);
+    }
+    if (run.iterations !== null) {
+      log.info(`Iterations: ${run.iterations}`);
+    }
+  }
+  if (availability) {
+    printAvailability(availability);
+  }
+  if (sloEvaluation) {
+    printSlo(sloEvaluation);
+  }
+
+  const report = {
+    output: outputPath,
+    metricsOutput: perMetric.rows.length > 0 ? metricsOutputPath : null,
+    scenariosOutput: perMetric.rows.length > 0 ? scenariosOutputPath : null,
+    method,
+    methodName: METHOD_NAMES[method],
+    results,
+    metrics: perMetric.rows,
+    scenarios: perMetric.scenarios,
+    k6Summary,
+    summary: {
+      run,
+      total: results.length,
+      faultTypes,
+      incidents,
+      attribution,
+      significantLatency,
+      significantThroughput,
+      test,
+      correction,
+      alpha,
+      significantLatencyTests: significantTests.latency,
+      significantThroughputTests: significantTests.throughput,
+      recovery,
+      availability
+    },
+    slo: null
+  };
+  if (sloEvaluation) {
+    // Per termination, the verdict is in the SLO Result and SLO Breaches columns of the results
+    const { cases, ...verdict } = sloEvaluation;
+    report.slo = verdict;
+  }
+
+  if (options.markdown || options.junit) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const metadata = readRunMetadata(folderPath);
+    const thresholds = {};
+    Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+      thresholds[key] = settings[key];
+    });
+    report.ci = writeCiReports(report, {
+      run: metadata ? metadata.name : path.basename(path.resolve(folderPath)),
+      thresholds,
+      slo: sloEvaluation,
+      markdown: options.markdown,
+      junit: options.junit
+    });
+  }
+  return report;
+}
+
+module.exports = {
+  METHOD_NAMES,
+  METHOD_ALIASES,
+  TEST_NAMES,
+  CORRECTION_NAMES,
+  DEFAULT_OPTIONS,
+  findBaselineWindowByTime,
+  calculateBaselineStats,
+  getMetricsAfterTermination,
+  getMetricsBeforeTermination,
+  calculatePercentageChange,
+  calculateZScore,
+  assessSignificance,
+  assessSignificanceByZScore,
+  analyzeWithGlobalBaseline,
+  analyzeWithLocalBaseline,
+  addHypothesisTestColumns,
+  loadTimeSeries,
+  generateReport
+};
@@ -0,0 +1,528 @@
+/**
+ * Grafana annotations for pod terminations
+ *
+ * One annotation is created per termination, org-wide or on a dashboard (and panel). When the
+ * report folder has a statistical-analysis-report.csv its significance and recovery results
+ * are added to the annotation text, and with `region` the annotation spans the measured
+ * impact/recovery window instead of a single point in time.
+ *
+ * Tags are templates: literal text, or `{name}` replaced by a value of the termination or run:
+ *   {run}        Run name (default: the name in run.json, else the report folder name)
+ *   {group} {scenario} {testid}   targetGroup, scenario and testId of run.json
+ *   {pod} {namespace} {status} {fault}
+ *   {<column>}   Any other pod-terminations.csv column, e.g. {Replacement Pod}
+ * Without configured tags those of run.json are used. Tags whose placeholders are empty are left out. Every annotation also gets the run tag
+ * `run:<run>`, which identifies the annotations of a run for syncAnnotations() and
+ * deleteAnnotations(). A sync queries the run's annotations in the time range of its
+ * terminations (plus a minute either side): it creates the missing ones, updates those whose
+ * text, tags or region changed and deletes those without a termination.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { readCSV } = require('./csv');
+const { readPodTerminations, REPORT_FILES, DEFAULT_FAULT_TYPE } = require('./report-folder');
+const { readRunMetadata } = require('./run-info');
+const { loadGrafanaConnection, createGrafanaClient, mapConcurrent } = require('./grafana');
+const { impactWindowEnd } = require('./recovery');
+
+// Defaults, overridable via environment (see loadGrafanaConfig)
+const ANNOTATION_TAG = 'custom-annotation';
+const DEFAULT_PREFIX = 'Pod';
+
+// Prefix of the tag identifying the annotations of a run
+const RUN_TAG_PREFIX = 'run:';
+
+// Most annotations returned by one query
+const QUERY_LIMIT = 10000;
+
+// Margin around the run's time range when querying its annotations
+const QUERY_MARGIN_MS = 60 * 1000;
+
+// Tag placeholders besides the CSV columns
+const TAG_VALUES = {
+  run: (termination, run) => run,
+  group: (termination, run, metadata) => metadata && metadata.targetGroup,
+  scenario: (termination, run, metadata) => metadata && metadata.scenario,
+  testid: (termination, run, metadata) => metadata && metadata.testId,
+  pod: termination => termination.Pod,
+  namespace: termination => termination.Namespace,
+  status: termination => termination.Status,
+  fault: termination => termination.faultType
+};
+
+/**
+ * Parse a comma-separated tag list
+ */
+function parseTags(value) {
+  return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Read Grafana settings from the environment, with command-line overrides: the connection
+ * (see grafana.loadGrafanaConnection) and PREFIX, GRAFANA_DASHBOARD_UID, GRAFANA_PANEL_ID,
+ * ANNOTATION_TAGS (comma-separated) and ANNOTATION_REGION (true/false), all optional
+ * @param {Object} [env]
+ * @param {Object} [overrides] - { dashboardUID, panelId, tags, region, run, report, orgId, timeout, retries, concurrency }
+ */
+function loadGrafanaConfig(env = process.env, overrides = {}) {
+  const pick = (key, envValue) => (overrides[key] !== undefined ? overrides[key] : envValue);
+  const panelId = pick('panelId', env.GRAFANA_PANEL_ID);
+  const config = {
+    ...loadGrafanaConnection(env, overrides),
+    tag: ANNOTATION_TAG,
+    prefix: env.PREFIX || DEFAULT_PREFIX,
+    dashboardUID: pick('dashboardUID', env.GRAFANA_DASHBOARD_UID) || null,
+    panelId: panelId !== undefined && panelId !== '' ? Number(panelId) : null,
+    tags: pick('tags', env.ANNOTATION_TAGS) ? parseTags(pick('tags', env.ANNOTATION_TAGS)) : null,
+    region: String(pick('region', env.ANNOTATION_REGION) || '').toLowerCase() === 'true',
+    run: overrides.run || null,
+    report: overrides.report || null
+  };
+  if (config.panelId !== null && !Number.isInteger(config.panelId)) {
+    throw new AvailError(`Invalid Grafana panel id "${panelId}". Expected an integer`);
+  }
+  if (config.panelId !== null && !config.dashboardUID) {
+    throw new AvailError('A Grafana panel id needs the dashboard UID (GRAFANA_DASHBOARD_UID or --dashboard-uid)');
+  }
+  return config;
+}
+
+/**
+ * Resolve the pod terminations CSV from either a file or a report folder
+ */
+function resolveTerminationsFile(fileOrFolder) {
+  const resolvedPath = path.resolve(process.cwd(), fileOrFolder);
+  if (fs.existsSync(resolvedPath) && fs.statSync(resolvedPath).isDirectory()) {
+    return path.join(resolvedPath, REPORT_FILES.podTerminations);
+  }
+  return resolvedPath;
+}
+
+/**
+ * Read a statistical analysis report keyed by pod and termination time, or null when the file
+ * does not exist
+ * @returns {Map<string, Object>|null}
+ */
+function readAnalysisReport(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const { rows } = readCSV(filePath);
+  return new Map(rows.map(row => [`${row.Pod}|${row['Termination Time']}`, row]));
+}
+
+/**
+ * Expand tag templates for a termination
+ * @param {string[]} templates
+ * @param {Object} termination - Normalised termination (see report-folder.normalizeTerminations)
+ * @param {string} run - Run name
+ * @param {Object} [metadata] - Run metadata (see run-info.readRunMetadata)
+ */
+function annotationTags(templates, termination, run, metadata = null) {
+  const columns = new Map(Object.keys(termination).map(key => [key.toLowerCase(), key]));
+  const value = name => {
+    const key = name.trim();
+    if (TAG_VALUES[key.toLowerCase()]) return TAG_VALUES[key.toLowerCase()](termination, run, metadata);
+    const column = columns.get(key.toLowerCase());
+    return column ? termination[column] : undefined;
+  };
+
+  const tags = [];
+  templates.forEach(template => {
+    let empty = false;
+    const tag = template.replace(/\{([^}]+)\}/g, (match, name) => {
+      const text = String(value(name) || '').trim();
+      if (!text) empty = true;
+      return text;
+    });
+    if (!empty && tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags;
+}
+
+/**
+ * Escape text for the annotation's HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Annotation text: the pod, and the analysis results when a report row is available
+ * @param {string} prefix
+ * @param {Object} termination - Normalised termination
+ * @param {Object} [result] - Matching statistical-analysis-report.csv row
+ */
+function annotationText(prefix, termination, result) {
+  const title = `${prefix} ${termination.Pod}${termination.faultType !== DEFAULT_FAULT_TYPE ? ` (${termination.faultType})` : ''}`;
+  const status = (termination.Status || '').trim();
+  const lines = [];
+  if (status && status !== 'DELETED') {
+    lines.push(`Status: ${status}`);
+  }
+
+  if (result) {
+    const test = key => (result[key] ? `, test: ${result[key]}` : '');
+    if (result['Latency Significance']) {
+      lines.push(`Latency ${result['Latency Change (%)']}% (${result['Latency Significance']}${test('Latency Test Result')})`);
+    }
+    if (result['Throughput Significance']) {
+      lines.push(`Throughput Z ${result['Throughput Z-Score']} (${result['Throughput Significance']}${test('Throughput Test Result')})`);
+    }
+    const recovery = result['Recovery Status'];
+    if (recovery && recovery !== 'N/A') {
+      const after = recovery === 'Recovered' ? ` after ${result['Time To Recover (s)']}s` : '';
+      const impact = result['Time To Impact (s)'] && result['Time To Impact (s)'] !== 'N/A' ? ` (impact after ${result['Time To Impact (s)']}s)` : '';
+      lines.push(`${recovery}${after}${impact}`);
+    }
+    if (result['Pod Ready (s)'] && result['Pod Ready (s)'] !== 'N/A') {
+      lines.push(`Replacement ${result['Replacement Pod']} Ready after ${result['Pod Ready (s)']}s`);
+    }
+  }
+
+  // Grafana renders annotation text as (sanitised) HTML
+  return lines.length > 0
+    ? [`<b>${escapeHtml(title)}</b>`, ...lines.map(escapeHtml)].join('<br>')
+    : title;
+}
+
+/**
+ * Run metadata of the folder holding the terminations file, or null
+ */
+function runMetadata(fileOrFolder) {
+  return readRunMetadata(path.dirname(resolveTerminationsFile(fileOrFolder)));
+}
+
+/**
+ * Run name: the configured one, the one in run.json or the name of the folder holding the
+ * terminations file
+ */
+function runName(fileOrFolder, config, metadata = runMetadata(fileOrFolder)) {
+  return config.run || (metadata && metadata.name) || path.basename(path.dirname(resolveTerminationsFile(fileOrFolder)));
+}
+
+/**
+ * Tag identifying the annotations of a run
+ */
+function runTag(run) {
+  return `${RUN_TAG_PREFIX}${run}`;
+}
+
+/**
+ * Request body of an annotation
+ */
+function annotationPayload(config, annotation) {
+  const payload = {
+    time: annotation.time,
+    tags: annotation.tags,
+    text: annotation.text
+  };
+  if (annotation.timeEnd) payload.timeEnd = annotation.timeEnd;
+  if (config.dashboardUID) payload.dashboardUID = config.dashboardUID;
+  if (config.panelId !== null && config.panelId !== undefined) payload.panelId = config.panelId;
+  return payload;
+}
+
+/**
+ * Create Grafana annotation
+ * @param {Object} config - See loadGrafanaConfig
+ * @param {number} time - Epoch milliseconds
+ * @param {string} text
+ * @param {string[]} tags
+ * @param {number|null} [timeEnd] - End of a region annotation
+ */
+async function createAnnotation(config, time, text, tags, timeEnd = null) {
+  try {
+    const result = await createGrafanaClient(config).createAnnotation(annotationPayload(config, { time, text, tags, timeEnd }));
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Build the annotations of a pod terminations file
+ * @param {string} fileOrFolder - pod-terminations.csv or the report folder containing it
+ * @param {Object} config - See loadGrafanaConfig
+ * @returns {{file: string, run: string, annotations: {pod: string, time: number, timeEnd: number|null, text: string, tags: string[]}[]}}
+ */
+function buildAnnotations(fileOrFolder, config) {
+  const podTerminationsPath = resolveTerminationsFile(fileOrFolder);
+
+  // Check if file exists
+  if (!fs.existsSync(podTerminationsPath)) {
+    throw new AvailError(`File not found: ${podTerminationsPath}`);
+  }
+
+  // Load pod terminations
+  const podTerminations = readPodTerminations(podTerminationsPath);
+  log.info(`Loaded ${podTerminations.length} pod terminations from CSV`);
+
+  const metadata = runMetadata(fileOrFolder);
+  const run = runName(fileOrFolder, config, metadata);
+  const templates = config.tags || (metadata && metadata.tags) || [ANNOTATION_TAG];
+  const reportPath = config.report
+    ? path.resolve(process.cwd(), config.report)
+    : path.join(path.dirname(podTerminationsPath), REPORT_FILES.statisticalReport);
+  const report = readAnalysisReport(reportPath);
+  if (report) {
+    log.info(`Adding analysis results from ${reportPath}`);
+  } else if (config.report) {
+    throw new AvailError(`File not found: ${reportPath}`);
+  }
+  log.info(`Run: ${run}${config.dashboardUID ? ` | dashboard ${config.dashboardUID}${config.panelId !== null ? ` panel ${config.panelId}` : ''}` : ''}${config.region ? ' | regions' : ''}`);
+
+  const annotations = podTerminations.map(termination => {
+    const result = report ? report.get(`${termination.Pod}|${termination['Termination Time']}`) : null;
+    const tags = annotationTags(templates, termination, run, metadata);
+    if (!tags.includes(runTag(run))) tags.push(runTag(run));
+    return {
+      pod: termination.Pod,
+      time: termination.timestamp,
+      timeEnd: config.region ? impactWindowEnd(termination, result) : null,
+      text: annotationText(config.prefix, termination, result),
+      tags
+    };
+  });
+  return { file: podTerminationsPath, run, annotations };
+}
+
+/**
+ * Log the summary of an annotation run
+ */
+function printSummary(counts) {
+  log.info(`\n${'='.repeat(60)}`);
+  log.info(`Summary:`);
+  Object.entries(counts).forEach(([label, count]) => log.info(`  ${label}: ${count}`));
+  log.info(`${'='.repeat(60)}`);
+}
+
+/**
+ * Process pod terminations and create one annotation per termination
+ * @param {string} fileOrFolder - pod-terminations.csv or the report folder containing it
+ * @param {Object} [config] - Grafana settings, defaults to loadGrafanaConfig()
+ * @returns {Promise<{file: string, run: string, total: number, success: number, failed: number, annotations: Object[]}>}
+ */
+async function createAnnotations(fileOrFolder, config = loadGrafanaConfig()) {
+  const { file, run, annotations } = buildAnnotations(fileOrFolder, config);
+  const client = createGrafanaClient(config);
+
+  // Create annotations for each pod termination, `concurrency` at a time
+  const results = await mapConcurrent(annotations, config.concurrency, async (annotation, i) => {
+    const progress = `(${i + 1}/${annotations.length})`;
+    try {
+      await client.createAnnotation(annotationPayload(config, annotation));
+      log.info(`✓ ${progress} Successfully created annotation for ${annotation.pod}${annotation.timeEnd ? ` (${((annotation.timeEnd - annotation.time) / 1000).toFixed(1)}s region)` : ''}`);
+      return { pod: annotation.pod, time: annotation.time, timeEnd: annotation.timeEnd, tags: annotation.tags, success: true };
+    } catch (error) {
+      log.error(`✗ ${progress} Failed to create annotation for ${annotation.pod}: ${error.message}`);
+      return { pod: annotation.pod, time: annotation.time, timeEnd: annotation.timeEnd, tags: annotation.tags, success: false, error: error.message };
+    }
+  });
+  const successCount = results.filter(result => result.success).length;
+  const failureCount = results.length - successCount;
+
+  printSummary({ Total: annotations.length, Success: successCount, Failed: failureCount });
+
+  return {
+    file,
+    run,
+    total: annotations.length,
+    success: successCount,
+    failed: failureCount,
+    annotations: results
+  };
+}
+
+/**
+ * Query the existing annotations of a run, optionally limited to a time range
+ * @param {Object} client - Grafana client (see lib/grafana.js)
+ * @param {Object} config - See loadGrafanaConfig
+ * @param {string} run
+ * @param {{from: number, to: number}} [range]
+ */
+function findRunAnnotations(client, config, run, range) {
+  return client.findAnnotations({
+    tags: runTag(run),
+    type: 'annotation',
+    dashboardUID: config.dashboardUID,
+    panelId: config.panelId,
+    from: range && range.from,
+    to: range && range.to,
+    limit: QUERY_LIMIT
+  });
+}
+
+/**
+ * Whether an existing annotation differs from the wanted one
+ * @returns {string[]} Names of the fields that differ
+ */
+function annotationChanges(existing, wanted) {
+  const changes = [];
+  if ((existing.text || '') !== wanted.text) changes.push('text');
+  if ([...(existing.tags || [])].sort().join('\n') !== [...wanted.tags].sort().join('\n')) changes.push('tags');
+  const existingEnd = existing.timeEnd && existing.timeEnd !== existing.time ? existing.timeEnd : null;
+  if (existingEnd !== (wanted.timeEnd || null)) changes.push('region');
+  return changes;
+}
+
+/**
+ * Plan the changes bringing the annotations of a run in line with the wanted ones. Existing
+ * annotations are matched by time, preferring one whose text names the same pod.
+ * @returns {{create: Object[], update: {id: number, annotation: Object, changes: string[]}[], remove: Object[], unchanged: number}}
+ */
+function planSync(existing, wanted) {
+  const unmatched = [...existing];
+  const plan = { create: [], update: [], remove: [], unchanged: 0 };
+  wanted.forEach(annotation => {
+    const sameTime = unmatched.filter(item => item.time === annotation.time);
+    const match = sameTime.find(item => (item.text || '').includes(annotation.pod)) || sameTime[0];
+    if (!match) {
+      plan.create.push(annotation);
+      return;
+    }
+    unmatched.splice(unmatched.indexOf(match), 1);
+    const changes = annotationChanges(match, annotation);
+    if (changes.length > 0) {
+      plan.update.push({ id: match.id, annotation, changes });
+    } else {
+      plan.unchanged++;
+    }
+  });
+  plan.remove = unmatched;
+  return plan;
+}
+
+/**
+ * Bring the Grafana annotations of a run in line with its pod terminations: create the missing
+ * annotations, update the changed ones and delete those without a termination
+ * @param {string} fileOrFolder - pod-terminations.csv or the report folder containing it
+ * @param {Object} [config] - Grafana settings, defaults to loadGrafanaConfig()
+ * @param {{dryRun?: boolean}} [options] - dryRun only prints the planned changes
+ * @returns {Promise<{file: string, run: string, dryRun: boolean, total: number, created: number, updated: number, deleted: number, unchanged: number, failed: number, changes: Object[]}>}
+ */
+async function syncAnnotations(fileOrFolder, config = loadGrafanaConfig(), options = {}) {
+  const { file, run, annotations } = buildAnnotations(fileOrFolder, config);
+  const times = annotations.flatMap(annotation => [annotation.time, annotation.timeEnd || annotation.time]);
+  const range = times.length > 0
+    ? { from: Math.min(...times) - QUERY_MARGIN_MS, to: Math.max(...times) + QUERY_MARGIN_MS }
+    : undefined;
+
+  const client = createGrafanaClient(config);
+  const existing = await findRunAnnotations(client, config, run, range);
+  const plan = planSync(existing, annotations);
+  log.info(`Found ${existing.length} existing annotations tagged ${runTag(run)}`);
+  log.info(`Planned: ${plan.create.length} to create, ${plan.update.length} to update, ${plan.remove.length} to delete, ${plan.unchanged} unchanged${options.dryRun ? ' (dry run)' : ''}\n`);
+
+  const changes = [
+    ...plan.create.map(annotation => ({ action: 'create', pod: annotation.pod, time: annotation.time, annotation })),
+    ...plan.update.map(({ id, annotation, changes: fields }) => ({ action: 'update', id, pod: annotation.pod, time: annotation.time, fields, annotation })),
+    ...plan.remove.map(item => ({ action: 'delete', id: item.id, pod: null, time: item.time, text: item.text }))
+  ];
+
+  const label = change => (change.action === 'delete'
+    ? `- delete #${change.id} at ${new Date(change.time).toISOString()}: ${change.text}`
+    : `${change.action === 'create' ? '+ create' : `~ update #${change.id} (${change.fields.join(', ')})`}: ${change.pod} at ${new Date(change.time).toISOString()}`);
+  if (options.dryRun) {
+    changes.forEach(change => log.info(`[DRY RUN] ${label(change)}`));
+  } else {
+    await mapConcurrent(changes, config.concurrency, async change => {
+      try {
+        if (change.action === 'create') {
+          await client.createAnnotation(annotationPayload(config, change.annotation));
+        } else if (change.action === 'update') {
+          await client.updateAnnotation(change.id, annotationPayload(config, change.annotation));
+        } else {
+          await client.deleteAnnotation(change.id);
+        }
+        change.success = true;
+        log.info(`✓ ${label(change)}`);
+      } catch (error) {
+        change.success = false;
+        change.error = error.message;
+        log.error(`✗ ${label(change)}: ${error.message}`);
+      }
+    });
+  }
+  const failed = changes.filter(change => change.success === false).length;
+
+  const done = action => (options.dryRun ? 0 : changes.filter(change => change.action === action && change.success).length);
+  printSummary({
+    Total: annotations.length,
+    Created: done('create'),
+    Updated: done('update'),
+    Deleted: done('delete'),
+    Unchanged: plan.unchanged,
+    Failed: failed
+  });
+
+  return {
+    file,
+    run,
+    dryRun: Boolean(options.dryRun),
+    total: annotations.length,
+    created: done('create'),
+    updated: done('update'),
+    deleted: done('delete'),
+    unchanged: plan.unchanged,
+    failed,
+    changes: changes.map(({ annotation, ...change }) => change)
+  };
+}
+
+/**
+ * Delete every annotation of a run
+ * @param {string} run - Run name (see runName)
+ * @param {Object} [config] - Grafana settings, defaults to loadGrafanaConfig()
+ * @param {{dryRun?: boolean}} [options] - dryRun only prints the annotations that would be deleted
+ * @returns {Promise<{run: string, dryRun: boolean, total: number, deleted: number, failed: number, annotations: Object[]}>}
+ */
+async function deleteAnnotations(run, config = loadGrafanaConfig(), options = {}) {
+  const client = createGrafanaClient(config);
+  const existing = await findRunAnnotations(client, config, run);
+  log.info(`Found ${existing.length} annotations tagged ${runTag(run)}${options.dryRun ? ' (dry run)' : ''}\n`);
+
+  const label = item => `- delete #${item.id} at ${new Date(item.time).toISOString()}: ${item.text}`;
+  let annotations;
+  if (options.dryRun) {
+    existing.forEach(item => log.info(`[DRY RUN] ${label(item)}`));
+    annotations = existing.map(item => ({ id: item.id, time: item.time }));
+  } else {
+    annotations = await mapConcurrent(existing, config.concurrency, async item => {
+      try {
+        await client.deleteAnnotation(item.id);
+        log.info(`✓ ${label(item)}`);
+        return { id: item.id, time: item.time, success: true };
+      } catch (error) {
+        log.error(`✗ ${label(item)}: ${error.message}`);
+        return { id: item.id, time: item.time, success: false, error: error.message };
+      }
+    });
+  }
+  const deleted = annotations.filter(item => item.success === true).length;
+  const failed = annotations.filter(item => item.success === false).length;
+
+  printSummary({ Total: existing.length, Deleted: deleted, Failed: failed });
+  return { run, dryRun: Boolean(options.dryRun), total: existing.length, deleted, failed, annotations };
+}
+
+module.exports = {
+  ANNOTATION_TAG,
+  RUN_TAG_PREFIX,
+  loadGrafanaConfig,
+  resolveTerminationsFile,
+  readAnalysisReport,
+  annotationTags,
+  annotationText,
+  runName,
+  runTag,
+  buildAnnotations,
+  createAnnotation,
+  createAnnotations,
+  planSync,
+  syncAnnotations,
+  deleteAnnotations
+};
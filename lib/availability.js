@@ -0,0 +1,148 @@
+/**
+ * Run-wide availability of a chaos run
+ *
+ * The per-termination Success Rate only covers the window after each termination. Here every
+ * sample of the time series counts, weighted by the traffic it carried:
+ *   - failure rate of a sample: the highest of its check failure rates and its error rate (see
+ *     recovery.sampleFailureRate)
+ *   - weight of a sample: throughput x sample interval, i.e. the requests/iterations it covers
+ *     (samples without a throughput value get the mean throughput of the run)
+ *   - availability: 1 - sum(failure rate x weight) / sum(weight), also given in "nines"
+ *     (-log10 of the unavailability: 99.9% is 3 nines)
+ *   - downtime: sum(failure rate x sample interval), the seconds of full outage the failures
+ *     are worth
+ *
+ * Downtime is attributed to the termination whose impact window (see recovery.impactWindowEnd,
+ * at least the --after window) holds the sample, the latest one when windows overlap. Downtime
+ * outside every window is unattributed: failures the terminations do not explain.
+ */
+
+const log = require('./logger');
+const { mean } = require('./statistics');
+const { sampleFailureRate, sampleIntervalSeconds, impactWindowEnd } = require('./recovery');
+const { formatNumber } = require('./format');
+
+/**
+ * Availability as a number of nines, or null when nothing failed
+ */
+function nines(availability) {
+  return availability < 1 ? -Math.log10(1 - availability) : null;
+}
+
+/**
+ * Calculate the availability of a run and the downtime of each termination
+ * @param {Object[]} timeSeriesData - Time series rows
+ * @param {Object} columnIndices - See analysis.loadTimeSeries
+ * @param {Object[]} terminations - Pod terminations, in the order of the results
+ * @param {Object[]} results - Report rows with the recovery columns, one per termination
+ * @param {{afterWindow: number}} options - Shortest window attributed to a termination, in seconds
+ * @returns {Object|null} Null when the time series has no check or error rate columns
+ */
+function calculateAvailability(timeSeriesData, columnIndices, terminations, results, options) {
+  const columns = Object.keys(timeSeriesData[0]);
+  const failureRates = timeSeriesData.map(row => sampleFailureRate(row, columns, columnIndices));
+  if (failureRates.every(rate => rate === null)) {
+    return null;
+  }
+
+  const throughputs = timeSeriesData.map(row => parseFloat(row[columns[columnIndices.throughput]]));
+  const meanThroughput = mean(throughputs.filter(value => value > 0));
+  const interval = sampleIntervalSeconds(timeSeriesData.map(row => ({ time: row.timestamp })));
+
+  const windows = terminations.map((termination, idx) => ({
+    pod: termination.Pod,
+    time: termination['Termination Time'],
+    start: termination.timestamp,
+    end: Math.max(impactWindowEnd(termination, results[idx]) || 0, termination.timestamp + options.afterWindow * 1000),
+    downtime: 0,
+    failed: 0,
+    total: 0
+  }));
+
+  let total = 0;
+  let failed = 0;
+  let downtime = 0;
+  let unattributed = 0;
+  let measured = 0;
+  timeSeriesData.forEach((row, idx) => {
+    const rate = failureRates[idx];
+    if (rate === null) return;
+    measured++;
+    const weight = (throughputs[idx] >= 0 ? throughputs[idx] : meanThroughput) * interval;
+    const window = windows
+      .filter(w => row.timestamp > w.start && row.timestamp <= w.end)
+      .reduce((latest, w) => (!latest || w.start > latest.start ? w : latest), null);
+
+    total += weight;
+    failed += rate * weight;
+    downtime += rate * interval;
+    if (window) {
+      window.total += weight;
+      window.failed += rate * weight;
+      window.downtime += rate * interval;
+    } else {
+      unattributed += rate * interval;
+    }
+  });
+
+  const availability = total > 0 ? 1 - failed / total : 1;
+  return {
+    samples: measured,
+    interval,
+    duration: measured * interval,
+    total,
+    failed,
+    availability,
+    nines: nines(availability),
+    downtime,
+    attributedDowntime: downtime - unattributed,
+    unattributedDowntime: unattributed,
+    terminations: windows.map(w => ({
+      pod: w.pod,
+      time: w.time,
+      start: w.start,
+      end: w.end,
+      downtime: w.downtime,
+      failed: w.failed,
+      availability: w.total > 0 ? 1 - w.failed / w.total : null
+    }))
+  };
+}
+
+/**
+ * Add the Downtime (s) and Window Availability (%) columns to the report rows
+ */
+function addAvailabilityColumns(results, availability) {
+  results.forEach((row, idx) => {
+    const window = availability.terminations[idx];
+    row['Downtime (s)'] = window.downtime.toFixed(2);
+    row['Window Availability (%)'] = formatNumber(window.availability === null ? NaN : window.availability * 100, 3);
+  });
+}
+
+/**
+ * Format an availability, e.g. "99.954% (3.34 nines)"
+ */
+function describeAvailability(availability) {
+  const nine = availability.nines === null ? 'no failures' : `${formatNumber(availability.nines, 2)} nines`;
+  return `${formatNumber(availability.availability * 100, 3)}% (${nine})`;
+}
+
+/**
+ * Print the availability of the run
+ */
+function printAvailability(availability) {
+  log.info('\n=== Run Availability ===');
+  log.info(`Availability: ${describeAvailability(availability)} over ${formatNumber(availability.duration, 0)}s, ${formatNumber(availability.failed, 1)} of ${formatNumber(availability.total, 1)} requests failed (throughput-weighted)`);
+  log.info(`Downtime: ${formatNumber(availability.downtime, 2)}s (attributed to terminations: ${formatNumber(availability.attributedDowntime, 2)}s, unattributed: ${formatNumber(availability.unattributedDowntime, 2)}s)`);
+  availability.terminations.filter(t => t.downtime > 0).forEach(t => {
+    log.info(`  ${t.pod}: ${formatNumber(t.downtime, 2)}s`);
+  });
+}
+
+module.exports = {
+  calculateAvailability,
+  addAvailabilityColumns,
+  describeAvailability,
+  printAvailability
+};
@@ -0,0 +1,598 @@
+/**
+ * Chaos runner: terminates pods according to a declarative plan
+ *
+ * A plan (YAML or JSON) lists targets; each kill picks a pod of a target and deletes it through
+ * the Kubernetes API (see lib/kube.js). Terminations are written to pod-terminations.csv in the
+ * format the merge and analysis steps read (Pod,Termination Time,Status with epoch milliseconds).
+ *
+ *   name: istio
+ *   interval: 180            # seconds between kills (default 120)
+ *   jitter: 15               # each wait is interval ± up to jitter seconds (default 0)
+ *   order: sequential        # sequential | random (shuffled targets) | parallel (own timelines)
+ *   settle: 180              # seconds to keep running after the last kill (default 0)
+ *   dryRun: false
+ *   gracePeriodSeconds: 0    # omit to use the pod's own grace period
+ *   namespace: istio-system  # where `avail manifest` runs the pod killer Job (default: first target's)
+ *   recoveryTimeout: 300     # seconds to follow a replacement pod until Ready, 0 to not follow (default 300)
+ *   guards:                  # checked before each kill, see lib/guards.js (per target too)
+ *     minReadyReplicas: 2
+ *     respectPdb: true
+ *     noCrashLoop: true
+ *   abort:                   # halts the run when the error rate is too high, see lib/abort.js
+ *     errorRate: 0.05
+ *     k6Output: ./results.json
+ *   targets:
+ *     - name: external-gateway
+ *       namespace: istio-ingress-ext
+ *       pattern: ^istio-external-ingress-gw-     # regex on the pod name
+ *       exclude: ^istio-external-ingress-gw-canary-
+ *     - namespace: mojaloop
+ *       selector: app.kubernetes.io/name=quoting-service   # label selector
+ *       pick: first          # random (default) | first
+ *       count: 2             # kills of this target (default 1)
+ *     - namespace: moja-kafka
+ *       pods: [kafka-0, kafka-1]                  # fixed pod names, one per kill
+ *       offset: 90           # parallel order: first kill, seconds after start
+ *       interval: 300        # parallel order: seconds between kills of this target
+ *     - namespace: mojaloop
+ *       selector: app.kubernetes.io/name=central-ledger
+ *       fault: scale         # delete (default) | scale | cordon | drain | isolate, see lib/faults.js
+ *       duration: 60         # seconds until a scale/cordon/drain/isolate fault is undone (default 60)
+ *       gracePeriodSeconds: 30                    # per target, overrides the plan's
+ *
+ * `fault` and `duration` can also be set for the whole plan. Only running pods that are not
+ * already terminating are picked unless `runningOnly: false`. For deleted and drained pods the
+ * replacement created by their controller is recorded with its Scheduled, Container Start and
+ * Ready times (see lib/replacement.js). Kills skipped by a guard or without a matching pod are
+ * recorded as SKIPPED, kills left out by an abort or interruption as ABORTED, with a Reason.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const YAML = require('yaml');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { writeCSV } = require('./csv');
+const { TERMINATION_HEADERS, NAMESPACE_HEADER, FAULT_HEADERS, REPLACEMENT_HEADERS, REASON_HEADER } = require('./report-folder');
+const { FAULTS, FAULT_TYPES } = require('./faults');
+const { podController, watchReplacement } = require('./replacement');
+const { GUARD_DEFAULTS, validateGuards, hasGuards, checkGuards } = require('./guards');
+const { validateAbort, monitorAbortConditions } = require('./abort');
+
+const ORDERS = ['sequential', 'random', 'parallel'];
+const PICK_MODES = ['random', 'first'];
+
+const PLAN_DEFAULTS = {
+  interval: 120,
+  jitter: 0,
+  order: 'sequential',
+  settle: 0,
+  dryRun: false,
+  gracePeriodSeconds: null,
+  fault: 'delete',
+  duration: 60,
+  recoveryTimeout: 300
+};
+
+// Status column values; the first three as written by the bash pod killers
+const TERMINATION_STATUS = {
+  deleted: 'DELETED',
+  dryRun: 'DRY_RUN',
+  error: 'DELETE_ERROR',
+  restored: 'RESTORED',
+  faultError: 'FAULT_ERROR',
+  restoreError: 'RESTORE_ERROR',
+  skipped: 'SKIPPED',
+  aborted: 'ABORTED'
+};
+
+// Columns written to pod-terminations.csv
+const OUTPUT_HEADERS = [...TERMINATION_HEADERS, NAMESPACE_HEADER, ...FAULT_HEADERS, ...REPLACEMENT_HEADERS, REASON_HEADER];
+
+/**
+ * Read a plan file (YAML or JSON)
+ */
+function readPlanFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new AvailError(`Chaos plan not found: ${resolvedPath}`);
+  }
+  try {
+    return YAML.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+  } catch (error) {
+    throw new AvailError(`Invalid chaos plan ${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a plan and fill in defaults
+ * @param {Object} raw - Parsed plan
+ * @param {string} [source] - File name used in error messages
+ * @returns {Object} Normalised plan
+ */
+function validatePlan(raw, source = 'plan') {
+  const errors = [];
+  const isSeconds = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const compile = (pattern, where) => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      errors.push(`${where}: invalid regex ${pattern} (${error.message})`);
+      return null;
+    }
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AvailError(`Invalid chaos plan ${source}: expected an object`);
+  }
+
+  const plan = { ...PLAN_DEFAULTS, ...raw, name: raw.name || path.basename(source, path.extname(source)) };
+  ['interval', 'jitter', 'settle', 'duration', 'recoveryTimeout'].forEach(key => {
+    if (!isSeconds(plan[key])) errors.push(`${key}: expected a non-negative number of seconds`);
+  });
+  if (plan.gracePeriodSeconds !== null && !(Number.isInteger(plan.gracePeriodSeconds) && plan.gracePeriodSeconds >= 0)) {
+    errors.push('gracePeriodSeconds: expected a non-negative integer');
+  }
+  if (plan.namespace !== undefined && (typeof plan.namespace !== 'string' || plan.namespace === '')) {
+    errors.push('namespace: expected a namespace name');
+  }
+  if (!FAULT_TYPES.includes(plan.fault)) {
+    errors.push(`fault: expected one of ${FAULT_TYPES.join(', ')}`);
+  }
+  if (!ORDERS.includes(plan.order)) {
+    errors.push(`order: expected one of ${ORDERS.join(', ')}`);
+  }
+  if (typeof plan.dryRun !== 'boolean') {
+    errors.push('dryRun: expected true or false');
+  }
+  if (!Array.isArray(raw.targets) || raw.targets.length === 0) {
+    errors.push('targets: expected a non-empty list');
+  }
+  plan.guards = validateGuards(raw.guards, GUARD_DEFAULTS, 'guards', errors);
+  plan.abort = validateAbort(raw.abort, errors);
+
+  plan.targets = (Array.isArray(raw.targets) ? raw.targets : []).map((target, idx) => {
+    const where = `targets[${idx}]`;
+    if (!target || typeof target !== 'object') {
+      errors.push(`${where}: expected an object`);
+      return null;
+    }
+    const normalized = {
+      name: target.name || target.pattern || target.selector || `target-${idx + 1}`,
+      namespace: target.namespace,
+      pattern: target.pattern ? compile(target.pattern, `${where}.pattern`) : null,
+      exclude: target.exclude ? compile(target.exclude, `${where}.exclude`) : null,
+      selector: target.selector || null,
+      pods: target.pods || null,
+      pick: target.pick || 'random',
+      count: target.count !== undefined ? target.count : (Array.isArray(target.pods) ? target.pods.length : 1),
+      runningOnly: target.runningOnly !== undefined ? target.runningOnly : true,
+      offset: target.offset !== undefined ? target.offset : 0,
+      interval: target.interval !== undefined ? target.interval : plan.interval,
+      fault: target.fault !== undefined ? target.fault : plan.fault,
+      duration: target.duration !== undefined ? target.duration : plan.duration,
+      gracePeriodSeconds: target.gracePeriodSeconds !== undefined ? target.gracePeriodSeconds : plan.gracePeriodSeconds,
+      guards: validateGuards(target.guards, plan.guards, `${where}.guards`, errors)
+    };
+
+    if (!normalized.namespace || typeof normalized.namespace !== 'string') {
+      errors.push(`${where}.namespace: required`);
+    }
+    if (!target.pattern && !target.selector && !target.pods) {
+      errors.push(`${where}: one of pattern, selector or pods is required`);
+    }
+    if (normalized.pods && (!Array.isArray(normalized.pods) || normalized.pods.some(pod => typeof pod !== 'string'))) {
+      errors.push(`${where}.pods: expected a list of pod names`);
+    }
+    if (!Number.isInteger(normalized.count) || normalized.count < 1) {
+      errors.push(`${where}.count: expected a positive integer`);
+    } else if (Array.isArray(normalized.pods) && normalized.count > normalized.pods.length) {
+      errors.push(`${where}.count: larger than the number of pods listed`);
+    }
+    if (!PICK_MODES.includes(normalized.pick)) {
+      errors.push(`${where}.pick: expected one of ${PICK_MODES.join(', ')}`);
+    }
+    if (typeof normalized.runningOnly !== 'boolean') {
+      errors.push(`${where}.runningOnly: expected true or false`);
+    }
+    ['offset', 'interval', 'duration'].forEach(key => {
+      if (!isSeconds(normalized[key])) errors.push(`${where}.${key}: expected a non-negative number of seconds`);
+    });
+    if (!FAULT_TYPES.includes(normalized.fault)) {
+      errors.push(`${where}.fault: expected one of ${FAULT_TYPES.join(', ')}`);
+    }
+    if (normalized.gracePeriodSeconds !== null && !(Number.isInteger(normalized.gracePeriodSeconds) && normalized.gracePeriodSeconds >= 0)) {
+      errors.push(`${where}.gracePeriodSeconds: expected a non-negative integer`);
+    }
+    return normalized;
+  });
+
+  if (errors.length > 0) {
+    throw new AvailError(`Invalid chaos plan ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return plan;
+}
+
+/**
+ * Load and validate a plan file
+ */
+function loadPlan(filePath) {
+  return validatePlan(readPlanFile(filePath), filePath);
+}
+
+/**
+ * Wait time with jitter, never negative
+ */
+function withJitter(seconds, jitter, random) {
+  return Math.max(0, seconds + (random() * 2 - 1) * jitter);
+}
+
+/**
+ * Compute when each kill happens, in seconds from the start of the run
+ * @param {Object} plan - Normalised plan
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {{events: {target: Object, index: number, at: number}[], duration: number}}
+ */
+function buildSchedule(plan, random = Math.random) {
+  const events = [];
+
+  if (plan.order === 'parallel') {
+    plan.targets.forEach((target, targetIdx) => {
+      let at = target.offset;
+      for (let index = 0; index < target.count; index++) {
+        events.push({ target, index, at, targetIdx });
+        at += withJitter(target.interval, plan.jitter, random);
+      }
+    });
+    events.sort((a, b) => a.at - b.at || a.targetIdx - b.targetIdx);
+  } else {
+    const targets = [...plan.targets];
+    if (plan.order === 'random') {
+      for (let i = targets.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [targets[i], targets[j]] = [targets[j], targets[i]];
+      }
+    }
+    let at = 0;
+    targets.forEach((target, targetIdx) => {
+      for (let index = 0; index < target.count; index++) {
+        if (events.length > 0) {
+          at += withJitter(plan.interval, plan.jitter, random);
+        }
+        events.push({ target, index, at, targetIdx });
+      }
+    });
+  }
+
+  // The run ends after the settle time and once every windowed fault has been undone
+  const lastKill = events.length > 0 ? events[events.length - 1].at : 0;
+  const lastRestore = Math.max(0, ...events.map(({ target, at }) => (FAULTS[target.fault].windowed ? at + target.duration : 0)));
+  return {
+    events: events.map(({ target, index, at }) => ({ target, index, at })),
+    duration: Math.max(lastKill + plan.settle, lastRestore)
+  };
+}
+
+/**
+ * Pick the pod to terminate for a kill of a target, or null when none matches
+ */
+async function selectPod(client, target, index, random = Math.random) {
+  if (target.pods) {
+    return target.pods[index];
+  }
+
+  const pods = await client.listPods(target.namespace, {
+    labelSelector: target.selector || undefined,
+    fieldSelector: target.runningOnly ? 'status.phase=Running' : undefined
+  });
+  const candidates = pods
+    .filter(pod => !target.runningOnly || !pod.metadata.deletionTimestamp)
+    .map(pod => pod.metadata.name)
+    .filter(name => (!target.pattern || target.pattern.test(name)) && (!target.exclude || !target.exclude.test(name)));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+  return target.pick === 'first' ? candidates[0] : candidates[Math.floor(random() * candidates.length)];
+}
+
+/**
+ * Sleep until a point in time; resolves false when aborted
+ */
+async function sleepUntil(time, now, signal) {
+  const wait = time - now();
+  if (wait <= 0) return !signal || !signal.aborted;
+  try {
+    await delay(wait, undefined, { signal });
+    return true;
+  } catch (error) {
+    if (error.name === 'AbortError') return false;
+    throw error;
+  }
+}
+
+/**
+ * Wait for the end of a windowed fault (or an interruption), undo it and record the end time
+ */
+async function endFault(row, restore, endTime, now, signal) {
+  await sleepUntil(endTime, now, signal);
+  if (restore) {
+    try {
+      await restore();
+    } catch (error) {
+      log.warn(`Failed to undo ${row['Fault Type']} fault for ${row.Pod}: ${error.message}`);
+      row.Status = TERMINATION_STATUS.restoreError;
+    }
+  }
+  row['End Time'] = now();
+  log.info(`[${new Date(row['End Time']).toISOString()}] Ended ${row['Fault Type']} fault for pod '${row.Pod}'`);
+}
+
+/**
+ * Follow the replacement of a terminated pod and record its milestones in the row
+ */
+async function followReplacement(client, row, terminated, deadline, now, signal) {
+  let milestones;
+  try {
+    milestones = await watchReplacement(client, terminated, row['Termination Time'], { deadline, now, signal });
+  } catch (error) {
+    log.warn(`Could not follow the replacement of pod '${row.Pod}': ${error.message}`);
+    return;
+  }
+  if (!milestones) {
+    log.warn(`No replacement found for pod '${row.Pod}'`);
+    return;
+  }
+
+  const time = value => (value === null ? '' : value);
+  row['Replacement Pod'] = milestones.pod;
+  row['Scheduled Time'] = time(milestones.scheduled);
+  row['Container Start Time'] = time(milestones.started);
+  row['Ready Time'] = time(milestones.ready);
+  if (milestones.ready !== null) {
+    log.info(`[${new Date(milestones.ready).toISOString()}] Replacement '${milestones.pod}' of pod '${row.Pod}' Ready after ${((milestones.ready - row['Termination Time']) / 1000).toFixed(1)}s`);
+  } else {
+    log.warn(`Replacement '${milestones.pod}' of pod '${row.Pod}' not Ready${signal && signal.aborted ? ' when interrupted' : ' in time'}`);
+  }
+}
+
+/**
+ * Print the termination report in the same layout as the bash pod killers
+ */
+function printTerminationReport(terminations) {
+  log.info('');
+  log.info('==========================================');
+  log.info('          TERMINATION REPORT (CSV)        ');
+  log.info('==========================================');
+  log.info('');
+  log.info(OUTPUT_HEADERS.join(','));
+  terminations.forEach(row => log.info(OUTPUT_HEADERS.map(header => row[header]).join(',')));
+  log.info('');
+  log.info(`Total pods processed: ${terminations.length}`);
+}
+
+/**
+ * Create the folder of the terminations CSV and check it can be written, before anything is killed
+ */
+function prepareOutput(output) {
+  try {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.accessSync(fs.existsSync(output) ? output : path.dirname(output), fs.constants.W_OK);
+  } catch (error) {
+    throw new AvailError(`Cannot write the terminations to ${output}: ${error.message}`);
+  }
+}
+
+/**
+ * Run a chaos plan
+ * @param {Object} plan - Normalised plan (see loadPlan)
+ * @param {Object} options
+ * @param {Object} options.client - Kubernetes client (see lib/kube.js)
+ * @param {string} [options.output] - pod-terminations.csv path (default: ./pod-terminations.csv)
+ * @param {AbortSignal} [options.signal] - Stops the run early; terminations so far are still written
+ * @param {Function} [options.now] - Clock in epoch milliseconds
+ * @param {Function} [options.random] - Random number source in [0, 1)
+ * @returns {Promise<{plan: string, output: string, dryRun: boolean, aborted: boolean, abortReason: string|null, total: number, deleted: number, errors: number, skipped: number, notRun: number, replacementsReady: number, terminations: Object[]}>}
+ */
+async function runPlan(plan, options) {
+  const { client, now = Date.now, random = Math.random } = options;
+  const output = path.resolve(process.cwd(), options.output || 'pod-terminations.csv');
+  prepareOutput(output);
+  const schedule = buildSchedule(plan, random);
+  const start = now();
+
+  log.info(`Chaos plan: ${plan.name} | order=${plan.order} | interval=${plan.interval}s | jitter=${plan.jitter}s | kills=${schedule.events.length} | dry_run=${plan.dryRun}`);
+  log.info(`Expected duration: ${Math.round(schedule.duration)}s`);
+
+  // A breached abort condition stops the run like an interruption
+  const halt = new AbortController();
+  const signal = options.signal ? AbortSignal.any([options.signal, halt.signal]) : halt.signal;
+  const stopMonitor = new AbortController();
+  let abortReason = null;
+  const monitor = plan.abort
+    ? monitorAbortConditions(plan.abort, { signal: AbortSignal.any([signal, stopMonitor.signal]), now }).then(reason => {
+      if (reason) {
+        abortReason = reason;
+        log.warn(`[${new Date(now()).toISOString()}] Aborting chaos run: ${reason}`);
+        halt.abort();
+      }
+    })
+    : Promise.resolve();
+
+  const terminations = [];
+  const pending = [];
+  const following = [];
+  let aborted = false;
+
+  const addRow = (target, pod, time, status, reason = '') => {
+    const row = {
+      Pod: pod || '',
+      'Termination Time': time,
+      Status: status,
+      Namespace: target.namespace,
+      'Fault Type': target.fault,
+      'End Time': '',
+      'Replacement Pod': '',
+      'Scheduled Time': '',
+      'Container Start Time': '',
+      'Ready Time': '',
+      Reason: reason
+    };
+    terminations.push(row);
+    return row;
+  };
+  const skip = (target, pod, stamp, reason) => {
+    log.warn(`[${stamp}] Skipping ${target.name} in ${target.namespace}${pod ? ` (pod '${pod}')` : ''}: ${reason}`);
+    addRow(target, pod, now(), TERMINATION_STATUS.skipped, reason);
+  };
+
+  let next = 0;
+  for (; next < schedule.events.length; next++) {
+    const event = schedule.events[next];
+    if (!await sleepUntil(start + event.at * 1000, now, signal)) {
+      aborted = true;
+      break;
+    }
+
+    const { target } = event;
+    const stamp = new Date(now()).toISOString();
+    let pod;
+    try {
+      pod = await selectPod(client, target, event.index, random);
+    } catch (error) {
+      skip(target, null, stamp, `could not list pods: ${error.message}`);
+      continue;
+    }
+    if (!pod) {
+      skip(target, null, stamp, 'no matching pod');
+      continue;
+    }
+
+    const fault = FAULTS[target.fault];
+    const guarded = hasGuards(target.guards);
+    const follow = !plan.dryRun && fault.terminates && plan.recoveryTimeout > 0;
+
+    // The pod as it was before the fault is checked by the guards and identifies its
+    // controller and, later, its replacement
+    let podObject = null;
+    if (guarded || follow) {
+      try {
+        podObject = await client.getPod(target.namespace, pod);
+      } catch (error) {
+        if (guarded) {
+          skip(target, pod, stamp, `could not get the pod for the guards: ${error.message}`);
+          continue;
+        }
+        log.warn(`[${stamp}] Could not get pod '${pod}', its replacement is not followed: ${error.message}`);
+      }
+    }
+    if (guarded) {
+      let reasons;
+      try {
+        reasons = await checkGuards(client, target, podObject);
+      } catch (error) {
+        reasons = [`guards could not be checked: ${error.message}`];
+      }
+      if (reasons.length > 0) {
+        skip(target, pod, stamp, reasons.join('; '));
+        continue;
+      }
+    }
+    let terminated = follow ? podObject : null;
+    if (terminated && !podController(terminated)) {
+      log.info(`[${stamp}] Pod '${pod}' has no controller, its replacement is not followed`);
+      terminated = null;
+    }
+
+    const row = addRow(target, pod, now(), TERMINATION_STATUS.dryRun);
+    let restore = null;
+    if (plan.dryRun) {
+      log.info(`[${stamp}] [DRY RUN] ${target.fault} pod ${pod} in ${target.namespace}${fault.windowed ? ` for ${target.duration}s` : ''}`);
+    } else {
+      log.info(target.fault === 'delete'
+        ? `[${stamp}] Deleting pod '${pod}' in namespace '${target.namespace}'`
+        : `[${stamp}] Injecting ${target.fault} fault for pod '${pod}' in namespace '${target.namespace}' for ${target.duration}s`);
+      try {
+        const injected = await fault.inject(client, target.namespace, pod, { gracePeriodSeconds: target.gracePeriodSeconds });
+        log.info(`  ${injected.description}`);
+        restore = injected.restore;
+        row.Status = fault.windowed ? TERMINATION_STATUS.restored : TERMINATION_STATUS.deleted;
+      } catch (error) {
+        log.warn(`Failed to ${target.fault === 'delete' ? 'delete' : `inject ${target.fault} fault for`} ${pod}: ${error.message}`);
+        row.Status = fault.windowed ? TERMINATION_STATUS.faultError : TERMINATION_STATUS.error;
+      }
+    }
+
+    if (!fault.windowed) {
+      row['End Time'] = row['Termination Time'];
+    } else if (row.Status !== TERMINATION_STATUS.faultError) {
+      pending.push(endFault(row, restore, row['Termination Time'] + target.duration * 1000, now, signal));
+    }
+    if (terminated && ![TERMINATION_STATUS.error, TERMINATION_STATUS.faultError].includes(row.Status)) {
+      following.push(followReplacement(client, row, terminated, row['Termination Time'] + plan.recoveryTimeout * 1000, now, signal));
+    }
+  }
+
+  // Windowed faults are undone when their duration is over, or straight away when interrupted
+  if (pending.length > 0) {
+    log.info(`Waiting for ${pending.length} fault${pending.length === 1 ? '' : 's'} to end...`);
+    await Promise.all(pending);
+    aborted = aborted || signal.aborted;
+  }
+  // Replacements are followed until Ready or recoveryTimeout, and no longer once interrupted
+  if (following.length > 0) {
+    log.info(`Waiting for ${following.length} replacement pod${following.length === 1 ? '' : 's'} to become Ready...`);
+    await Promise.all(following);
+    aborted = aborted || signal.aborted;
+  }
+  if (!aborted && schedule.events.length > 0 && plan.settle > 0) {
+    log.info(`Waiting ${plan.settle}s after the last termination...`);
+    aborted = !await sleepUntil(start + schedule.duration * 1000, now, signal);
+  }
+  stopMonitor.abort();
+  await monitor;
+
+  // Kills that did not happen are recorded at their scheduled time
+  const reason = abortReason ? `run aborted: ${abortReason}` : 'run interrupted';
+  schedule.events.slice(next).forEach(({ target, index, at }) => {
+    addRow(target, target.pods ? target.pods[index] : null, Math.round(start + at * 1000), TERMINATION_STATUS.aborted, reason);
+  });
+  if (aborted) {
+    log.warn(`Chaos run ${abortReason ? 'aborted' : 'interrupted'}, writing the terminations so far`);
+  }
+
+  log.info('All done.');
+  printTerminationReport(terminations);
+
+  writeCSV(output, OUTPUT_HEADERS, terminations);
+  log.info(`\nTerminations written to: ${output}`);
+
+  const count = status => terminations.filter(row => row.Status === status).length;
+  return {
+    plan: plan.name,
+    output,
+    dryRun: plan.dryRun,
+    aborted,
+    abortReason,
+    total: terminations.length,
+    deleted: count(TERMINATION_STATUS.deleted),
+    errors: terminations.filter(row => [TERMINATION_STATUS.error, TERMINATION_STATUS.faultError, TERMINATION_STATUS.restoreError].includes(row.Status)).length,
+    skipped: count(TERMINATION_STATUS.skipped),
+    notRun: count(TERMINATION_STATUS.aborted),
+    replacementsReady: terminations.filter(row => row['Ready Time'] !== '').length,
+    terminations
+  };
+}
+
+module.exports = {
+  ORDERS,
+  PLAN_DEFAULTS,
+  TERMINATION_STATUS,
+  readPlanFile,
+  validatePlan,
+  loadPlan,
+  buildSchedule,
+  selectPod,
+  runPlan
+};
@@ -0,0 +1,315 @@
+/**
+ * CI outputs of the statistical analysis: a Markdown summary and a JUnit XML report
+ *
+ * Every pod termination is a test case, grouped by component (see compare.componentName). A
+ * case fails when its impact exceeds one of the SLO thresholds:
+ *   maxLatencyIncrease  Latency Change (%) above this (default 20)
+ *   maxThroughputDrop   Throughput decrease in % of the baseline above this (default 20)
+ *   minSuccessRate      Success Rate (%) below this (default 99)
+ *   maxRecoveryTime     Not recovered, or recovered after more seconds than this (default 60)
+ * Thresholds set to null are not checked, nor are values the analysis could not measure (N/A).
+ * A termination without any measured value is skipped. With an SLO file (see lib/slo.js) its
+ * objectives and verdict replace the thresholds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { componentName, parseNumber, throughputChange } = require('./compare');
+const { RECOVERY_STATUS } = require('./recovery');
+const { describeAvailability } = require('./availability');
+const { formatNumber } = require('./format');
+const { parseTimestamp, formatTimestamp } = require('./time');
+
+const DEFAULT_THRESHOLDS = {
+  maxLatencyIncrease: 20,
+  maxThroughputDrop: 20,
+  minSuccessRate: 99,
+  maxRecoveryTime: 60
+};
+
+/**
+ * Check one statistical-analysis-report.csv row against the thresholds
+ * @returns {{checked: number, failures: string[]}} Number of thresholds checked and the breaches
+ */
+function evaluateTermination(row, thresholds) {
+  const failures = [];
+  let checked = 0;
+
+  const latency = parseNumber(row['Latency Change (%)']);
+  if (thresholds.maxLatencyIncrease !== null && Number.isFinite(latency)) {
+    checked++;
+    if (latency > thresholds.maxLatencyIncrease) {
+      failures.push(`Latency +${formatNumber(latency, 2)}% exceeds +${thresholds.maxLatencyIncrease}%`);
+    }
+  }
+
+  const throughput = throughputChange(row);
+  if (thresholds.maxThroughputDrop !== null && Number.isFinite(throughput)) {
+    checked++;
+    if (-throughput > thresholds.maxThroughputDrop) {
+      failures.push(`Throughput ${formatNumber(throughput, 2)}% exceeds -${thresholds.maxThroughputDrop}%`);
+    }
+  }
+
+  const successRate = parseNumber(row['Success Rate']);
+  if (thresholds.minSuccessRate !== null && Number.isFinite(successRate)) {
+    checked++;
+    if (successRate < thresholds.minSuccessRate) {
+      failures.push(`Success rate ${formatNumber(successRate, 2)}% below ${thresholds.minSuccessRate}%`);
+    }
+  }
+
+  const recovery = row['Recovery Status'];
+  if (thresholds.maxRecoveryTime !== null && Object.values(RECOVERY_STATUS).includes(recovery)) {
+    checked++;
+    const seconds = parseNumber(row['Time To Recover (s)']);
+    if (recovery === RECOVERY_STATUS.NOT_RECOVERED) {
+      failures.push(`Not recovered within ${String(row['Time To Recover (s)']).replace(/^>/, '')}s`);
+    } else if (recovery === RECOVERY_STATUS.RECOVERED && seconds > thresholds.maxRecoveryTime) {
+      failures.push(`Recovered after ${formatNumber(seconds, 1)}s, more than ${thresholds.maxRecoveryTime}s`);
+    }
+  }
+
+  return { checked, failures };
+}
+
+/**
+ * Count the failed and skipped test cases
+ */
+function countCases(cases) {
+  return {
+    tests: cases.length,
+    failures: cases.filter(c => c.failures.length > 0).length,
+    skipped: cases.filter(c => c.skipped).length,
+    cases
+  };
+}
+
+/**
+ * Evaluate all report rows
+ * @param {Object[]} results - statistical-analysis-report.csv rows
+ * @param {Object} thresholds - See DEFAULT_THRESHOLDS
+ * @returns {{tests: number, failures: number, skipped: number, cases: {component: string, pod: string, time: string, row: Object, skipped: boolean, failures: string[]}[]}}
+ */
+function evaluateThresholds(results, thresholds) {
+  return countCases(results.map(row => {
+    const { checked, failures } = evaluateTermination(row, thresholds);
+    return {
+      component: componentName(row.Pod),
+      pod: row.Pod,
+      time: row['Termination Time'],
+      row,
+      skipped: checked === 0,
+      failures
+    };
+  }));
+}
+
+/**
+ * ISO termination time, or the value as written when it cannot be parsed
+ */
+function displayTime(value) {
+  const millis = parseTimestamp(value);
+  return Number.isFinite(millis) ? formatTimestamp(millis) : String(value);
+}
+
+/**
+ * Describe the enabled thresholds
+ */
+function describeThresholds(thresholds) {
+  return [
+    thresholds.maxLatencyIncrease !== null && `latency ≤ +${thresholds.maxLatencyIncrease}%`,
+    thresholds.maxThroughputDrop !== null && `throughput ≥ -${thresholds.maxThroughputDrop}%`,
+    thresholds.minSuccessRate !== null && `success rate ≥ ${thresholds.minSuccessRate}%`,
+    thresholds.maxRecoveryTime !== null && `recovery ≤ ${thresholds.maxRecoveryTime}s`
+  ].filter(Boolean);
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function markdownCell(value) {
+  return String(value === undefined || value === '' ? 'N/A' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the Markdown summary of an analysis
+ * @param {Object} report - Result of analysis.generateReport
+ * @param {Object} evaluation - Result of evaluateThresholds
+ * @param {{run: string, thresholds: Object, slo?: Object}} context - slo: result of slo.evaluateSlo
+ */
+function renderMarkdown(report, evaluation, { run, thresholds, slo }) {
+  const { summary } = report;
+  const passed = slo ? slo.passed : evaluation.failures === 0;
+  const criteria = slo
+    ? `SLOs: ${slo.objectives.map(objective => objective.description).join(', ')}`
+    : `Thresholds: ${describeThresholds(thresholds).join(', ') || 'none'}`;
+  const lines = [
+    `## ${passed ? '✅' : '❌'} Availability: ${run}`,
+    '',
+    `${evaluation.tests - evaluation.failures - evaluation.skipped} of ${evaluation.tests} terminations within the SLO ${slo ? 'objectives' : 'thresholds'}` +
+      (evaluation.failures > 0 ? `, **${evaluation.failures} failed**` : '') +
+      (evaluation.skipped > 0 ? `, ${evaluation.skipped} without data` : '') + '.',
+    '',
+    `${criteria}. Method: ${report.methodName}.`,
+    '',
+    '| Result | Pod | Termination | Latency Δ | Throughput Δ | Success Rate | Recovery |',
+    '|:---:|---|---|---:|---:|---:|---|'
+  ];
+
+  evaluation.cases.forEach(c => {
+    const throughput = throughputChange(c.row);
+    const recovery = c.row['Recovery Status'] === RECOVERY_STATUS.RECOVERED
+      ? `${c.row['Recovery Status']} after ${c.row['Time To Recover (s)']}s`
+      : c.row['Recovery Status'];
+    const result = c.skipped ? '⚪' : (c.failures.length > 0 ? '❌' : '✅');
+    lines.push(`| ${result} | ${[
+      c.pod,
+      displayTime(c.time),
+      Number.isFinite(parseNumber(c.row['Latency Change (%)'])) ? `${c.row['Latency Change (%)']}%` : 'N/A',
+      Number.isFinite(throughput) ? `${formatNumber(throughput, 2)}%` : 'N/A',
+      c.row['Success Rate'],
+      recovery
+    ].map(markdownCell).join(' | ')} |`);
+  });
+
+  const failed = evaluation.cases.filter(c => c.failures.length > 0);
+  if (failed.length > 0) {
+    lines.push('', '### Failed terminations', '');
+    failed.forEach(c => lines.push(`- **${c.pod}**: ${c.failures.join('; ')}`));
+  }
+
+  lines.push('', '### Run', '');
+  if (slo) {
+    lines.push(`- SLO verdict: ${slo.verdict} (${slo.failedTerminations} terminations missed an objective, ${slo.maxFailedTerminations} allowed)`);
+    if (slo.errorBudget) {
+      const budget = slo.errorBudget;
+      lines.push(`- Error budget: ${formatNumber(budget.consumed, 1)}% consumed (success rate ${formatNumber(budget.successRate, 3)}% from ${budget.source}, target ${budget.target}%)`);
+    }
+  }
+  if (summary.availability) {
+    const { availability } = summary;
+    lines.push(`- Availability: ${describeAvailability(availability)}, downtime ${formatNumber(availability.downtime, 2)}s (${formatNumber(availability.unattributedDowntime, 2)}s outside termination windows)`);
+  }
+  lines.push(`- Significant latency impacts: ${summary.significantLatency}, throughput impacts: ${summary.significantThroughput}`);
+  if (summary.recovery.mttr !== null) {
+    lines.push(`- MTTR: ${formatNumber(summary.recovery.mttr, 1)}s (max ${formatNumber(summary.recovery.maxTimeToRecover, 1)}s), not recovered: ${summary.recovery.notRecovered}`);
+  }
+  if (summary.run) {
+    lines.push(`- k6 thresholds: ${summary.run.thresholds - summary.run.thresholdsFailed} passed, ${summary.run.thresholdsFailed} failed`);
+    report.k6Summary.thresholds.filter(t => !t.ok).forEach(t => {
+      lines.push(`  - ❌ \`${t.metric}\` \`${t.threshold}\`${t.value ? ` (${t.value})` : ''}`);
+    });
+    if (summary.run.checkSuccessRate !== null) {
+      lines.push(`- k6 checks: ${formatNumber(summary.run.checkSuccessRate * 100, 2)}% success (${summary.run.checkFails} failed)`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the JUnit XML report: one test suite for the run, one test case per termination
+ * @param {Object} evaluation - Result of evaluateThresholds
+ * @param {{run: string, thresholds: Object, methodName: string, slo?: Object}} context
+ */
+function renderJUnit(evaluation, { run, thresholds, methodName, slo }) {
+  const testcase = c => {
+    const seconds = parseNumber(c.row['Time To Recover (s)']);
+    const attributes = `classname="${escapeXml(c.component)}" name="${escapeXml(`${c.pod} @ ${displayTime(c.time)}`)}" time="${Number.isFinite(seconds) ? seconds : 0}"`;
+    if (c.skipped) {
+      return `    <testcase ${attributes}>\n      <skipped message="No samples around the termination"/>\n    </testcase>`;
+    }
+    if (c.failures.length === 0) {
+      return `    <testcase ${attributes}/>`;
+    }
+    return `    <testcase ${attributes}>\n      <failure type="SLO" message="${escapeXml(c.failures.join('; '))}">${escapeXml(c.failures.join('\n'))}</failure>\n    </testcase>`;
+  };
+
+  const counts = `tests="${evaluation.tests}" failures="${evaluation.failures}" errors="0" skipped="${evaluation.skipped}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="availability" ${counts}>`,
+    `  <testsuite name="${escapeXml(run)}" ${counts} timestamp="${new Date().toISOString()}">`,
+    '    <properties>',
+    `      <property name="method" value="${escapeXml(methodName)}"/>`,
+    ...(slo
+      ? [
+        `      <property name="slo" value="${escapeXml(slo.file)}"/>`,
+        `      <property name="verdict" value="${slo.verdict}"/>`,
+        ...slo.objectives.map(objective => `      <property name="objective" value="${escapeXml(objective.description)}"/>`)
+      ]
+      : Object.entries(thresholds).map(([name, value]) => `      <property name="${name}" value="${value === null ? 'off' : value}"/>`)),
+    '    </properties>',
+    ...evaluation.cases.map(testcase),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a CI output file, creating its folder
+ */
+function writeOutput(filePath, content, label) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  fs.writeFileSync(resolvedPath, content);
+  log.info(`${label} written to: ${resolvedPath}`);
+  return resolvedPath;
+}
+
+/**
+ * Evaluate the SLO thresholds of an analysis and write the requested CI outputs
+ * @param {Object} report - Result of analysis.generateReport
+ * @param {{run: string, thresholds: Object, slo?: Object, markdown?: string, junit?: string}} options -
+ *   slo: result of slo.evaluateSlo, used instead of the thresholds
+ * @returns {{tests: number, failures: number, skipped: number, failed: {pod: string, time: string, failures: string[]}[], markdown: string|null, junit: string|null}}
+ */
+function writeCiReports(report, options) {
+  const { run, thresholds, slo } = options;
+  let evaluation;
+  if (slo) {
+    evaluation = countCases(slo.cases);
+  } else {
+    evaluation = evaluateThresholds(report.results, thresholds);
+    log.info(`\nSLO thresholds (${describeThresholds(thresholds).join(', ') || 'none'}): ${evaluation.failures} of ${evaluation.tests} terminations failed${evaluation.skipped > 0 ? `, ${evaluation.skipped} without data` : ''}`);
+  }
+
+  const markdown = options.markdown
+    ? writeOutput(options.markdown, renderMarkdown(report, evaluation, { run, thresholds, slo }), 'Markdown summary')
+    : null;
+  const junit = options.junit
+    ? writeOutput(options.junit, renderJUnit(evaluation, { run, thresholds, methodName: report.methodName, slo }), 'JUnit report')
+    : null;
+
+  return {
+    tests: evaluation.tests,
+    failures: evaluation.failures,
+    skipped: evaluation.skipped,
+    failed: evaluation.cases.filter(c => c.failures.length > 0).map(c => ({ pod: c.pod, time: c.time, failures: c.failures })),
+    markdown,
+    junit
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  evaluateTermination,
+  evaluateThresholds,
+  renderMarkdown,
+  renderJUnit,
+  writeCiReports
+};
@@ -0,0 +1,134 @@
+const { parseArgs } = require('util');
+const log = require('./logger');
+const { AvailError, UsageError, EXIT_CODES } = require('./errors');
+
+// Options understood by every command
+const COMMON_OPTIONS = {
+  quiet: { type: 'boolean', short: 'q' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMON_HELP = `  -q, --quiet                      Only print warnings and errors
+      --json                       Print the result as JSON on stdout (progress output is suppressed)
+  -h, --help                       Show this help`;
+
+/**
+ * Build the help text of a command
+ * @param {Object} command - Command module (see lib/commands)
+ * @param {string} prog - Program name shown in the usage line
+ */
+function formatHelp(command, prog) {
+  const lines = [`Usage: ${prog} ${command.usage}`, '', command.summary, ''];
+  lines.push('Options:');
+  if (command.help) {
+    lines.push(command.help);
+  }
+  lines.push(COMMON_HELP);
+  if (command.epilog) {
+    lines.push('', command.epilog);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse arguments for a command, returning `{ values, positionals }`
+ */
+function parseCommandArgs(command, argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: { ...COMMON_OPTIONS, ...command.options }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Parse a number of seconds, rejecting negative values (and zero unless allowed)
+ */
+function parseSeconds(value, name, allowZero = false) {
+  const num = Number(value);
+  if (String(value).trim() === '' || isNaN(num) || num < 0 || (!allowZero && num === 0)) {
+    throw new UsageError(`Invalid ${name} "${value}". Expected a ${allowZero ? 'non-negative' : 'positive'} number of seconds`);
+  }
+  return num;
+}
+
+/**
+ * Parse a non-negative percentage
+ */
+function parsePercent(value, name) {
+  const num = Number(value);
+  if (String(value).trim() === '' || isNaN(num) || num < 0) {
+    throw new UsageError(`Invalid ${name} "${value}". Expected a non-negative percentage`);
+  }
+  return num;
+}
+
+/**
+ * Run a command with the given arguments and return the process exit code.
+ * Errors are reported here so that library code never has to exit the process.
+ * @param {Object} command - Command module exporting usage, summary, help, options and run(values, positionals)
+ * @param {string[]} argv - Arguments after the command name
+ * @param {string} prog - Program name shown in help and errors
+ * @returns {Promise<number>}
+ */
+async function runCommand(command, argv, prog) {
+  let parsed;
+  try {
+    parsed = parseCommandArgs(command, argv);
+  } catch (error) {
+    log.error(`Error: ${error.message}\n`);
+    log.error(formatHelp(command, prog));
+    return error.exitCode;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(formatHelp(command, prog));
+    return EXIT_CODES.OK;
+  }
+
+  log.configure({ quiet: values.quiet, json: values.json });
+
+  try {
+    const result = await command.run(values, positionals);
+    log.result(result);
+    return (result && result.exitCode) || EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      log.error(`Error: ${error.message}\n`);
+      log.error(formatHelp(command, prog));
+      return error.exitCode;
+    }
+    if (error instanceof AvailError) {
+      log.error(`Error: ${error.message}`);
+      return error.exitCode;
+    }
+    log.error('Fatal error:', error);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Entry point for the standalone scripts: run one command and set the exit code
+ */
+function runScript(command, prog) {
+  require('dotenv').config({ quiet: true });
+  runCommand(command, process.argv.slice(2), prog).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  COMMON_OPTIONS,
+  formatHelp,
+  parseCommandArgs,
+  parseSeconds,
+  parsePercent,
+  runCommand,
+  runScript
+};
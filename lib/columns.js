@@ -0,0 +1,201 @@
+/**
+ * Metric column mapping for k6 time series exports
+ *
+ * A mapping assigns time series columns to roles using glob (`Latency*`) or
+ * regex (`/^Latency\(p9\d\)/i`) patterns. Glob patterns match case-insensitively.
+ *
+ *   {
+ *     "time":       { "pattern": "Time" },
+ *     "latency":    { "pattern": "*Latency*", "unit": "ms" },
+ *     "throughput": { "pattern": "*Throughput*", "unit": "req/s" },
+ *     "vus":        { "pattern": "VUs*" },
+ *     "errorRate":  { "pattern": "Failures*", "unit": "" },
+ *     "checks":     { "pattern": "*", "exclude": [], "type": "failure-rate" }
+ *   }
+ *
+ * Any role may be given as a plain pattern string or an array of patterns. Check columns
+ * default to every column not claimed by another role, so new check names are picked up
+ * automatically. A `columns.json` file in the report folder is used when present.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+
+const COLUMNS_FILE = 'columns.json';
+
+// Roles resolved in this order; a column is claimed by the first role that matches it
+const ROLES = ['time', 'latency', 'throughput', 'vus', 'errorRate', 'checks'];
+
+const DEFAULT_MAPPING = {
+  time: { pattern: 'Time' },
+  latency: { pattern: '*Latency*', unit: 'ms' },
+  throughput: { pattern: '*Throughput*', unit: 'req/s' },
+  vus: { pattern: 'VUs*' },
+  errorRate: { pattern: 'Failures*', unit: '' },
+  checks: { pattern: '*', exclude: [], type: 'failure-rate' }
+};
+
+// Mapping written next to the time series of avail import and avail fetch: their Failures
+// columns are the mean of k6's http_req_failed, a ratio
+const K6_COLUMN_MAPPING = {
+  errorRate: { pattern: 'Failures*', unit: 'ratio' }
+};
+
+// Check column value semantics
+const CHECK_TYPES = ['failure-rate', 'success-rate'];
+
+// Error rate units that express a fraction of failed requests/iterations
+const RATIO_UNITS = {
+  ratio: 1,
+  '%': 100
+};
+
+/**
+ * Convert a glob or /regex/flags pattern into a RegExp
+ */
+function toRegExp(pattern) {
+  const regexMatch = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new AvailError(`Invalid column pattern ${pattern}: ${error.message}`);
+    }
+  }
+  const escaped = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Normalise a role definition into { patterns: RegExp[], exclude: RegExp[], ...rest }
+ */
+function normalizeRole(role, definition) {
+  const def = typeof definition === 'string' || Array.isArray(definition)
+    ? { pattern: definition }
+    : { ...definition };
+  const toList = value => (value === undefined ? [] : [].concat(value));
+
+  if (toList(def.pattern).length === 0) {
+    throw new AvailError(`Column mapping for "${role}" has no pattern`);
+  }
+  if (role === 'checks' && def.type && !CHECK_TYPES.includes(def.type)) {
+    throw new AvailError(`Invalid checks type "${def.type}". Valid values are: ${CHECK_TYPES.join(', ')}`);
+  }
+
+  return {
+    ...def,
+    patterns: toList(def.pattern).map(toRegExp),
+    exclude: toList(def.exclude).map(toRegExp)
+  };
+}
+
+/**
+ * Load a column mapping, merged over the defaults
+ * @param {string} [mappingPath] - Mapping file; defaults to columns.json in the report folder if present
+ * @param {string} [folder] - Report folder
+ */
+function loadColumnMapping(mappingPath, folder) {
+  let filePath = mappingPath ? path.resolve(process.cwd(), mappingPath) : null;
+  if (!filePath && folder && fs.existsSync(path.join(folder, COLUMNS_FILE))) {
+    filePath = path.join(folder, COLUMNS_FILE);
+  }
+
+  let custom = {};
+  if (filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new AvailError(`Column mapping file not found: ${filePath}`);
+    }
+    try {
+      custom = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new AvailError(`Could not parse column mapping ${filePath}: ${error.message}`);
+    }
+    const unknownRoles = Object.keys(custom).filter(role => !ROLES.includes(role));
+    if (unknownRoles.length > 0) {
+      throw new AvailError(`Unknown role(s) in column mapping ${filePath}: ${unknownRoles.join(', ')}. Valid roles are: ${ROLES.join(', ')}`);
+    }
+    log.info(`Using column mapping: ${filePath}`);
+  }
+
+  const mapping = { source: filePath };
+  ROLES.forEach(role => {
+    mapping[role] = normalizeRole(role, custom[role] !== undefined ? custom[role] : DEFAULT_MAPPING[role]);
+  });
+  return mapping;
+}
+
+/**
+ * Assign columns to roles
+ * @param {string[]} columns - Time series headers
+ * @param {Object} mapping - From loadColumnMapping
+ * @returns {{time: string, latency: string[], throughput: string[], vus: string[], errorRate: string[], checks: string[], units: Object, checkType: string, errorRateScale: number|null}}
+ */
+function resolveColumns(columns, mapping) {
+  const claimed = new Set();
+  const resolved = {};
+
+  ROLES.forEach(role => {
+    const { patterns, exclude } = mapping[role];
+    resolved[role] = columns.filter(column => (
+      !claimed.has(column) &&
+      patterns.some(re => re.test(column)) &&
+      !exclude.some(re => re.test(column))
+    ));
+    if (role === 'time') {
+      resolved.time = resolved.time.slice(0, 1);
+    }
+    resolved[role].forEach(column => claimed.add(column));
+  });
+
+  if (resolved.time.length === 0) {
+    throw new AvailError(`Could not find the time column. Available columns: ${columns.join(', ')}`);
+  }
+
+  const errorRateUnit = mapping.errorRate.unit || '';
+  return {
+    ...resolved,
+    time: resolved.time[0],
+    units: {
+      latency: mapping.latency.unit || '',
+      throughput: mapping.throughput.unit || '',
+      errorRate: errorRateUnit
+    },
+    checkType: mapping.checks.type || 'failure-rate',
+    errorRateScale: RATIO_UNITS[errorRateUnit] || null
+  };
+}
+
+/**
+ * Write a column mapping into a report folder, unless it already has one
+ * @returns {string|null} The file written
+ */
+function writeColumnMapping(folder, mapping) {
+  const filePath = path.join(folder, COLUMNS_FILE);
+  if (fs.existsSync(filePath)) {
+    log.info(`Keeping column mapping: ${filePath}`);
+    return null;
+  }
+  fs.writeFileSync(filePath, JSON.stringify(mapping, null, 2) + '\n');
+  log.info(`Column mapping written to: ${filePath}`);
+  return filePath;
+}
+
+module.exports = {
+  COLUMNS_FILE,
+  ROLES,
+  DEFAULT_MAPPING,
+  K6_COLUMN_MAPPING,
+  toRegExp,
+  loadColumnMapping,
+  writeColumnMapping,
+  resolveColumns
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { generateReport, METHOD_NAMES, METHOD_ALIASES, TEST_NAMES, CORRECTION_NAMES, DEFAULT_OPTIONS } = require('../analysis');
+const { parseSeconds, parsePercent } = require('../cli');
+const { readRunMetadata } = require('../run-info');
+const { REPORT_FILES } = require('../report-folder');
+const { UsageError, EXIT_CODES } = require('../errors');
+
+// Environment variables mapped to option names
+const ENV_OPTIONS = {
+  ANALYSIS_METHOD: 'method',
+  ANALYSIS_BEFORE_WINDOW: 'beforeWindow',
+  ANALYSIS_AFTER_WINDOW: 'afterWindow',
+  ANALYSIS_OMIT_SECONDS: 'omitSeconds',
+  ANALYSIS_OUTPUT: 'output',
+  ANALYSIS_CLEAN_RUN: 'cleanRun',
+  ANALYSIS_COLUMNS: 'columns',
+  ANALYSIS_ALPHA: 'alpha',
+  ANALYSIS_CORRECTION: 'correction',
+  ANALYSIS_TEST: 'test',
+  ANALYSIS_TOLERANCE: 'tolerance',
+  ANALYSIS_RECOVERY_HORIZON: 'recoveryHorizon',
+  ANALYSIS_RECOVERY_STABLE: 'recoveryStable',
+  ANALYSIS_MARKDOWN: 'markdown',
+  ANALYSIS_JUNIT: 'junit',
+  ANALYSIS_MAX_LATENCY_INCREASE: 'maxLatencyIncrease',
+  ANALYSIS_MAX_THROUGHPUT_DROP: 'maxThroughputDrop',
+  ANALYSIS_MIN_SUCCESS_RATE: 'minSuccessRate',
+  ANALYSIS_MAX_RECOVERY_TIME: 'maxRecoveryTime',
+  ANALYSIS_SLO: 'slo'
+};
+
+const OPTIONS = {
+  method: { type: 'string', short: 'm' },
+  before: { type: 'string', short: 'b' },
+  after: { type: 'string', short: 'a' },
+  omit: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  'clean-run': { type: 'string', short: 'c' },
+  columns: { type: 'string' },
+  alpha: { type: 'string' },
+  correction: { type: 'string' },
+  test: { type: 'string' },
+  tolerance: { type: 'string' },
+  'recovery-horizon': { type: 'string' },
+  'recovery-stable': { type: 'string' },
+  markdown: { type: 'string' },
+  junit: { type: 'string' },
+  'max-latency-increase': { type: 'string' },
+  'max-throughput-drop': { type: 'string' },
+  'min-success-rate': { type: 'string' },
+  'max-recovery-time': { type: 'string' },
+  slo: { type: 'string' },
+  config: { type: 'string' }
+};
+
+const HELP = `  -m, --method <global|local|0|1>  Baseline method (default: global)
+  -b, --before <seconds>           Window before each termination, local method (default: 30)
+  -a, --after <seconds>            Window after each termination (default: 30)
+      --omit <seconds>             Seconds omitted from start/end for the global baseline (default: 60)
+  -o, --output <file>              Report path (default: <folder-path>/statistical-analysis-report.csv)
+  -c, --clean-run <file>           Clean run k6-time-series.csv for the global baseline
+                                   (default: that of the baseline in run.json)
+      --columns <file>             Column mapping JSON (default: <folder-path>/columns.json if present)
+      --test <mann-whitney|welch>  Hypothesis test deciding the Test Result columns (default: mann-whitney)
+      --alpha <level>              Significance level, also sets the CI level (default: 0.05)
+      --correction <holm|bonferroni|none>
+                                   Multiple-comparison correction across terminations (default: holm)
+      --tolerance <percent>        Band around the baseline treated as recovered (default: 10)
+      --recovery-horizon <seconds> How long after each termination to look for recovery (default: 180)
+      --recovery-stable <seconds>  Time metrics must stay in band to count as recovered (default: 10)
+      --markdown <file>            Write a Markdown summary for PR/job comments
+      --junit <file>               Write a JUnit XML report, one test case per termination
+      --max-latency-increase <percent>
+                                   SLO: latency change above this fails a termination (default: ${DEFAULT_OPTIONS.maxLatencyIncrease})
+      --max-throughput-drop <percent>
+                                   SLO: throughput decrease above this fails it (default: ${DEFAULT_OPTIONS.maxThroughputDrop})
+      --min-success-rate <percent> SLO: success rate below this fails it (default: ${DEFAULT_OPTIONS.minSuccessRate})
+      --max-recovery-time <seconds>
+                                   SLO: recovering later than this fails it (default: ${DEFAULT_OPTIONS.maxRecoveryTime})
+      --slo <file>                 SLO file (YAML/JSON) judging each termination and the run;
+                                   exits with 1 when the run fails it
+      --config <file>              JSON config file with any of the options above`;
+
+const EPILOG = `Environment:
+  ANALYSIS_CONFIG, ANALYSIS_METHOD, ANALYSIS_BEFORE_WINDOW, ANALYSIS_AFTER_WINDOW,
+  ANALYSIS_OMIT_SECONDS, ANALYSIS_OUTPUT, ANALYSIS_CLEAN_RUN, ANALYSIS_COLUMNS, ANALYSIS_TEST,
+  ANALYSIS_ALPHA, ANALYSIS_CORRECTION, ANALYSIS_TOLERANCE, ANALYSIS_RECOVERY_HORIZON,
+  ANALYSIS_RECOVERY_STABLE, ANALYSIS_MARKDOWN, ANALYSIS_JUNIT, ANALYSIS_MAX_LATENCY_INCREASE,
+  ANALYSIS_MAX_THROUGHPUT_DROP, ANALYSIS_MIN_SUCCESS_RATE, ANALYSIS_MAX_RECOVERY_TIME, ANALYSIS_SLO
+
+SLO thresholds only apply to the Markdown and JUnit outputs; "off" disables one. An SLO file
+replaces them there.
+
+Precedence: command-line flags > environment > config file > defaults`;
+
+/**
+ * Resolve a method name or id to its numeric id
+ */
+function parseMethod(value) {
+  const key = String(value).trim().toLowerCase();
+  if (key in METHOD_ALIASES) {
+    return METHOD_ALIASES[key];
+  }
+  if (key in METHOD_NAMES) {
+    return parseInt(key);
+  }
+  throw new UsageError(`Invalid method "${value}". Valid values are: ${Object.keys(METHOD_ALIASES).join(', ')}, ${Object.keys(METHOD_NAMES).join(', ')}`);
+}
+
+/**
+ * Validate a value against the keys of a name map
+ */
+function parseChoice(value, choices, name) {
+  const key = String(value).trim().toLowerCase();
+  if (!(key in choices)) {
+    throw new UsageError(`Invalid ${name} "${value}". Valid values are: ${Object.keys(choices).join(', ')}`);
+  }
+  return key;
+}
+
+/**
+ * Parse a significance level between 0 and 1 (exclusive)
+ */
+function parseAlpha(value) {
+  const num = Number(value);
+  if (String(value).trim() === '' || isNaN(num) || num <= 0 || num >= 1) {
+    throw new UsageError(`Invalid alpha "${value}". Expected a number between 0 and 1`);
+  }
+  return num;
+}
+
+/**
+ * Parse an SLO threshold, null when it is "off" (or null in a config file)
+ */
+function parseThreshold(value, name, parse) {
+  if (value === null || String(value).trim().toLowerCase() === 'off') {
+    return null;
+  }
+  return parse(value, name);
+}
+
+/**
+ * Load options from a JSON config file
+ */
+function loadConfigFile(configPath) {
+  const resolvedPath = path.resolve(process.cwd(), configPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new UsageError(`Config file not found: ${resolvedPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+  } catch (error) {
+    throw new UsageError(`Could not parse config file ${resolvedPath}: ${error.message}`);
+  }
+
+  const unknownKeys = Object.keys(config).filter(key => !(key in DEFAULT_OPTIONS));
+  if (unknownKeys.length > 0) {
+    throw new UsageError(`Unknown option(s) in config file ${resolvedPath}: ${unknownKeys.join(', ')}`);
+  }
+  return config;
+}
+
+/**
+ * Build analysis options from defaults, config file, environment and parsed command-line values
+ * @param {Object} values - Values from parseArgs
+ * @param {string[]} positionals - [folder-path, clean-run-path]
+ * @param {Object} [env] - Environment variables
+ */
+function resolveOptions(values, positionals, env = process.env) {
+  if (positionals.length > 2) {
+    throw new UsageError(`Unexpected arguments: ${positionals.slice(2).join(' ')}`);
+  }
+
+  const configPath = values.config || env.ANALYSIS_CONFIG;
+  const raw = {
+    ...DEFAULT_OPTIONS,
+    ...(configPath ? loadConfigFile(configPath) : {})
+  };
+
+  Object.entries(ENV_OPTIONS).forEach(([envName, option]) => {
+    if (env[envName] !== undefined && env[envName] !== '') {
+      raw[option] = env[envName];
+    }
+  });
+
+  const flags = {
+    method: values.method,
+    beforeWindow: values.before,
+    afterWindow: values.after,
+    omitSeconds: values.omit,
+    output: values.output,
+    cleanRun: values['clean-run'] || positionals[1],
+    columns: values.columns,
+    alpha: values.alpha,
+    correction: values.correction,
+    test: values.test,
+    tolerance: values.tolerance,
+    recoveryHorizon: values['recovery-horizon'],
+    recoveryStable: values['recovery-stable'],
+    markdown: values.markdown,
+    junit: values.junit,
+    maxLatencyIncrease: values['max-latency-increase'],
+    maxThroughputDrop: values['max-throughput-drop'],
+    minSuccessRate: values['min-success-rate'],
+    maxRecoveryTime: values['max-recovery-time'],
+    slo: values.slo
+  };
+  Object.entries(flags).forEach(([option, value]) => {
+    if (value !== undefined) {
+      raw[option] = value;
+    }
+  });
+
+  const folderPath = positionals[0] || '.';
+
+  // The baseline recorded in run.json stands in for a clean run given nowhere else
+  if (!raw.cleanRun) {
+    const run = readRunMetadata(folderPath);
+    if (run && run.baseline) {
+      raw.cleanRun = path.join(run.baseline, REPORT_FILES.timeSeries);
+    }
+  }
+
+  return {
+    folderPath,
+    method: parseMethod(raw.method),
+    beforeWindow: parseSeconds(raw.beforeWindow, 'before window'),
+    afterWindow: parseSeconds(raw.afterWindow, 'after window'),
+    omitSeconds: parseSeconds(raw.omitSeconds, 'omit seconds', true),
+    output: raw.output ? path.resolve(process.cwd(), raw.output) : null,
+    cleanRun: raw.cleanRun || null,
+    columns: raw.columns || null,
+    alpha: parseAlpha(raw.alpha),
+    correction: parseChoice(raw.correction, CORRECTION_NAMES, 'correction'),
+    test: parseChoice(raw.test, TEST_NAMES, 'test'),
+    tolerance: parsePercent(raw.tolerance, 'tolerance'),
+    recoveryHorizon: parseSeconds(raw.recoveryHorizon, 'recovery horizon'),
+    recoveryStable: parseSeconds(raw.recoveryStable, 'recovery stable period'),
+    markdown: raw.markdown ? path.resolve(process.cwd(), raw.markdown) : null,
+    junit: raw.junit ? path.resolve(process.cwd(), raw.junit) : null,
+    maxLatencyIncrease: parseThreshold(raw.maxLatencyIncrease, 'max latency increase', parsePercent),
+    maxThroughputDrop: parseThreshold(raw.maxThroughputDrop, 'max throughput drop', parsePercent),
+    minSuccessRate: parseThreshold(raw.minSuccessRate, 'min success rate', parsePercent),
+    maxRecoveryTime: parseThreshold(raw.maxRecoveryTime, 'max recovery time', (value, name) => parseSeconds(value, name, true)),
+    slo: raw.slo || null
+  };
+}
+
+module.exports = {
+  name: 'analyze',
+  usage: '<folder-path> [clean-run-path] [options]',
+  summary: 'Assess the latency, throughput and success-rate impact of each pod termination.',
+  options: OPTIONS,
+  help: HELP,
+  epilog: EPILOG,
+  resolveOptions,
+
+  run(values, positionals) {
+    const report = generateReport(resolveOptions(values, positionals));
+    return { ...report, exitCode: report.slo && !report.slo.passed ? EXIT_CODES.FAILURE : EXIT_CODES.OK };
+  }
+};
@@ -0,0 +1,94 @@
+const { createAnnotations, syncAnnotations, deleteAnnotations, loadGrafanaConfig, runName } = require('../annotations');
+const { UsageError, EXIT_CODES } = require('../errors');
+
+module.exports = {
+  name: 'annotate',
+  usage: '<report-folder|pod-terminations.csv> [options]',
+  summary: 'Create, sync or delete the Grafana annotations of the pod terminations.',
+  options: {
+    'dashboard-uid': { type: 'string' },
+    'panel-id': { type: 'string' },
+    region: { type: 'boolean' },
+    tags: { type: 'string' },
+    run: { type: 'string' },
+    report: { type: 'string' },
+    sync: { type: 'boolean' },
+    delete: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    'org-id': { type: 'string' },
+    concurrency: { type: 'string' },
+    retries: { type: 'string' },
+    timeout: { type: 'string' }
+  },
+  help: `      --dashboard-uid <uid>        Annotate this dashboard instead of the whole organisation
+      --panel-id <id>              Annotate one panel of the dashboard
+      --region                     Span the measured impact/recovery window instead of a point in time
+      --tags <tag,...>             Tags; {run}, {pod}, {namespace}, {status}, {fault} or {<CSV column>}
+                                   are replaced per termination, {group}, {scenario} and {testid}
+                                   from run.json (default: the tags of run.json, else custom-annotation)
+      --run <name>                 Run name for {run} and the run:<name> tag
+                                   (default: the name in run.json, else the report folder name)
+      --report <file>              Analysis report for the annotation text and regions
+                                   (default: statistical-analysis-report.csv next to the terminations)
+      --sync                       Create the missing annotations of the run, update the changed ones
+                                   and delete those in its time range without a termination,
+                                   instead of creating them all
+      --delete                     Delete all annotations of the run
+      --dry-run                    With --sync or --delete, only print the planned changes
+      --org-id <id>                Grafana organisation (X-Grafana-Org-Id header)
+      --concurrency <n>            Requests in flight at a time (default: 4)
+      --retries <n>                Retries of a request failing with 429, 5xx or a network error,
+                                   with exponential backoff honouring Retry-After (default: 3)
+      --timeout <seconds>          Request timeout (default: 30)`,
+  epilog: `Every annotation is tagged run:<name>; --sync and --delete find the run's annotations by it.
+Exits with 1 when any annotation could not be created, updated or deleted.
+
+Environment:
+  GRAFANA_URL            Grafana instance URL
+  GRAFANA_TOKEN          API token with annotation read and write permissions
+  GRAFANA_USER, GRAFANA_PASSWORD   Basic auth instead of a token
+  GRAFANA_ORG_ID, GRAFANA_CONCURRENCY, GRAFANA_RETRIES, GRAFANA_TIMEOUT
+  PREFIX                 Annotation text prefix (default: "Pod")
+  GRAFANA_DASHBOARD_UID, GRAFANA_PANEL_ID, ANNOTATION_TAGS, ANNOTATION_REGION (true/false)
+
+Examples:
+  avail annotate reports/istio-run1 --dashboard-uid k6-chaos --region --tags 'chaos,{run},{namespace},{fault}'
+  avail annotate reports/istio-run1 --sync --dry-run
+  avail annotate reports/istio-run1 --delete`,
+
+  async run(values, positionals) {
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+    if (values.sync && values.delete) {
+      throw new UsageError('--sync and --delete cannot be combined');
+    }
+    if (values['dry-run'] && !values.sync && !values.delete) {
+      throw new UsageError('--dry-run needs --sync or --delete');
+    }
+    const config = loadGrafanaConfig(process.env, {
+      dashboardUID: values['dashboard-uid'],
+      panelId: values['panel-id'],
+      region: values.region,
+      tags: values.tags,
+      run: values.run,
+      report: values.report,
+      orgId: values['org-id'],
+      concurrency: values.concurrency,
+      retries: values.retries,
+      timeout: values.timeout
+    });
+    const input = positionals[0] || 'pod-terminations.csv';
+    const options = { dryRun: values['dry-run'] };
+
+    let result;
+    if (values.delete) {
+      result = await deleteAnnotations(runName(input, config), config, options);
+    } else if (values.sync) {
+      result = await syncAnnotations(input, config, options);
+    } else {
+      result = await createAnnotations(input, config);
+    }
+    return { ...result, exitCode: result.failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK };
+  }
+};
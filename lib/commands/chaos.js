@@ -0,0 +1,108 @@
+const path = require('path');
+const log = require('../logger');
+const { readPlanFile, validatePlan, runPlan } = require('../chaos');
+const { readRunFile, writeRunMetadata } = require('../run-info');
+const { loadKubeConfig, createKubeClient } = require('../kube');
+const { parseSeconds } = require('../cli');
+const { UsageError, EXIT_CODES } = require('../errors');
+
+// Environment variables overriding plan settings (flags take precedence)
+const ENV_OPTIONS = {
+  CHAOS_PLAN: 'plan',
+  CHAOS_DRY_RUN: 'dry-run',
+  CHAOS_INTERVAL: 'interval',
+  CHAOS_JITTER: 'jitter',
+  CHAOS_SETTLE: 'settle',
+  CHAOS_OUTPUT: 'output'
+};
+
+/**
+ * Parse a boolean flag value from the environment
+ */
+function parseBoolean(value, name) {
+  if (typeof value === 'boolean') return value;
+  const key = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(key)) return true;
+  if (['false', '0', 'no', ''].includes(key)) return false;
+  throw new UsageError(`Invalid ${name} "${value}". Expected true or false`);
+}
+
+module.exports = {
+  name: 'chaos',
+  usage: '<plan.yaml|plan.json> [options]',
+  summary: 'Delete pods or inject other faults according to a chaos plan (writes pod-terminations.csv).',
+  options: {
+    'dry-run': { type: 'boolean' },
+    interval: { type: 'string' },
+    jitter: { type: 'string' },
+    settle: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    'api-url': { type: 'string' }
+  },
+  help: `      --dry-run                    Log the faults that would be injected without injecting them
+      --interval <seconds>         Seconds between kills (overrides the plan)
+      --jitter <seconds>           Random ± seconds added to each interval (overrides the plan)
+      --settle <seconds>           Seconds to keep running after the last kill (overrides the plan)
+  -o, --output <file>              Terminations CSV (default: ./pod-terminations.csv)
+      --api-url <url>              Kubernetes API server, e.g. http://127.0.0.1:8001 for kubectl proxy`,
+  epilog: `Environment:
+  CHAOS_PLAN, CHAOS_DRY_RUN, CHAOS_INTERVAL, CHAOS_JITTER, CHAOS_SETTLE, CHAOS_OUTPUT
+  KUBERNETES_API_URL, KUBERNETES_TOKEN, KUBERNETES_CA_FILE, KUBERNETES_INSECURE
+  In a pod the service account token and CA are used automatically.
+
+Plan format: see pod-killer/plans/ and lib/chaos.js.
+Exits with 1 when an abort condition halted the run (see lib/abort.js). The plan and its name
+(as target group) are recorded in run.json next to the terminations CSV.`,
+
+  async run(values, positionals) {
+    const env = process.env;
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+    const raw = { plan: positionals[0] };
+    Object.entries(ENV_OPTIONS).forEach(([name, key]) => {
+      if (raw[key] === undefined && env[name] !== undefined) raw[key] = env[name];
+    });
+    ['dry-run', 'interval', 'jitter', 'settle', 'output'].forEach(key => {
+      if (values[key] !== undefined) raw[key] = values[key];
+    });
+    if (!raw.plan) {
+      throw new UsageError('A chaos plan file is required');
+    }
+
+    // Overrides are applied before validation so targets inherit an overridden interval
+    const overrides = {};
+    if (raw['dry-run'] !== undefined) overrides.dryRun = parseBoolean(raw['dry-run'], 'dry run');
+    if (raw.interval !== undefined) overrides.interval = parseSeconds(raw.interval, 'interval', true);
+    if (raw.jitter !== undefined) overrides.jitter = parseSeconds(raw.jitter, 'jitter', true);
+    if (raw.settle !== undefined) overrides.settle = parseSeconds(raw.settle, 'settle', true);
+    const plan = validatePlan({ ...readPlanFile(raw.plan), ...overrides }, raw.plan);
+
+    const client = createKubeClient(loadKubeConfig({ apiUrl: values['api-url'] }, env));
+
+    // Ctrl-C / pod termination stops the run but still writes the terminations so far
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    try {
+      const result = await runPlan(plan, { client, output: raw.output, signal: controller.signal });
+      if (!result.dryRun) {
+        // Record the plan in the run metadata of the report folder
+        const folder = path.dirname(result.output);
+        try {
+          const existing = readRunFile(folder);
+          writeRunMetadata(folder, { chaosPlan: raw.plan, targetGroup: existing && existing.targetGroup ? undefined : plan.name });
+        } catch (error) {
+          log.warn(`Could not record the chaos plan: ${error.message}`);
+        }
+      }
+      // A breached abort condition fails the run; Ctrl-C does not
+      return { ...result, exitCode: result.abortReason ? EXIT_CODES.FAILURE : EXIT_CODES.OK };
+    } finally {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+    }
+  }
+};
+
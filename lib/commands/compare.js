@@ -0,0 +1,36 @@
+const { compareRuns, DEFAULT_COMPARE_OPTIONS } = require('../compare');
+const { parsePercent } = require('../cli');
+const { UsageError } = require('../errors');
+
+module.exports = {
+  name: 'compare',
+  usage: '<report-folder> <report-folder...> [options]',
+  summary: 'Compare the analysis reports of several runs per component and highlight regressions.',
+  options: {
+    baseline: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    'latency-threshold': { type: 'string' },
+    'throughput-threshold': { type: 'string' },
+    'success-threshold': { type: 'string' }
+  },
+  help: `      --baseline <report-folder>   Compare every run against this run (default: the previous run)
+  -o, --output <file>              Write the comparison matrix as CSV
+      --latency-threshold <pp>     Latency change increase counted as a regression (default: ${DEFAULT_COMPARE_OPTIONS.latencyThreshold})
+      --throughput-threshold <pp>  Throughput change decrease counted as a regression (default: ${DEFAULT_COMPARE_OPTIONS.throughputThreshold})
+      --success-threshold <pp>     Success rate decrease counted as a regression (default: ${DEFAULT_COMPARE_OPTIONS.successThreshold})`,
+  epilog: `Runs are compared in the order given. Thresholds are in percentage points.`,
+
+  run(values, positionals) {
+    if (positionals.length < 2) {
+      throw new UsageError('At least two report folders are required');
+    }
+    const threshold = (name, key) => (values[name] !== undefined ? parsePercent(values[name], name.replace('-', ' ')) : DEFAULT_COMPARE_OPTIONS[key]);
+    return compareRuns(positionals, {
+      baseline: values.baseline,
+      output: values.output,
+      latencyThreshold: threshold('latency-threshold', 'latencyThreshold'),
+      throughputThreshold: threshold('throughput-threshold', 'throughputThreshold'),
+      successThreshold: threshold('success-threshold', 'successThreshold')
+    });
+  }
+};
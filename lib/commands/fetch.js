@@ -0,0 +1,68 @@
+const { fetchTimeSeries, FETCH_DEFAULTS } = require('../prometheus');
+const { parseSeconds } = require('../cli');
+const { parseTimestamp } = require('../time');
+const { UsageError } = require('../errors');
+
+/**
+ * Parse a --from/--to time (epoch seconds or milliseconds, or an ISO date)
+ */
+function parseTime(value, name) {
+  const millis = parseTimestamp(value);
+  if (!Number.isFinite(millis)) {
+    throw new UsageError(`Invalid ${name} "${value}". Expected epoch seconds or milliseconds, or an ISO date`);
+  }
+  return millis;
+}
+
+module.exports = {
+  name: 'fetch',
+  usage: '<report-folder> [options]',
+  summary: 'Fetch the k6 time series of a run from Prometheus (writes k6-time-series.csv).',
+  options: {
+    'prometheus-url': { type: 'string' },
+    'test-id': { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    step: { type: 'string' },
+    queries: { type: 'string' },
+    output: { type: 'string', short: 'o' }
+  },
+  help: `      --prometheus-url <url>       Prometheus server, e.g. http://prometheus.monitoring:9090
+      --test-id <id>               k6 testid tag (default: testId of run.json)
+      --from <time>                Start, epoch or ISO date (default: start of run.json)
+      --to <time>                  End, epoch or ISO date (default: end of run.json)
+      --step <seconds>             Seconds between points (default: ${FETCH_DEFAULTS.step})
+      --queries <file>             PromQL queries and the columns they fill (YAML or JSON,
+                                   default: k6 Prometheus remote write metrics)
+  -o, --output <file>              Time series CSV (default: k6-time-series.csv in the report folder)`,
+  epilog: `Environment:
+  PROMETHEUS_URL         Prometheus server (overridden by --prometheus-url)
+
+Without run.json the Grafana link in INFO.md provides the defaults; the test id and range used
+are recorded in run.json when it has none. Queries file format: see lib/prometheus.js.
+
+Example:
+  avail fetch reports/istio-run2 --prometheus-url http://127.0.0.1:9090`,
+
+  run(values, positionals) {
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+    const url = values['prometheus-url'] || process.env.PROMETHEUS_URL;
+    if (!url) {
+      throw new UsageError('A Prometheus server is required: use --prometheus-url or PROMETHEUS_URL');
+    }
+    if (!/^https?:\/\//.test(url)) {
+      throw new UsageError(`Invalid Prometheus URL "${url}". Expected an http(s) URL`);
+    }
+    return fetchTimeSeries(positionals[0] || '.', {
+      url,
+      testId: values['test-id'],
+      from: values.from !== undefined ? parseTime(values.from, 'from') : undefined,
+      to: values.to !== undefined ? parseTime(values.to, 'to') : undefined,
+      step: values.step !== undefined ? parseSeconds(values.step, 'step') : undefined,
+      queries: values.queries,
+      output: values.output
+    });
+  }
+};
@@ -0,0 +1,54 @@
+const { importK6Output, DEFAULT_IMPORT_OPTIONS } = require('../k6');
+const { parseSeconds } = require('../cli');
+const { UsageError } = require('../errors');
+
+/**
+ * Parse a comma-separated list of latency percentiles (p99, 99, p99.9)
+ */
+function parsePercentiles(value) {
+  return value.split(',').map(item => {
+    const text = item.trim().replace(/^p/i, '');
+    const num = Number(text);
+    if (text === '' || isNaN(num) || num <= 0 || num > 100) {
+      throw new UsageError(`Invalid percentile "${item}". Expected values such as p50,p95,p99`);
+    }
+    return num;
+  });
+}
+
+module.exports = {
+  name: 'import',
+  usage: '<k6-output...> [options]',
+  summary: 'Import k6 --out json/csv samples and end-of-test summaries (writes k6-time-series.csv, k6-summary.json).',
+  options: {
+    folder: { type: 'string', short: 'f' },
+    bucket: { type: 'string' },
+    percentiles: { type: 'string' },
+    'latency-metric': { type: 'string' },
+    'throughput-metric': { type: 'string' },
+    'error-metric': { type: 'string' }
+  },
+  help: `  -f, --folder <dir>               Report folder to write into (default: current directory)
+      --bucket <seconds>           Time bucket size for raw samples (default: ${DEFAULT_IMPORT_OPTIONS.bucket})
+      --percentiles <list>         Latency percentiles, e.g. p50,p95,p99 (default: p${DEFAULT_IMPORT_OPTIONS.percentiles.join(',p')})
+      --latency-metric <name>      Trend metric used for latency (default: ${DEFAULT_IMPORT_OPTIONS.latencyMetric})
+      --throughput-metric <name>   Counter metric used for throughput (default: ${DEFAULT_IMPORT_OPTIONS.throughputMetric})
+      --error-metric <name>        Rate metric used for failures (default: ${DEFAULT_IMPORT_OPTIONS.errorMetric})`,
+  epilog: `Inputs are detected by content: k6 --out json (NDJSON), --out csv (*.csv),
+--summary-export or handleSummary JSON and the console summary (k6-tests.txt).
+Gzipped sample streams (*.gz) are supported.`,
+
+  run(values, positionals) {
+    if (positionals.length === 0) {
+      throw new UsageError('At least one k6 output file is required');
+    }
+    return importK6Output(positionals, {
+      folder: values.folder,
+      bucket: values.bucket !== undefined ? parseSeconds(values.bucket, 'bucket') : undefined,
+      percentiles: values.percentiles !== undefined ? parsePercentiles(values.percentiles) : undefined,
+      latencyMetric: values['latency-metric'],
+      throughputMetric: values['throughput-metric'],
+      errorMetric: values['error-metric']
+    });
+  }
+};
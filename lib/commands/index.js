@@ -0,0 +1,14 @@
+// Commands available through the avail CLI, in help order
+module.exports = [
+  require('./chaos'),
+  require('./manifest'),
+  require('./import'),
+  require('./fetch'),
+  require('./info'),
+  require('./merge'),
+  require('./analyze'),
+  require('./annotate'),
+  require('./report'),
+  require('./compare'),
+  require('./run-all')
+];
@@ -0,0 +1,130 @@
+const log = require('../logger');
+const { readRunFile, readRunMetadata, runMetadataFromInfo, writeRunMetadata } = require('../run-info');
+const { reportPaths } = require('../report-folder');
+const { parseTimestamp } = require('../time');
+const { UsageError, AvailError } = require('../errors');
+
+/**
+ * Parse a --start/--end time (epoch seconds or milliseconds, or an ISO date)
+ */
+function parseTime(value, name) {
+  const millis = parseTimestamp(value);
+  if (!Number.isFinite(millis)) {
+    throw new UsageError(`Invalid ${name} "${value}". Expected epoch seconds or milliseconds, or an ISO date`);
+  }
+  return millis;
+}
+
+/**
+ * Parse --link "Title=URL" values
+ */
+function parseLinks(values) {
+  return values.map(value => {
+    const idx = value.indexOf('=');
+    if (idx < 1 || !/^https?:\/\//.test(value.slice(idx + 1))) {
+      throw new UsageError(`Invalid link "${value}". Expected Title=https://...`);
+    }
+    return { title: value.slice(0, idx).trim(), url: value.slice(idx + 1).trim() };
+  });
+}
+
+module.exports = {
+  name: 'info',
+  usage: '<report-folder> [options]',
+  summary: 'Show, create or check the run metadata of a report folder (run.json).',
+  options: {
+    name: { type: 'string' },
+    'target-group': { type: 'string' },
+    start: { type: 'string' },
+    end: { type: 'string' },
+    'test-id': { type: 'string' },
+    scenario: { type: 'string' },
+    plan: { type: 'string' },
+    baseline: { type: 'string' },
+    tag: { type: 'string', multiple: true },
+    link: { type: 'string', multiple: true },
+    'from-info': { type: 'boolean' },
+    check: { type: 'boolean' }
+  },
+  help: `      --name <name>                Run name (default: the report folder name)
+      --target-group <name>        Components the faults targeted
+      --start <time>               Start of the k6 test, epoch or ISO date
+      --end <time>                 End of the k6 test, epoch or ISO date
+      --test-id <id>               k6 testid tag
+      --scenario <name>            k6 scenario or script
+      --plan <file>                Chaos plan used
+      --baseline <report-folder>   Clean run used as the analysis baseline
+      --tag <template>             Annotation tag template, repeatable (replaces the tags)
+      --link <title=url>           Dashboard or snapshot link, repeatable (replaces the links)
+      --from-info                  Fill run.json from the Grafana links in INFO.md
+      --check                      Only validate run.json`,
+  epilog: `Without options the run metadata is printed. Options create run.json or update the given
+fields; see schemas/run.schema.json for the format.
+
+Examples:
+  avail info reports/istio-run1 --from-info --target-group istio --baseline reports/clean-run
+  avail info reports/istio-run1 --check`,
+
+  run(values, positionals) {
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+    const folder = positionals[0] || '.';
+    const paths = reportPaths(folder);
+
+    if (values.check) {
+      const raw = readRunFile(folder);
+      if (!raw) {
+        throw new AvailError(`File not found: ${paths.run}`);
+      }
+      log.info(`${paths.run} is valid`);
+      return { file: paths.run, valid: true };
+    }
+
+    const updates = {
+      name: values.name,
+      targetGroup: values['target-group'],
+      start: values.start !== undefined ? parseTime(values.start, 'start') : undefined,
+      end: values.end !== undefined ? parseTime(values.end, 'end') : undefined,
+      testId: values['test-id'],
+      scenario: values.scenario,
+      chaosPlan: values.plan,
+      baseline: values.baseline,
+      tags: values.tag,
+      links: values.link ? parseLinks(values.link) : undefined
+    };
+    const changed = Object.values(updates).some(value => value !== undefined);
+
+    if (values['from-info']) {
+      const fromInfo = runMetadataFromInfo(folder);
+      if (!fromInfo) {
+        throw new AvailError(`File not found: ${paths.info}`);
+      }
+      writeRunMetadata(folder, fromInfo, { onlyMissing: true });
+    }
+    if (changed) {
+      writeRunMetadata(folder, updates);
+    }
+
+    const metadata = readRunMetadata(folder);
+    if (!metadata) {
+      throw new AvailError(`No run metadata in ${paths.folder}: create run.json with the options above or --from-info`);
+    }
+    log.info(`Source: ${metadata.source}`);
+    log.info(`Name: ${metadata.name}`);
+    [
+      ['Target group', metadata.targetGroup],
+      ['Start', metadata.start !== null ? new Date(metadata.start).toISOString() : null],
+      ['End', metadata.end !== null ? new Date(metadata.end).toISOString() : null],
+      ['Test id', metadata.testId],
+      ['Scenario', metadata.scenario],
+      ['Chaos plan', metadata.chaosPlan],
+      ['Baseline', metadata.baseline],
+      ['Tags', metadata.tags && metadata.tags.join(', ')]
+    ].forEach(([label, value]) => {
+      if (value) log.info(`${label}: ${value}`);
+    });
+    metadata.links.forEach(link => log.info(`${link.title}: ${link.url}`));
+    return metadata;
+  }
+};
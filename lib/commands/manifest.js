@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('../logger');
+const { loadPlan } = require('../chaos');
+const { buildManifests, renderManifests, manifestFileName, checkManifests, printCheck, MANIFEST_DEFAULTS } = require('../manifest');
+const { UsageError, EXIT_CODES } = require('../errors');
+
+module.exports = {
+  name: 'manifest',
+  usage: '<plan.yaml...> [options]',
+  summary: 'Generate pod killer Kubernetes manifests (RBAC, ConfigMap, Job) from chaos plans, or check existing ones.',
+  options: {
+    output: { type: 'string', short: 'o' },
+    dir: { type: 'string', short: 'd' },
+    check: { type: 'boolean' },
+    image: { type: 'string' },
+    namespace: { type: 'string' }
+  },
+  help: `  -o, --output <file>              Manifest file (single plan; default: print to stdout)
+  -d, --dir <dir>                  Write <dir>/k8s-pod-killer-<plan>.yaml for every plan
+      --check                      Compare the existing manifest files with the generated ones instead of writing
+      --image <image>              Container image with bash and kubectl (default: ${MANIFEST_DEFAULTS.image})
+      --namespace <ns>             Namespace of the Job and ServiceAccount (default: the plan's namespace or first target's)`,
+  epilog: `Examples:
+  avail manifest pod-killer/plans/istio.yaml | kubectl apply -f -
+  avail manifest pod-killer/plans/*.yaml -d pod-killer
+  avail manifest pod-killer/plans/*.yaml -d pod-killer --check   # exits 1 when a manifest has drifted`,
+
+  run(values, positionals) {
+    if (positionals.length === 0) {
+      throw new UsageError('At least one chaos plan file is required');
+    }
+    if (values.output && values.dir) {
+      throw new UsageError('Use either --output or --dir');
+    }
+    if (values.output && positionals.length > 1) {
+      throw new UsageError('--output takes a single plan; use --dir for several');
+    }
+    if (values.check && !values.output && !values.dir) {
+      throw new UsageError('--check needs the manifest files to compare (--output or --dir)');
+    }
+
+    const manifests = positionals.map(source => {
+      const plan = loadPlan(source);
+      const file = values.output || (values.dir ? path.join(values.dir, manifestFileName(plan)) : null);
+      return { source, plan, file, objects: buildManifests(plan, { image: values.image, namespace: values.namespace }) };
+    });
+
+    if (values.check) {
+      const results = manifests.map(({ file, objects }) => {
+        const result = checkManifests(file, objects);
+        printCheck(result);
+        return result;
+      });
+      const drifted = results.filter(result => !result.ok).length;
+      log.info(`\n${results.length - drifted} of ${results.length} manifests up to date`);
+      if (drifted > 0) {
+        log.warn(`Regenerate with: avail manifest ${positionals.join(' ')} ${values.dir ? `-d ${values.dir}` : `-o ${values.output}`}`);
+      }
+      return { checked: results, drifted, exitCode: drifted > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK };
+    }
+
+    const written = [];
+    manifests.forEach(({ source, plan, file, objects }) => {
+      const yaml = renderManifests(objects, source);
+      if (!file) {
+        if (!log.isJson()) process.stdout.write(yaml);
+        return;
+      }
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, yaml);
+      log.info(`Manifests for ${plan.name} written to: ${file}`);
+      written.push(path.resolve(file));
+    });
+    return { plans: manifests.map(({ plan }) => plan.name), written };
+  }
+};
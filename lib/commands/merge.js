@@ -0,0 +1,17 @@
+const { mergeData } = require('../merge');
+const { UsageError } = require('../errors');
+
+module.exports = {
+  name: 'merge',
+  usage: '<report-folder>',
+  summary: 'Merge pod terminations into the k6 time series (writes merged-time-series.csv).',
+  options: {},
+  help: '',
+
+  run(values, positionals) {
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+    return mergeData(positionals[0] || '.');
+  }
+};
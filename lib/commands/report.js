@@ -0,0 +1,37 @@
+const { summarizeReport } = require('../report');
+const { renderHtmlReport } = require('../html-report');
+const { UsageError } = require('../errors');
+
+module.exports = {
+  name: 'report',
+  usage: '<report-folder> [options]',
+  summary: 'Print the statistical analysis report of a report folder, or render it as HTML.',
+  options: {
+    html: { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    columns: { type: 'string' }
+  },
+  help: `      --html                       Write a self-contained HTML report with charts, the termination
+                                   results, k6 thresholds and run metadata
+  -o, --output <file>              HTML file (default: availability-report.html in the folder)
+      --columns <file>             Column mapping for the charts (default: columns.json in the folder)`,
+  epilog: `The HTML report has no external resources, so it can be archived or handed over as is.
+
+Examples:
+  avail report reports/istio-run1
+  avail report reports/istio-run1 --html -o istio-run1.html`,
+
+  run(values, positionals) {
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+    if (!values.html && (values.output || values.columns)) {
+      throw new UsageError('--output and --columns require --html');
+    }
+    const folder = positionals[0] || '.';
+    if (values.html) {
+      return renderHtmlReport(folder, { output: values.output, columns: values.columns });
+    }
+    return summarizeReport(folder);
+  }
+};
@@ -0,0 +1,44 @@
+const log = require('../logger');
+const analyze = require('./analyze');
+const { mergeData } = require('../merge');
+const { generateReport } = require('../analysis');
+const { syncAnnotations } = require('../annotations');
+const { UsageError, EXIT_CODES } = require('../errors');
+
+module.exports = {
+  name: 'run-all',
+  usage: '<report-folder> [options]',
+  summary: 'Run merge, analysis and Grafana annotations against one report folder.',
+  options: {
+    ...analyze.options,
+    'skip-annotations': { type: 'boolean' }
+  },
+  help: `${analyze.help}
+      --skip-annotations           Do not sync the Grafana annotations of the run`,
+  epilog: analyze.epilog,
+
+  async run(values, positionals) {
+    if (positionals.length !== 1) {
+      throw new UsageError('Expected exactly one report folder');
+    }
+    const folder = positionals[0];
+    const analysisOptions = analyze.resolveOptions(values, positionals);
+
+    log.info('=== Step 1/3: Merge ===\n');
+    const merge = mergeData(folder);
+
+    log.info('\n=== Step 2/3: Analysis ===\n');
+    const analysis = generateReport(analysisOptions);
+
+    let annotations = null;
+    if (values['skip-annotations']) {
+      log.info('\n=== Step 3/3: Annotations (skipped) ===');
+    } else {
+      log.info('\n=== Step 3/3: Annotations ===\n');
+      annotations = await syncAnnotations(folder);
+    }
+
+    const failed = (annotations && annotations.failed > 0) || (analysis.slo && !analysis.slo.passed);
+    return { merge, analysis, annotations, exitCode: failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK };
+  }
+};
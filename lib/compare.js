@@ -0,0 +1,253 @@
+/**
+ * Compare statistical analysis reports across runs
+ *
+ * Report rows are aligned by component: pod names with their generated suffixes stripped
+ * (Deployment `name-<replicaset hash>-<pod hash>`, DaemonSet `name-<hash>`, StatefulSet
+ * `name-<ordinal>`). For every component and run the mean latency and throughput change and
+ * the lowest success rate of its terminations are reported. A run regresses against the
+ * reference run (the previous run with the component, or --baseline) when latency rises,
+ * throughput drops or the success rate falls by more than the configured thresholds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { readCSV, writeCSV } = require('./csv');
+const { reportPaths } = require('./report-folder');
+const { mean } = require('./statistics');
+const { formatNumber } = require('./format');
+
+// Characters Kubernetes uses for generated name suffixes (no vowels, no 0/1/3)
+const HASH = '[bcdfghjklmnpqrstvwxz2456789]';
+const SUFFIX_PATTERNS = [
+  new RegExp(`-${HASH}{5,10}-${HASH}{5}$`), // Deployment: <replicaset hash>-<pod hash>
+  new RegExp(`-${HASH}{5}$`),               // DaemonSet / bare ReplicaSet
+  /-\d+$/                                    // StatefulSet ordinal
+];
+
+// Regression thresholds, in percentage points
+const DEFAULT_COMPARE_OPTIONS = {
+  baseline: null,
+  latencyThreshold: 10,
+  throughputThreshold: 10,
+  successThreshold: 1,
+  output: null
+};
+
+/**
+ * Strip ReplicaSet/pod hash or StatefulSet ordinal suffixes from a pod name
+ */
+function componentName(pod) {
+  const name = String(pod).trim();
+  for (const pattern of SUFFIX_PATTERNS) {
+    if (pattern.test(name)) {
+      return name.replace(pattern, '');
+    }
+  }
+  return name;
+}
+
+/**
+ * Parse a report number ("8.03", "100.00%"), NaN for N/A
+ */
+function parseNumber(value) {
+  return parseFloat(String(value === undefined ? '' : value).replace('%', ''));
+}
+
+/**
+ * Throughput change (%) of a report row; the report only has the means
+ */
+function throughputChange(row) {
+  const before = parseNumber(row['Baseline Throughput Mean'] !== undefined ? row['Baseline Throughput Mean'] : row['Before Throughput Mean']);
+  const after = parseNumber(row['After Throughput Mean']);
+  if (!Number.isFinite(before) || !Number.isFinite(after) || before === 0) {
+    return NaN;
+  }
+  return ((after - before) / before) * 100;
+}
+
+/**
+ * Aggregate the report rows of one run by component
+ * @returns {Map<string, {pods: string[], terminations: number, latencyChange: number, throughputChange: number, successRate: number}>}
+ */
+function aggregateByComponent(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const component = componentName(row.Pod);
+    if (!groups.has(component)) {
+      groups.set(component, []);
+    }
+    groups.get(component).push(row);
+  });
+
+  const finite = values => values.filter(Number.isFinite);
+  const aggregated = new Map();
+  groups.forEach((componentRows, component) => {
+    const latency = finite(componentRows.map(row => parseNumber(row['Latency Change (%)'])));
+    const throughput = finite(componentRows.map(throughputChange));
+    const success = finite(componentRows.map(row => parseNumber(row['Success Rate'])));
+    aggregated.set(component, {
+      pods: componentRows.map(row => row.Pod),
+      terminations: componentRows.length,
+      latencyChange: latency.length > 0 ? mean(latency) : NaN,
+      throughputChange: throughput.length > 0 ? mean(throughput) : NaN,
+      successRate: success.length > 0 ? Math.min(...success) : NaN
+    });
+  });
+  return aggregated;
+}
+
+/**
+ * Regressions of a component in one run against the reference run
+ * @returns {string[]} Human-readable descriptions, empty when there is no regression
+ */
+function findRegressions(current, reference, options) {
+  const regressions = [];
+  const delta = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a - b : NaN);
+
+  const latency = delta(current.latencyChange, reference.latencyChange);
+  if (latency > options.latencyThreshold) {
+    regressions.push(`latency +${latency.toFixed(1)}pp`);
+  }
+  const throughput = delta(current.throughputChange, reference.throughputChange);
+  if (throughput < -options.throughputThreshold) {
+    regressions.push(`throughput ${throughput.toFixed(1)}pp`);
+  }
+  const success = delta(current.successRate, reference.successRate);
+  if (success < -options.successThreshold) {
+    regressions.push(`success rate ${success.toFixed(2)}pp`);
+  }
+  return regressions;
+}
+
+/**
+ * Signed percentage for display
+ */
+function signed(value, digits = 2) {
+  if (!Number.isFinite(value)) return 'N/A';
+  return `${value > 0 ? '+' : ''}${value.toFixed(digits)}%`;
+}
+
+/**
+ * Compare the statistical analysis reports of several report folders
+ * @param {string[]} folders - Report folders, in run order
+ * @param {Object} [options] - See DEFAULT_COMPARE_OPTIONS
+ * @returns {{runs: string[], skipped: string[], components: string[], matrix: Object[], regressions: Object[], output: string|null}}
+ */
+function compareRuns(folders, options = {}) {
+  const { baseline, latencyThreshold, throughputThreshold, successThreshold, output } = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+  const thresholds = { latencyThreshold, throughputThreshold, successThreshold };
+
+  // Load every run that has been analyzed
+  const runs = [];
+  const skipped = [];
+  folders.forEach(folder => {
+    const paths = reportPaths(folder);
+    const name = path.basename(paths.folder);
+    if (!fs.existsSync(paths.statisticalReport)) {
+      log.warn(`Warning: Skipping ${name}: ${paths.statisticalReport} not found`);
+      skipped.push(name);
+      return;
+    }
+    if (runs.some(run => run.name === name)) {
+      throw new AvailError(`Duplicate run name "${name}" (${paths.folder})`);
+    }
+    const { rows } = readCSV(paths.statisticalReport);
+    runs.push({ name, folder: paths.folder, components: aggregateByComponent(rows) });
+    log.info(`Loaded ${rows.length} terminations from ${name}`);
+  });
+
+  if (runs.length < 2) {
+    throw new AvailError(`At least two analyzed report folders are needed, found ${runs.length}`);
+  }
+  const baselineRun = baseline ? runs.find(run => run.name === path.basename(path.resolve(baseline))) : null;
+  if (baseline && !baselineRun) {
+    throw new AvailError(`Baseline run "${baseline}" is not one of the compared runs`);
+  }
+
+  // Components in order of first appearance
+  const components = [];
+  runs.forEach(run => run.components.forEach((value, component) => {
+    if (!components.includes(component)) components.push(component);
+  }));
+
+  const matrix = [];
+  const regressions = [];
+  components.forEach(component => {
+    const row = { Component: component };
+    const componentRegressions = [];
+    let previous = null;
+
+    runs.forEach(run => {
+      const current = run.components.get(component);
+      row[`${run.name} Terminations`] = current ? current.terminations : 0;
+      row[`${run.name} Latency Change (%)`] = current ? formatNumber(current.latencyChange, 2) : '';
+      row[`${run.name} Throughput Change (%)`] = current ? formatNumber(current.throughputChange, 2) : '';
+      row[`${run.name} Success Rate (%)`] = current ? formatNumber(current.successRate, 2) : '';
+      if (!current) return;
+
+      const referenceRun = baselineRun || previous;
+      const reference = referenceRun && referenceRun !== run ? referenceRun.components.get(component) : null;
+      if (reference) {
+        const found = findRegressions(current, reference, thresholds);
+        if (found.length > 0) {
+          const entry = { component, run: run.name, reference: referenceRun.name, regressions: found };
+          componentRegressions.push(entry);
+          regressions.push(entry);
+        }
+      }
+      previous = run;
+    });
+
+    row.Regressions = componentRegressions
+      .map(entry => `${entry.run} vs ${entry.reference}: ${entry.regressions.join(', ')}`)
+      .join('; ');
+    matrix.push(row);
+  });
+
+  // Print the matrix, one block per component
+  const width = Math.max(...runs.map(run => run.name.length));
+  log.info(`\n=== Run Comparison (${runs.map(run => run.name).join(', ')}) ===`);
+  components.forEach(component => {
+    log.info(`\n${component}`);
+    runs.forEach(run => {
+      const current = run.components.get(component);
+      if (!current) {
+        log.info(`  ${run.name.padEnd(width)}  -`);
+        return;
+      }
+      const regression = regressions.find(entry => entry.component === component && entry.run === run.name);
+      const marker = regression ? `  << REGRESSION vs ${regression.reference}: ${regression.regressions.join(', ')}` : '';
+      log.info(`  ${run.name.padEnd(width)}  latency ${signed(current.latencyChange).padStart(8)}  throughput ${signed(current.throughputChange).padStart(8)}  success ${formatNumber(current.successRate, 2).padStart(6)}%  (${current.terminations} termination${current.terminations === 1 ? '' : 's'})${marker}`);
+    });
+  });
+
+  log.info(`\n=== Summary ===`);
+  log.info(`Runs compared: ${runs.length}, components: ${components.length}, aligned in more than one run: ${components.filter(c => runs.filter(run => run.components.has(c)).length > 1).length}`);
+  log.info(`Regressions: ${regressions.length}`);
+
+  if (output) {
+    writeCSV(output, Object.keys(matrix[0]), matrix, { quoteAll: true });
+    log.info(`Comparison matrix written to: ${output}`);
+  }
+
+  return {
+    runs: runs.map(run => run.name),
+    skipped,
+    components,
+    matrix,
+    regressions,
+    output: output || null
+  };
+}
+
+module.exports = {
+  DEFAULT_COMPARE_OPTIONS,
+  componentName,
+  parseNumber,
+  throughputChange,
+  aggregateByComponent,
+  findRegressions,
+  compareRuns
+};
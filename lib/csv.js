@@ -0,0 +1,146 @@
+const fs = require('fs');
+
+/**
+ * Split CSV text into records of raw field values (RFC 4180).
+ * Handles quoted fields, escaped quotes ("") and embedded newlines.
+ * Unquoted fields are trimmed, quoted fields are kept verbatim.
+ */
+function parseRecords(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  if (content.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  const endField = () => {
+    record.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  for (; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      // Whitespace before an opening quote is not part of the value
+      field = '';
+      quoted = true;
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+    } else if (!quoted) {
+      field += char;
+    }
+  }
+
+  if (field !== '' || quoted || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Parse CSV text into headers and an array of row objects keyed by header
+ */
+function parseCSVContent(content) {
+  const [headers = [], ...records] = parseRecords(content);
+
+  const rows = records.map(values => {
+    const obj = {};
+    headers.forEach((header, idx) => {
+      obj[header] = values[idx];
+    });
+    return obj;
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Read a CSV file and return its headers and row objects
+ */
+function readCSV(filePath) {
+  return parseCSVContent(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Parse CSV file and return array of objects
+ */
+function parseCSV(filePath) {
+  return readCSV(filePath).rows;
+}
+
+/**
+ * Format a single CSV value, quoting it when needed (or always with quoteAll)
+ */
+function formatValue(value, quoteAll = false) {
+  const text = value === undefined || value === null ? '' : value.toString();
+  if (quoteAll || /[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialise rows to CSV text
+ * @param {string[]} headers - Column order
+ * @param {Object[]} rows - Row objects keyed by header
+ * @param {Object} [options]
+ * @param {boolean} [options.quoteAll] - Quote every data value, not only those that need it
+ */
+function stringifyCSV(headers, rows, options = {}) {
+  const lines = [headers.map(h => formatValue(h)).join(',')];
+  rows.forEach(row => {
+    lines.push(headers.map(h => formatValue(row[h], options.quoteAll)).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Write rows to a CSV file
+ */
+function writeCSV(filePath, headers, rows, options = {}) {
+  fs.writeFileSync(filePath, stringifyCSV(headers, rows, options));
+}
+
+module.exports = {
+  parseRecords,
+  parseCSVContent,
+  readCSV,
+  parseCSV,
+  formatValue,
+  stringifyCSV,
+  writeCSV
+};
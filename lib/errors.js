@@ -0,0 +1,34 @@
+// Process exit codes used by the command-line tools
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+/**
+ * Error raised by the library for expected failures (missing files, bad data).
+ * The CLI prints the message without a stack trace and exits with `exitCode`.
+ */
+class AvailError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = 'AvailError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Error raised for invalid command-line arguments or options
+ */
+class UsageError extends AvailError {
+  constructor(message) {
+    super(message, EXIT_CODES.USAGE);
+    this.name = 'UsageError';
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  AvailError,
+  UsageError
+};
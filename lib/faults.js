@@ -0,0 +1,176 @@
+/**
+ * Fault types injected by the chaos runner
+ *
+ *   delete   Delete the pod; gracePeriodSeconds 0 deletes immediately, omitted uses the pod's own
+ *   scale    Scale the pod's Deployment or StatefulSet to zero and restore its replicas after `duration`
+ *   cordon   Cordon the node hosting the pod and uncordon it after `duration`
+ *   drain    Cordon the node and evict its pods (except DaemonSet and static pods), uncordon after `duration`
+ *   isolate  Deny all ingress and egress of the pod with a NetworkPolicy, removed after `duration`
+ *
+ * inject() returns a description of what was changed and, for the faults lasting `duration`,
+ * a restore() function that undoes the change. `terminates` marks the faults ending the pod,
+ * whose replacement the chaos runner follows (see lib/replacement.js).
+ */
+
+const log = require('./logger');
+const { AvailError } = require('./errors');
+
+// Label put on an isolated pod so the NetworkPolicy selects only that pod
+const ISOLATION_LABEL = 'availability-testing/isolate';
+
+/**
+ * Find the Deployment or StatefulSet managing a pod
+ * @returns {Promise<{kind: string, resource: string, name: string}>}
+ */
+async function findWorkload(client, namespace, pod) {
+  const owner = (pod.metadata.ownerReferences || []).find(ref => ref.controller);
+  if (owner && owner.kind === 'StatefulSet') {
+    return { kind: 'StatefulSet', resource: 'statefulsets', name: owner.name };
+  }
+  if (owner && owner.kind === 'ReplicaSet') {
+    const replicaSet = await client.getApp('replicasets', namespace, owner.name);
+    const deployment = (replicaSet.metadata.ownerReferences || []).find(ref => ref.controller && ref.kind === 'Deployment');
+    if (deployment) {
+      return { kind: 'Deployment', resource: 'deployments', name: deployment.name };
+    }
+  }
+  throw new AvailError(`Pod ${pod.metadata.name} is not managed by a Deployment or StatefulSet`);
+}
+
+/**
+ * Cordon the node of a pod, optionally evicting its pods
+ */
+async function cordonNode(client, namespace, podName, evict) {
+  const pod = await client.getPod(namespace, podName);
+  const nodeName = pod.spec && pod.spec.nodeName;
+  if (!nodeName) {
+    throw new AvailError(`Pod ${podName} is not scheduled on a node`);
+  }
+
+  // A node that was already cordoned is left cordoned on restore
+  const node = await client.getNode(nodeName);
+  const wasCordoned = Boolean(node.spec && node.spec.unschedulable);
+  if (!wasCordoned) {
+    await client.setNodeUnschedulable(nodeName, true);
+  }
+
+  let evicted = 0;
+  if (evict) {
+    const pods = (await client.listNodePods(nodeName)).filter(item => {
+      const owner = (item.metadata.ownerReferences || []).find(ref => ref.controller);
+      const mirror = item.metadata.annotations && item.metadata.annotations['kubernetes.io/config.mirror'];
+      const finished = ['Succeeded', 'Failed'].includes(item.status && item.status.phase);
+      return !(owner && owner.kind === 'DaemonSet') && !mirror && !finished && !item.metadata.deletionTimestamp;
+    });
+    for (const item of pods) {
+      try {
+        await client.evictPod(item.metadata.namespace, item.metadata.name);
+        evicted++;
+      } catch (error) {
+        // 429: blocked by a PodDisruptionBudget
+        log.warn(`Could not evict ${item.metadata.namespace}/${item.metadata.name}: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    description: `node ${nodeName}${wasCordoned ? ' (already cordoned)' : ''}${evict ? `, ${evicted} pods evicted` : ''}`,
+    restore: async () => {
+      if (!wasCordoned) {
+        await client.setNodeUnschedulable(nodeName, false);
+      }
+    }
+  };
+}
+
+const FAULTS = {
+  delete: {
+    windowed: false,
+    terminates: true,
+    async inject(client, namespace, podName, options) {
+      await client.deletePod(namespace, podName, { gracePeriodSeconds: options.gracePeriodSeconds });
+      const grace = options.gracePeriodSeconds === null || options.gracePeriodSeconds === undefined
+        ? 'default grace period'
+        : `grace period ${options.gracePeriodSeconds}s`;
+      return { description: `pod deleted (${grace})`, restore: null };
+    }
+  },
+
+  scale: {
+    windowed: true,
+    async inject(client, namespace, podName) {
+      const workload = await findWorkload(client, namespace, await client.getPod(namespace, podName));
+      const current = await client.getApp(workload.resource, namespace, workload.name);
+      const replicas = current.spec.replicas;
+      await client.scaleApp(workload.resource, namespace, workload.name, 0);
+      return {
+        description: `${workload.kind} ${workload.name} scaled from ${replicas} to 0`,
+        restore: () => client.scaleApp(workload.resource, namespace, workload.name, replicas)
+      };
+    }
+  },
+
+  cordon: {
+    windowed: true,
+    inject(client, namespace, podName) {
+      return cordonNode(client, namespace, podName, false);
+    }
+  },
+
+  drain: {
+    windowed: true,
+    terminates: true,
+    inject(client, namespace, podName) {
+      return cordonNode(client, namespace, podName, true);
+    }
+  },
+
+  isolate: {
+    windowed: true,
+    async inject(client, namespace, podName) {
+      const id = `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+      const policyName = `availability-testing-isolate-${id}`;
+      const removeLabel = async () => {
+        try {
+          await client.patchPodLabels(namespace, podName, { [ISOLATION_LABEL]: null });
+        } catch (error) {
+          // The pod may have been replaced in the meantime
+          if (error.statusCode !== 404) throw error;
+        }
+      };
+
+      await client.patchPodLabels(namespace, podName, { [ISOLATION_LABEL]: id });
+      try {
+        // No ingress or egress rules: all traffic to and from the pod is denied
+        await client.createNetworkPolicy(namespace, {
+          apiVersion: 'networking.k8s.io/v1',
+          kind: 'NetworkPolicy',
+          metadata: { name: policyName, namespace },
+          spec: {
+            podSelector: { matchLabels: { [ISOLATION_LABEL]: id } },
+            policyTypes: ['Ingress', 'Egress']
+          }
+        });
+      } catch (error) {
+        await removeLabel();
+        throw error;
+      }
+      return {
+        description: `NetworkPolicy ${policyName}`,
+        restore: async () => {
+          await client.deleteNetworkPolicy(namespace, policyName);
+          await removeLabel();
+        }
+      };
+    }
+  }
+};
+
+const FAULT_TYPES = Object.keys(FAULTS);
+
+module.exports = {
+  FAULTS,
+  FAULT_TYPES,
+  ISOLATION_LABEL,
+  findWorkload
+};
@@ -0,0 +1,19 @@
+/**
+ * Format a number with fixed decimals, or 'N/A' when not finite
+ */
+function formatNumber(value, digits = 4) {
+  return Number.isFinite(value) ? value.toFixed(digits) : 'N/A';
+}
+
+/**
+ * Format a p-value, switching to exponent notation for very small values
+ */
+function formatPValue(p) {
+  if (!Number.isFinite(p)) return 'N/A';
+  return p < 0.0001 ? p.toExponential(2) : p.toFixed(4);
+}
+
+module.exports = {
+  formatNumber,
+  formatPValue
+};
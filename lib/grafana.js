@@ -0,0 +1,239 @@
+/**
+ * Minimal Grafana HTTP API client
+ *
+ * Requests time out, and those rejected with 429 or a 5xx status (or failing on the network)
+ * are retried with exponential backoff, waiting as long as a Retry-After header asks. Callers
+ * run several requests at a time with mapConcurrent(), bounded by `concurrency`.
+ *
+ * Environment:
+ *   GRAFANA_URL              Grafana instance URL (e.g. https://grafana.example.com or a mock server)
+ *   GRAFANA_TOKEN            Service account or API token (Bearer)
+ *   GRAFANA_USER             Basic auth user, with GRAFANA_PASSWORD, when there is no token
+ *   GRAFANA_ORG_ID           Organisation to act in (X-Grafana-Org-Id header)
+ *   GRAFANA_TIMEOUT          Seconds before a request is abandoned (default 30)
+ *   GRAFANA_RETRIES          Retries of a failed request (default 3)
+ *   GRAFANA_CONCURRENCY      Requests in flight at a time (default 4)
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+
+const GRAFANA_DEFAULTS = {
+  timeout: 30,
+  retries: 3,
+  concurrency: 4
+};
+
+// Backoff before the first retry, doubled for each further one
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+// Longest Retry-After that is honoured
+const RETRY_AFTER_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Error returned by Grafana; `statusCode` holds the HTTP status (null for network errors)
+ */
+class GrafanaApiError extends AvailError {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'GrafanaApiError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse a positive integer setting
+ */
+function positiveInteger(value, name, minimum = 1) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minimum) {
+    throw new AvailError(`Invalid ${name} "${value}". Expected an integer of at least ${minimum}`);
+  }
+  return number;
+}
+
+/**
+ * Resolve the Grafana connection settings
+ * @param {Object} [env]
+ * @param {Object} [overrides] - { orgId, timeout, retries, concurrency }
+ * @returns {{url: string, token: string|undefined, user: string|undefined, password: string|undefined, orgId: string|null, timeout: number, retries: number, concurrency: number}}
+ */
+function loadGrafanaConnection(env = process.env, overrides = {}) {
+  if (!env.GRAFANA_URL) {
+    throw new AvailError('GRAFANA_URL is not set. Add it to the environment or a .env file.');
+  }
+  const pick = (key, envValue, fallback) => {
+    const value = overrides[key] !== undefined ? overrides[key] : envValue;
+    return value !== undefined && value !== '' ? value : fallback;
+  };
+  const orgId = pick('orgId', env.GRAFANA_ORG_ID, null);
+  return {
+    url: env.GRAFANA_URL.replace(/\/+$/, ''),
+    token: env.GRAFANA_TOKEN || undefined,
+    user: env.GRAFANA_USER || undefined,
+    password: env.GRAFANA_PASSWORD || undefined,
+    orgId: orgId !== null ? String(positiveInteger(orgId, 'Grafana org id')) : null,
+    timeout: positiveInteger(pick('timeout', env.GRAFANA_TIMEOUT, GRAFANA_DEFAULTS.timeout), 'Grafana timeout'),
+    retries: positiveInteger(pick('retries', env.GRAFANA_RETRIES, GRAFANA_DEFAULTS.retries), 'Grafana retries', 0),
+    concurrency: positiveInteger(pick('concurrency', env.GRAFANA_CONCURRENCY, GRAFANA_DEFAULTS.concurrency), 'Grafana concurrency')
+  };
+}
+
+/**
+ * Milliseconds a Retry-After header asks to wait (seconds or an HTTP date), or null
+ */
+function retryAfterMs(value, now = Date.now()) {
+  if (!value) return null;
+  const ms = /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - now;
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), RETRY_AFTER_MAX_MS) : null;
+}
+
+/**
+ * Whether a failed request may succeed when retried
+ */
+function isRetryable(error) {
+  return error.statusCode === null || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+/**
+ * Create an API client
+ * @param {Object} config - Result of loadGrafanaConnection()
+ * @param {Object} [options] - { sleep } replaces the backoff wait
+ */
+function createGrafanaClient(config, { sleep = delay } = {}) {
+  const headers = { Accept: 'application/json' };
+  if (config.token) {
+    headers.Authorization = `Bearer ${config.token}`;
+  } else if (config.user) {
+    headers.Authorization = `Basic ${Buffer.from(`${config.user}:${config.password || ''}`).toString('base64')}`;
+  }
+  if (config.orgId) {
+    headers['X-Grafana-Org-Id'] = config.orgId;
+  }
+
+  /**
+   * Send one request and return the parsed JSON response
+   */
+  async function send(method, apiPath, url, body) {
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: body !== undefined ? { ...headers, 'Content-Type': 'application/json' } : headers,
+        body,
+        signal: AbortSignal.timeout(config.timeout * 1000)
+      });
+      // The timeout also covers the body, which can stall or be cut off after the headers
+      text = await response.text();
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${config.timeout}s` : (error.cause && error.cause.message) || error.message;
+      throw new GrafanaApiError(`${method} ${apiPath}: ${reason}`, null);
+    }
+
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+      parsed = null;
+    }
+    if (!response.ok) {
+      const reason = parsed && parsed.message ? parsed.message : text.trim() || response.statusText;
+      const error = new GrafanaApiError(`${method} ${apiPath}: HTTP ${response.status} ${reason}`, response.status);
+      error.retryAfter = retryAfterMs(response.headers.get('retry-after'));
+      throw error;
+    }
+    return parsed;
+  }
+
+  /**
+   * Send a request, retrying 429, 5xx and network errors, and return the parsed JSON response
+   * @param {string} method
+   * @param {string} apiPath - e.g. /api/annotations
+   * @param {Object} [options] - { query (array values repeat the parameter), body }
+   */
+  async function request(method, apiPath, options = {}) {
+    const url = new URL(config.url + apiPath);
+    Object.entries(options.query || {}).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(item => {
+        if (item !== undefined && item !== null && item !== '') url.searchParams.append(key, item);
+      });
+    });
+    const body = options.body !== undefined ? JSON.stringify(options.body) : undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(method, apiPath, url, body);
+      } catch (error) {
+        if (attempt >= config.retries || !isRetryable(error)) throw error;
+        const wait = error.retryAfter !== null && error.retryAfter !== undefined
+          ? error.retryAfter
+          : Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+        log.warn(`${error.message}; retrying in ${(wait / 1000).toFixed(1)}s (${attempt + 1}/${config.retries})`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return {
+    request,
+
+    /**
+     * Find annotations
+     * @param {Object} query - /api/annotations parameters (tags, from, to, dashboardUID, limit, ...)
+     * @returns {Promise<Object[]>}
+     */
+    async findAnnotations(query) {
+      return (await request('GET', '/api/annotations', { query })) || [];
+    },
+
+    /**
+     * Create an annotation
+     * @returns {Promise<{id: number, message: string}>}
+     */
+    createAnnotation(payload) {
+      return request('POST', '/api/annotations', { body: payload });
+    },
+
+    /**
+     * Replace an annotation
+     */
+    updateAnnotation(id, payload) {
+      return request('PUT', `/api/annotations/${encodeURIComponent(id)}`, { body: payload });
+    },
+
+    /**
+     * Delete an annotation
+     */
+    deleteAnnotation(id) {
+      return request('DELETE', `/api/annotations/${encodeURIComponent(id)}`);
+    }
+  };
+}
+
+/**
+ * Map items with an async function, at most `limit` at a time; results keep the item order
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  GRAFANA_DEFAULTS,
+  GrafanaApiError,
+  loadGrafanaConnection,
+  retryAfterMs,
+  createGrafanaClient,
+  mapConcurrent
+};
@@ -0,0 +1,142 @@
+/**
+ * Safety guards checked by the chaos runner before each kill
+ *
+ *   guards:
+ *     minReadyReplicas: 2    # the pod's Deployment or StatefulSet keeps at least this many Ready replicas
+ *     respectPdb: true       # every PodDisruptionBudget covering the pod allows a disruption
+ *     noCrashLoop: true      # no pod of the namespace is in CrashLoopBackOff
+ *
+ * Guards are set for the whole plan and can be overridden per target. A kill whose guards do
+ * not hold is skipped; checkGuards() returns the reasons.
+ */
+
+const { findWorkload } = require('./faults');
+
+const GUARD_DEFAULTS = {
+  minReadyReplicas: 0,
+  respectPdb: false,
+  noCrashLoop: false
+};
+
+/**
+ * Validate a guards object, merged over the inherited guards
+ * @param {Object} raw - Guards as written in the plan (may be undefined)
+ * @param {Object} inherited - Plan guards (or GUARD_DEFAULTS)
+ * @param {string} where - Location for error messages
+ * @param {string[]} errors - Collects validation errors
+ */
+function validateGuards(raw, inherited, where, errors) {
+  if (raw === undefined || raw === null) return { ...inherited };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${where}: expected an object`);
+    return { ...inherited };
+  }
+  const unknown = Object.keys(raw).filter(key => !(key in GUARD_DEFAULTS));
+  if (unknown.length > 0) {
+    errors.push(`${where}: unknown guard ${unknown.join(', ')} (expected ${Object.keys(GUARD_DEFAULTS).join(', ')})`);
+  }
+  const guards = { ...inherited, ...raw };
+  if (!Number.isInteger(guards.minReadyReplicas) || guards.minReadyReplicas < 0) {
+    errors.push(`${where}.minReadyReplicas: expected a non-negative integer`);
+  }
+  ['respectPdb', 'noCrashLoop'].forEach(key => {
+    if (typeof guards[key] !== 'boolean') errors.push(`${where}.${key}: expected true or false`);
+  });
+  return guards;
+}
+
+/**
+ * Whether any guard is enabled
+ */
+function hasGuards(guards) {
+  return guards.minReadyReplicas > 0 || guards.respectPdb || guards.noCrashLoop;
+}
+
+/**
+ * Whether a label selector (matchLabels and matchExpressions) selects a set of labels
+ */
+function selectorMatches(selector, labels = {}) {
+  if (!selector) return false;
+  const matchLabels = Object.entries(selector.matchLabels || {}).every(([key, value]) => labels[key] === value);
+  const matchExpressions = (selector.matchExpressions || []).every(({ key, operator, values = [] }) => {
+    switch (operator) {
+      case 'In': return key in labels && values.includes(labels[key]);
+      case 'NotIn': return !(key in labels) || !values.includes(labels[key]);
+      case 'Exists': return key in labels;
+      case 'DoesNotExist': return !(key in labels);
+      default: return false;
+    }
+  });
+  return matchLabels && matchExpressions;
+}
+
+/**
+ * Ready replicas of the pod's workload that would remain after the fault
+ */
+async function checkReadyReplicas(client, target, pod, minimum) {
+  let workload;
+  try {
+    workload = await findWorkload(client, target.namespace, pod);
+  } catch (error) {
+    return `minReadyReplicas: ${error.message}`;
+  }
+  const app = await client.getApp(workload.resource, target.namespace, workload.name);
+  const ready = (app.status && app.status.readyReplicas) || 0;
+  // Scaling takes every replica down, cordoning none
+  const lost = target.fault === 'scale' ? ready : (target.fault === 'cordon' ? 0 : 1);
+  const remaining = Math.max(0, ready - lost);
+  return remaining < minimum
+    ? `minReadyReplicas: ${workload.kind} ${workload.name} has ${ready} Ready replicas, ${remaining} would remain (minimum ${minimum})`
+    : null;
+}
+
+/**
+ * PodDisruptionBudgets covering the pod that allow no disruption
+ */
+async function checkPodDisruptionBudgets(client, target, pod) {
+  const budgets = (await client.listPodDisruptionBudgets(target.namespace))
+    .filter(pdb => selectorMatches(pdb.spec && pdb.spec.selector, pod.metadata.labels))
+    .filter(pdb => !pdb.status || !(pdb.status.disruptionsAllowed > 0));
+  return budgets.length > 0
+    ? `respectPdb: PodDisruptionBudget ${budgets.map(pdb => pdb.metadata.name).join(', ')} allows no disruptions`
+    : null;
+}
+
+/**
+ * Pods of the namespace in CrashLoopBackOff
+ */
+async function checkCrashLoops(client, target) {
+  const crashing = (await client.listPods(target.namespace))
+    .filter(pod => {
+      const statuses = [...((pod.status && pod.status.initContainerStatuses) || []), ...((pod.status && pod.status.containerStatuses) || [])];
+      return statuses.some(status => status.state && status.state.waiting && status.state.waiting.reason === 'CrashLoopBackOff');
+    })
+    .map(pod => pod.metadata.name);
+  return crashing.length > 0
+    ? `noCrashLoop: ${crashing.length} pod${crashing.length === 1 ? '' : 's'} in CrashLoopBackOff in ${target.namespace} (${crashing.slice(0, 3).join(', ')}${crashing.length > 3 ? ', ...' : ''})`
+    : null;
+}
+
+/**
+ * Check the guards of a target before a kill
+ * @param {Object} client - Kubernetes client (see lib/kube.js)
+ * @param {Object} target - Normalised plan target with its guards
+ * @param {Object} pod - The picked pod object
+ * @returns {Promise<string[]>} Reasons to skip the kill, empty when it may proceed
+ */
+async function checkGuards(client, target, pod) {
+  const { guards } = target;
+  const checks = [];
+  if (guards.minReadyReplicas > 0) checks.push(checkReadyReplicas(client, target, pod, guards.minReadyReplicas));
+  if (guards.respectPdb) checks.push(checkPodDisruptionBudgets(client, target, pod));
+  if (guards.noCrashLoop) checks.push(checkCrashLoops(client, target));
+  return (await Promise.all(checks)).filter(Boolean);
+}
+
+module.exports = {
+  GUARD_DEFAULTS,
+  validateGuards,
+  hasGuards,
+  selectorMatches,
+  checkGuards
+};
@@ -0,0 +1,388 @@
+/**
+ * Self-contained HTML availability report
+ *
+ * Renders a report folder into one HTML file without external resources, so it can be handed
+ * over and opened offline:
+ *   - the run metadata (run.json or INFO.md) and its links
+ *   - inline SVG charts of latency, throughput and check failure rates over the run, with a
+ *     marker per termination and its impact/recovery window shaded
+ *   - the per-termination significance, hypothesis test and recovery results of
+ *     statistical-analysis-report.csv (when the analysis has been run)
+ *   - the k6 thresholds and run-wide results of k6-summary.json or k6-tests.txt
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { loadReportFolder, DEFAULT_FAULT_TYPE } = require('./report-folder');
+const { loadColumnMapping, resolveColumns } = require('./columns');
+const { readRunMetadata } = require('./run-info');
+const { readAnalysisReport } = require('./annotations');
+const { impactWindowEnd } = require('./recovery');
+const { summarizeRows, SIGNIFICANT } = require('./report');
+const { summarizeRun } = require('./k6');
+const { formatNumber } = require('./format');
+
+// Series colours, reused in order
+const PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+const CHART = {
+  width: 960,
+  height: 260,
+  margin: { top: 12, right: 16, bottom: 28, left: 64 }
+};
+
+// Candidate spacings of the time axis ticks, in seconds
+const TIME_STEPS = [10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1000px; color: #222; }
+h1 { margin-bottom: 0.2em; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 1.6em; }
+table { border-collapse: collapse; font-size: 13px; margin: 0.5em 0; }
+th, td { border: 1px solid #ddd; padding: 3px 6px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+tr.significant td { background: #fff1f0; }
+.ok { color: #2ca02c; }
+.failed { color: #d62728; font-weight: bold; }
+.muted { color: #777; }
+.legend { list-style: none; padding: 0; margin: 0.3em 0 0; font-size: 12px; }
+.legend li { display: inline-block; margin-right: 1.2em; }
+.legend span { display: inline-block; width: 12px; height: 3px; margin-right: 4px; vertical-align: middle; }
+svg { display: block; }
+svg text { font-size: 11px; fill: #555; }
+`;
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round, evenly spaced ticks from 0 to at least max
+ */
+function valueTicks(max, count = 4) {
+  if (!(max > 0)) {
+    return [0, 1];
+  }
+  const raw = max / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+  const ticks = [];
+  for (let i = 0; i * step < max + step * 1e-9; i++) {
+    ticks.push(+(i * step).toPrecision(12));
+  }
+  if (ticks[ticks.length - 1] < max) {
+    ticks.push(+(ticks.length * step).toPrecision(12));
+  }
+  return ticks;
+}
+
+/**
+ * Time axis ticks (epoch ms) at a round spacing giving at most `count` ticks
+ */
+function timeTicks(start, end, count = 8) {
+  const seconds = (end - start) / 1000;
+  const step = (TIME_STEPS.find(s => seconds / s <= count) || Math.ceil(seconds / count / 3600) * 3600) * 1000;
+  const ticks = [];
+  for (let t = Math.ceil(start / step) * step; t <= end; t += step) {
+    ticks.push(t);
+  }
+  return ticks;
+}
+
+/**
+ * Format a tick value without trailing zeros
+ */
+function formatTick(value) {
+  return String(+value.toPrecision(4));
+}
+
+/**
+ * Render a line chart as inline SVG
+ * @param {{name: string, points: [number, number][]}[]} series - [epoch ms, value] points; NaN values leave gaps
+ * @param {{start: number, end: number, markers: {time: number, label: string}[], windows: {start: number, end: number, label: string}[]}} options
+ */
+function renderChart(series, options) {
+  const { width, height, margin } = CHART;
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const { start, end } = options;
+  const max = Math.max(0, ...series.flatMap(s => s.points.map(p => p[1]).filter(Number.isFinite)));
+  const yTicks = valueTicks(max);
+  const yMax = yTicks[yTicks.length - 1];
+  const x = time => margin.left + ((time - start) / Math.max(end - start, 1)) * plotWidth;
+  const y = value => margin.top + plotHeight - (value / yMax) * plotHeight;
+  const clampX = time => x(Math.min(Math.max(time, start), end)).toFixed(1);
+
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">`];
+
+  // Impact windows below everything else
+  options.windows.forEach(window => {
+    parts.push(`<rect x="${clampX(window.start)}" y="${margin.top}" width="${(clampX(window.end) - clampX(window.start)).toFixed(1)}" height="${plotHeight}" fill="#d62728" fill-opacity="0.12"><title>${escapeHtml(window.label)}</title></rect>`);
+  });
+
+  yTicks.forEach(value => {
+    parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="#eee"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${formatTick(value)}</text>`);
+  });
+  timeTicks(start, end).forEach(time => {
+    parts.push(`<line x1="${x(time).toFixed(1)}" x2="${x(time).toFixed(1)}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight + 4}" stroke="#999"/>`);
+    parts.push(`<text x="${x(time).toFixed(1)}" y="${height - 8}" text-anchor="middle">${new Date(time).toISOString().slice(11, 19)}</text>`);
+  });
+  parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}" stroke="#999"/>`);
+
+  series.forEach((s, idx) => {
+    // Start a new subpath after every gap
+    let move = true;
+    const d = s.points.map(([time, value]) => {
+      if (!Number.isFinite(value)) {
+        move = true;
+        return '';
+      }
+      const command = `${move ? 'M' : 'L'}${x(time).toFixed(1)},${y(value).toFixed(1)}`;
+      move = false;
+      return command;
+    }).filter(Boolean).join('');
+    if (d) {
+      parts.push(`<path d="${d}" fill="none" stroke="${PALETTE[idx % PALETTE.length]}" stroke-width="1.5"><title>${escapeHtml(s.name)}</title></path>`);
+    }
+  });
+
+  options.markers.forEach(marker => {
+    parts.push(`<line x1="${x(marker.time).toFixed(1)}" x2="${x(marker.time).toFixed(1)}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#d62728" stroke-dasharray="4,3"><title>${escapeHtml(marker.label)}</title></line>`);
+  });
+
+  parts.push('</svg>');
+  const legend = series.map((s, idx) => `<li><span style="background:${PALETTE[idx % PALETTE.length]}"></span>${escapeHtml(s.name)}</li>`);
+  return `${parts.join('\n')}\n<ul class="legend">${legend.join('')}</ul>`;
+}
+
+/**
+ * Chart series of the latency, throughput and check failure rate columns
+ * @returns {{title: string, unit: string, series: {name: string, points: [number, number][]}[]}[]} Charts with data
+ */
+function chartSeries(rows, resolved) {
+  const points = (column, transform = value => value) => rows.map(row => {
+    const value = parseFloat(row[column]);
+    return [row.timestamp, Number.isFinite(value) ? transform(value) : NaN];
+  });
+  const percent = value => (value >= 0 && value <= 1 ? value * 100 : NaN);
+
+  // Failure rate check columns are empty while the check passes (see getMetricsAfterTermination)
+  const failureSeries = resolved.checks.map(column => ({
+    name: column,
+    points: points(column, value => percent(resolved.checkType === 'success-rate' ? 1 - value : value))
+      .map(([time, value]) => [time, Number.isFinite(value) || resolved.checkType === 'success-rate' ? value : 0])
+  }));
+  if (resolved.errorRate.length > 0 && resolved.errorRateScale) {
+    failureSeries.push({ name: resolved.errorRate[0], points: points(resolved.errorRate[0], value => percent(value / resolved.errorRateScale)) });
+  }
+
+  return [
+    { title: 'Latency', unit: resolved.units.latency, series: resolved.latency.map(column => ({ name: column, points: points(column) })) },
+    { title: 'Throughput', unit: resolved.units.throughput, series: resolved.throughput.map(column => ({ name: column, points: points(column) })) },
+    { title: 'Check failure rate', unit: '%', series: failureSeries }
+  ].filter(chart => chart.series.some(s => s.points.some(p => Number.isFinite(p[1]))));
+}
+
+/**
+ * Render an HTML table
+ * @param {string[]} headers
+ * @param {string[][]} rows - Cell HTML
+ * @param {string[]} [rowClasses]
+ */
+function renderTable(headers, rows, rowClasses = []) {
+  const head = `<tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`;
+  const body = rows.map((cells, idx) => (
+    `<tr${rowClasses[idx] ? ` class="${rowClasses[idx]}"` : ''}>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`
+  ));
+  return `<table>\n${head}\n${body.join('\n')}\n</table>`;
+}
+
+/**
+ * Run metadata section
+ */
+function renderMetadata(metadata, folder) {
+  if (!metadata) {
+    return `<p class="muted">No run.json or INFO.md in ${escapeHtml(folder)}.</p>`;
+  }
+  const time = value => (value !== null ? new Date(value).toISOString() : null);
+  const rows = [
+    ['Target group', metadata.targetGroup],
+    ['Start', time(metadata.start)],
+    ['End', time(metadata.end)],
+    ['Test id', metadata.testId],
+    ['Scenario', metadata.scenario],
+    ['Chaos plan', metadata.chaosPlan && path.relative(folder, metadata.chaosPlan)],
+    ['Baseline', metadata.baseline && path.relative(folder, metadata.baseline)]
+  ].filter(([, value]) => value).map(([label, value]) => [escapeHtml(label), escapeHtml(value)]);
+  metadata.links.forEach(link => {
+    rows.push([escapeHtml(link.title), `<a href="${escapeHtml(link.url)}">${escapeHtml(link.url)}</a>`]);
+  });
+  return renderTable(['Field', 'Value'], rows);
+}
+
+/**
+ * Per-termination results section
+ */
+function renderResults(terminations, report) {
+  if (!report) {
+    return '<p class="muted">No statistical-analysis-report.csv: run <code>avail analyze</code> first.</p>';
+  }
+  const rows = [...report.values()];
+  const value = (row, key) => escapeHtml(row[key] !== undefined && row[key] !== '' ? row[key] : 'N/A');
+  const headers = ['Pod', 'Termination', 'Fault', 'Latency Change (%)', 'Latency', 'Latency Test', 'Throughput Z', 'Throughput', 'Throughput Test', 'Success Rate', 'Recovery', 'Time To Recover (s)'];
+  const classes = [];
+  const cells = terminations.map(termination => {
+    const row = report.get(`${termination.Pod}|${termination['Termination Time']}`) || {};
+    const significant = [row['Latency Significance'], row['Throughput Significance']].some(s => SIGNIFICANT.includes(s)) ||
+      [row['Latency Test Result'], row['Throughput Test Result']].includes('Significant');
+    classes.push(significant ? 'significant' : '');
+    return [
+      escapeHtml(termination.Pod),
+      escapeHtml(Number.isFinite(termination.timestamp) ? new Date(termination.timestamp).toISOString() : termination['Termination Time']),
+      escapeHtml(termination.faultType),
+      value(row, 'Latency Change (%)'),
+      value(row, 'Latency Significance'),
+      value(row, 'Latency Test Result'),
+      value(row, 'Throughput Z-Score'),
+      value(row, 'Throughput Significance'),
+      value(row, 'Throughput Test Result'),
+      value(row, 'Success Rate'),
+      value(row, 'Recovery Status'),
+      value(row, 'Time To Recover (s)')
+    ];
+  });
+
+  const summary = summarizeRows(rows);
+  const lines = [
+    `Terminations: ${summary.total}`,
+    `Significant latency impacts: ${summary.significantLatency}`,
+    `Significant throughput impacts: ${summary.significantThroughput}`
+  ];
+  if (summary.minSuccessRate !== null) {
+    lines.push(`Lowest success rate: ${summary.minSuccessRate.toFixed(2)}%`);
+  }
+  return `<p>${lines.map(escapeHtml).join(' &middot; ')}</p>\n${renderTable(headers, cells, classes)}`;
+}
+
+/**
+ * k6 thresholds and run-wide results section
+ */
+function renderK6Summary(k6Summary) {
+  if (!k6Summary) {
+    return '<p class="muted">No k6-summary.json or k6-tests.txt.</p>';
+  }
+  const run = summarizeRun(k6Summary);
+  const lines = [`Thresholds: ${run.thresholds - run.thresholdsFailed} passed, ${run.thresholdsFailed} failed`];
+  if (run.checkPasses !== null) {
+    lines.push(`Checks: ${run.checkPasses} passed, ${run.checkFails} failed (${formatNumber(run.checkSuccessRate * 100, 2)}% success)`);
+  }
+  if (run.httpRequests !== null) {
+    lines.push(`HTTP requests: ${run.httpRequests} (${formatNumber(run.httpFailedRate * 100, 2)}% failed)`);
+  }
+  if (run.iterations !== null) {
+    lines.push(`Iterations: ${run.iterations}`);
+  }
+  const thresholds = k6Summary.thresholds.map(t => [
+    escapeHtml(t.metric),
+    `<code>${escapeHtml(t.threshold)}</code>`,
+    escapeHtml(t.value || ''),
+    t.ok ? '<span class="ok">✓ passed</span>' : '<span class="failed">✗ failed</span>'
+  ]);
+  const checks = k6Summary.checks.map(c => [
+    escapeHtml(c.name),
+    c.passes !== null ? String(c.passes) : '?',
+    c.fails !== null ? String(c.fails) : '?'
+  ]);
+  return [
+    `<p>${lines.map(escapeHtml).join(' &middot; ')}</p>`,
+    thresholds.length > 0 ? renderTable(['Metric', 'Threshold', 'Value', 'Result'], thresholds) : '',
+    checks.length > 0 ? `<h3>Checks</h3>\n${renderTable(['Check', 'Passes', 'Fails'], checks)}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Render the HTML report of a report folder
+ * @param {string} folder - Report folder with pod-terminations.csv and k6-time-series.csv
+ * @param {{output?: string, columns?: string}} [options] - Output file (default:
+ *   availability-report.html in the folder) and column mapping file
+ * @returns {{output: string, run: string, charts: string[], terminations: number, analysis: boolean, thresholds: number}}
+ */
+function renderHtmlReport(folder, options = {}) {
+  const { paths, podTerminations, timeSeries, k6Summary } = loadReportFolder(folder);
+  const metadata = readRunMetadata(folder);
+  const report = readAnalysisReport(paths.statisticalReport);
+  const resolved = resolveColumns(timeSeries.headers, loadColumnMapping(options.columns, paths.folder));
+  const rows = timeSeries.rows.filter(row => Number.isFinite(row.timestamp)).sort((a, b) => a.timestamp - b.timestamp);
+  const name = metadata ? metadata.name : path.basename(paths.folder);
+
+  const markers = [];
+  const windows = [];
+  podTerminations.filter(t => Number.isFinite(t.timestamp)).forEach(termination => {
+    const result = report ? report.get(`${termination.Pod}|${termination['Termination Time']}`) : null;
+    const label = `${termination.Pod}${termination.faultType !== DEFAULT_FAULT_TYPE ? ` (${termination.faultType})` : ''}`;
+    markers.push({ time: termination.timestamp, label: `${label} ${new Date(termination.timestamp).toISOString()}` });
+    const end = impactWindowEnd(termination, result);
+    if (end !== null) {
+      windows.push({ start: termination.timestamp, end, label: `${label}: ${((end - termination.timestamp) / 1000).toFixed(1)}s` });
+    }
+  });
+
+  const start = rows.length > 0 ? rows[0].timestamp : 0;
+  const end = rows.length > 0 ? rows[rows.length - 1].timestamp : 1;
+  const charts = chartSeries(rows, resolved);
+  const chartHtml = charts.map(chart => (
+    `<h3>${escapeHtml(chart.title)}${chart.unit ? ` (${escapeHtml(chart.unit)})` : ''}</h3>\n${renderChart(chart.series, { start, end, markers, windows })}`
+  ));
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Availability report: ${escapeHtml(name)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Availability report: ${escapeHtml(name)}</h1>
+<p class="muted">Generated ${new Date().toISOString()} from ${escapeHtml(paths.folder)}</p>
+<h2>Run</h2>
+${renderMetadata(metadata, paths.folder)}
+<h2>Time series</h2>
+<p class="muted">Times in UTC. Dashed lines mark terminations, shaded areas their impact and recovery windows.</p>
+${chartHtml.join('\n') || '<p class="muted">No latency, throughput or check columns found.</p>'}
+<h2>Terminations</h2>
+${renderResults(podTerminations, report)}
+<h2>k6 results</h2>
+${renderK6Summary(k6Summary)}
+</body>
+</html>
+`;
+
+  const output = options.output ? path.resolve(process.cwd(), options.output) : paths.html;
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, html);
+  log.info(`HTML report written to: ${output}`);
+
+  return {
+    output,
+    run: name,
+    charts: charts.map(chart => chart.title),
+    terminations: podTerminations.length,
+    analysis: report !== null,
+    thresholds: k6Summary ? k6Summary.thresholds.length : 0
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  renderChart,
+  renderHtmlReport
+};
@@ -0,0 +1,13 @@
+/**
+ * Availability testing library
+ *
+ * Shared helpers for reading and writing the CSV files produced during
+ * availability test runs (pod terminations, k6 time series, reports) and their run.json.
+ */
+
+module.exports = {
+  ...require('./csv'),
+  ...require('./time'),
+  ...require('./report-folder'),
+  ...require('./run-info')
+};
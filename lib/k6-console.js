@@ -0,0 +1,229 @@
+/**
+ * Parser for the k6 end-of-test console summary (k6-tests.txt)
+ *
+ * Produces the same normalised structure as the summary-export importer in lib/k6.js:
+ *
+ *   {
+ *     source: 'console',
+ *     durationMs,                                  // from "running (1h02m03.4s)" when present
+ *     thresholds: [{ metric, threshold, ok, value }], // ✓ 'p(95)<1000' p(95)=4.47s
+ *     checks: [{ name, path, passes, fails }],       // ↳ 99% — ✓ 2764 / ✗ 20
+ *     metrics: { http_req_duration: { avg, min, med, max, 'p(90)', 'p(95)' }, ... }
+ *   }
+ *
+ * Durations are converted to milliseconds and data sizes to bytes. Rate metrics
+ * (`0.28% 31 out of 11068`) become { rate, passes, fails }, counters (`11068 6.02/s`)
+ * { count, rate } and gauges (`3 min=1 max=10`) { value, min, max }. Checks that passed
+ * every time are printed without counts, so their passes are null.
+ */
+
+const fs = require('fs');
+const { AvailError } = require('./errors');
+
+const PASS_MARK = '✓';
+const FAIL_MARK = '✗';
+
+// Milliseconds per k6 duration unit
+const DURATION_UNITS = {
+  h: 3600000,
+  m: 60000,
+  s: 1000,
+  ms: 1,
+  'µs': 0.001,
+  'us': 0.001,
+  ns: 0.000001
+};
+
+// Bytes per k6 data size unit (decimal, as printed by k6)
+const SIZE_UNITS = {
+  B: 1,
+  kB: 1e3,
+  MB: 1e6,
+  GB: 1e9,
+  TB: 1e12
+};
+
+/**
+ * Drop floating point noise from unit conversions (0.9973000000000001 -> 0.9973)
+ */
+function round(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Parse a k6 duration such as 4.47s, 298.99ms or 1m30.5s into milliseconds (NaN if invalid)
+ */
+function parseK6Duration(text) {
+  const parts = String(text).trim().match(/(\d+(?:\.\d+)?)(h|ms|m|s|µs|us|ns)/g);
+  if (!parts || parts.join('') !== String(text).trim()) {
+    return NaN;
+  }
+  return round(parts.reduce((total, part) => {
+    const [, value, unit] = /(\d+(?:\.\d+)?)(.+)/.exec(part);
+    return total + Number(value) * DURATION_UNITS[unit];
+  }, 0));
+}
+
+/**
+ * Parse a value that is a number, a percentage or a duration
+ */
+function parseK6Value(text) {
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (/^-?\d+(\.\d+)?%$/.test(text)) {
+    return round(Number(text.slice(0, -1)) / 100);
+  }
+  return parseK6Duration(text);
+}
+
+/**
+ * Parse the value part of a metric line (after the dotted leader)
+ */
+function parseMetricValues(text) {
+  // Trend: avg=1.64s min=298.99ms med=870.23ms ...
+  if (/^avg=/.test(text)) {
+    const values = {};
+    text.split(/\s+/).forEach(pair => {
+      const [key, value] = pair.split('=');
+      values[key] = parseK6Value(value);
+    });
+    return values;
+  }
+
+  // Rate: 0.28%  31 out of 11068
+  let match = /^(\d+(?:\.\d+)?)%\s+(\d+) out of (\d+)/.exec(text);
+  if (match) {
+    const passes = Number(match[2]);
+    return { rate: round(Number(match[1]) / 100), passes, fails: Number(match[3]) - passes };
+  }
+
+  // Data: 188 MB 102 kB/s
+  match = /^(\d+(?:\.\d+)?) (\w+)\s+(\d+(?:\.\d+)?) (\w+)\/s/.exec(text);
+  if (match && SIZE_UNITS[match[2]] && SIZE_UNITS[match[4]]) {
+    return { count: round(Number(match[1]) * SIZE_UNITS[match[2]]), rate: round(Number(match[3]) * SIZE_UNITS[match[4]]) };
+  }
+
+  // Counter: 11068  6.026397/s
+  match = /^(\d+(?:\.\d+)?)\s+(\d+(?:\.\d+)?)\/s/.exec(text);
+  if (match) {
+    return { count: Number(match[1]), rate: Number(match[2]) };
+  }
+
+  // Gauge: 3  min=1  max=10
+  match = /^(\d+(?:\.\d+)?)\s+min=(\S+)\s+max=(\S+)/.exec(text);
+  if (match) {
+    return { value: Number(match[1]), min: Number(match[2]), max: Number(match[3]) };
+  }
+
+  return { raw: text };
+}
+
+/**
+ * Parse the text of a k6 end-of-test console summary
+ * @param {string} content - Console output
+ * @returns {{source: string, durationMs: number|null, thresholds: Object[], checks: Object[], metrics: Object}}
+ */
+function parseConsoleSummary(content) {
+  const summary = { source: 'console', durationMs: null, thresholds: [], checks: [], metrics: {} };
+  let section = null;
+  let thresholdMetric = null;
+  let group = '';
+  let lastMetric = null;
+  let lastCheck = null;
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line === '' || /^time=".*" level=/.test(line)) {
+      return;
+    }
+
+    const running = /^running \((\S+)\)/.exec(line);
+    if (running) {
+      const duration = parseK6Duration(running[1]);
+      if (Number.isFinite(duration)) summary.durationMs = duration;
+      return;
+    }
+
+    const heading = /^█\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      const title = heading[1];
+      if (title === 'THRESHOLDS') {
+        section = 'thresholds';
+      } else if (title === 'TOTAL RESULTS') {
+        section = 'results';
+        group = '';
+      } else {
+        // Group or scenario blocks: "█ GROUP: name" / "█ name"
+        section = 'results';
+        group = `::${title.replace(/^(GROUP|SCENARIO):\s*/, '')}`;
+      }
+      return;
+    }
+
+    if (section === 'thresholds') {
+      const threshold = /^([✓✗])\s+'(.+)'\s*(.*)$/.exec(line);
+      if (threshold && thresholdMetric) {
+        summary.thresholds.push({
+          metric: thresholdMetric,
+          threshold: threshold[2],
+          ok: threshold[1] === PASS_MARK,
+          value: threshold[3] || null
+        });
+      } else if (!threshold) {
+        thresholdMetric = line;
+      }
+      return;
+    }
+
+    if (section !== 'results') {
+      return;
+    }
+
+    const counts = /^↳\s+\S+\s+—\s+✓\s+(\d+)\s+\/\s+✗\s+(\d+)/.exec(line);
+    if (counts && lastCheck) {
+      lastCheck.passes = Number(counts[1]);
+      lastCheck.fails = Number(counts[2]);
+      return;
+    }
+
+    const check = /^([✓✗])\s+(.+)$/.exec(line);
+    if (check) {
+      lastCheck = {
+        name: check[2],
+        path: `${group}::${check[2]}`,
+        passes: null,
+        fails: check[1] === FAIL_MARK ? null : 0
+      };
+      summary.checks.push(lastCheck);
+      return;
+    }
+
+    const metric = /^(\S.*?)\.{2,}:\s*(.*)$/.exec(line);
+    if (metric) {
+      const subMetric = /^\{\s*(.+?)\s*\}$/.exec(metric[1]);
+      const name = subMetric && lastMetric ? `${lastMetric}{${subMetric[1]}}` : metric[1];
+      if (!subMetric) lastMetric = name;
+      summary.metrics[name] = parseMetricValues(metric[2].trim());
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Read and parse a k6-tests.txt console summary
+ */
+function readConsoleSummary(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new AvailError(`File not found: ${filePath}`);
+  }
+  return parseConsoleSummary(fs.readFileSync(filePath, 'utf-8'));
+}
+
+module.exports = {
+  parseK6Duration,
+  parseMetricValues,
+  parseConsoleSummary,
+  readConsoleSummary
+};
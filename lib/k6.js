@@ -0,0 +1,482 @@
+/**
+ * Importers for k6's native outputs
+ *
+ * Raw sample streams (`k6 run --out json=results.json` or `--out csv=results.csv`, optionally
+ * gzipped) are aggregated into fixed time buckets and written in the same layout as the
+ * Grafana panel exports (`k6-time-series.csv`), so merge and analysis work on them unchanged:
+ *
+ *   Time | VUs | Latency(p99) - <scenario> | Throughput - <scenario> | Failures - <scenario> | <CHECK>...
+ *
+ * - Latency: percentiles of the latency trend (default http_req_duration) per bucket
+ * - Throughput: sum of the throughput counter (default iterations) per second
+ * - Failures: mean of the error rate metric (default http_req_failed), a ratio; a columns.json
+ *   declaring it as one is written next to the time series
+ * - Check columns: failure rate (0-1) of each check, named like the Prometheus export
+ *
+ * End-of-test summaries (`--summary-export` or `handleSummary` JSON, or the console output
+ * saved as k6-tests.txt, see lib/k6-console.js) are normalised into k6-summary.json: { source, durationMs, thresholds: [{metric, threshold, ok}],
+ * checks: [{name, path, passes, fails}], metrics: {name: {avg, 'p(95)', count, rate, ...}} }
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const log = require('./logger');
+const { parseRecords, writeCSV } = require('./csv');
+const { percentile, mean } = require('./statistics');
+const { DEFAULT_SCENARIO } = require('./metrics');
+const { readConsoleSummary } = require('./k6-console');
+const { reportPaths } = require('./report-folder');
+const { K6_COLUMN_MAPPING, writeColumnMapping } = require('./columns');
+const { AvailError } = require('./errors');
+
+const DEFAULT_IMPORT_OPTIONS = {
+  bucket: 5,
+  percentiles: [99],
+  latencyMetric: 'http_req_duration',
+  throughputMetric: 'iterations',
+  errorMetric: 'http_req_failed'
+};
+
+/**
+ * Parse a k6 sample time into epoch milliseconds. The CSV output writes unix seconds by
+ * default but can be configured for milli/micro/nanoseconds or RFC 3339.
+ */
+function parseK6Time(value) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const digits = text.split('.')[0].length;
+    const num = Number(text);
+    if (digits >= 18) return Math.floor(num / 1e6);
+    if (digits >= 15) return Math.floor(num / 1e3);
+    if (digits >= 12) return Math.floor(num);
+    return Math.floor(num * 1000);
+  }
+  return new Date(text).getTime();
+}
+
+/**
+ * Column name of a check, following the Prometheus remote-write naming used by the
+ * Grafana exports (e.g. "transfers: response is 200" -> TRANSFERS__RESPONSE_IS_200)
+ */
+function checkColumnName(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '_').replace(/_+$/, '');
+}
+
+/**
+ * Line iterator over a (possibly gzipped) text file
+ */
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new AvailError(`File not found: ${filePath}`);
+  }
+  let input = fs.createReadStream(filePath);
+  if (filePath.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Aggregates raw samples into time buckets
+ */
+class SampleAggregator {
+  constructor(options = {}) {
+    const given = Object.entries(options).filter(([, value]) => value !== undefined);
+    this.options = { ...DEFAULT_IMPORT_OPTIONS, ...Object.fromEntries(given) };
+    this.bucketMs = this.options.bucket * 1000;
+    this.buckets = new Map();
+    this.scenarios = [];
+    this.checks = [];
+    this.samples = 0;
+  }
+
+  bucketFor(time) {
+    const key = Math.floor(time / this.bucketMs) * this.bucketMs;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, { vus: null, vusTime: -Infinity, scenarios: new Map(), checks: new Map() });
+    }
+    return this.buckets.get(key);
+  }
+
+  scenarioFor(bucket, scenario) {
+    if (!this.scenarios.includes(scenario)) {
+      this.scenarios.push(scenario);
+    }
+    if (!bucket.scenarios.has(scenario)) {
+      bucket.scenarios.set(scenario, { latency: [], throughput: 0, errors: [] });
+    }
+    return bucket.scenarios.get(scenario);
+  }
+
+  /**
+   * Add one sample
+   * @param {{metric: string, time: number, value: number, tags: Object}} sample - time in epoch ms
+   */
+  add({ metric, time, value, tags = {} }) {
+    if (!Number.isFinite(time) || !Number.isFinite(value)) {
+      return;
+    }
+    const { latencyMetric, throughputMetric, errorMetric } = this.options;
+    const scenario = tags.scenario || DEFAULT_SCENARIO;
+    const bucket = this.bucketFor(time);
+    this.samples++;
+
+    if (metric === 'vus') {
+      if (time >= bucket.vusTime) {
+        bucket.vus = value;
+        bucket.vusTime = time;
+      }
+    } else if (metric === latencyMetric) {
+      this.scenarioFor(bucket, scenario).latency.push(value);
+    } else if (metric === throughputMetric) {
+      this.scenarioFor(bucket, scenario).throughput += value;
+    } else if (metric === errorMetric) {
+      this.scenarioFor(bucket, scenario).errors.push(value);
+    } else if (metric === 'checks' && tags.check) {
+      const column = checkColumnName(tags.check);
+      if (!this.checks.includes(column)) {
+        this.checks.push(column);
+      }
+      if (!bucket.checks.has(column)) {
+        bucket.checks.set(column, []);
+      }
+      bucket.checks.get(column).push(value);
+    }
+  }
+
+  /**
+   * Column names of the aggregated time series
+   */
+  headers() {
+    const headers = ['Time', 'VUs'];
+    this.scenarios.forEach(scenario => {
+      this.options.percentiles.forEach(p => headers.push(`Latency(p${p}) - ${scenario}`));
+      headers.push(`Throughput - ${scenario}`, `Failures - ${scenario}`);
+    });
+    return headers.concat(this.checks);
+  }
+
+  /**
+   * Aggregated rows, one per bucket from the first to the last sample. Each row is timestamped at
+   * the end of its bucket: the analysis takes a row's time as the end of the interval it covers.
+   */
+  rows() {
+    if (this.buckets.size === 0) {
+      return [];
+    }
+    const keys = [...this.buckets.keys()];
+    const first = Math.min(...keys);
+    const last = Math.max(...keys);
+    const bucketSeconds = this.options.bucket;
+    const rows = [];
+
+    for (let time = first; time <= last; time += this.bucketMs) {
+      const bucket = this.buckets.get(time);
+      const row = { Time: time + this.bucketMs, VUs: bucket && bucket.vus !== null ? bucket.vus : '' };
+
+      this.scenarios.forEach(scenario => {
+        const data = bucket && bucket.scenarios.get(scenario);
+        this.options.percentiles.forEach(p => {
+          row[`Latency(p${p}) - ${scenario}`] = data && data.latency.length > 0 ? percentile(data.latency, p) : '';
+        });
+        row[`Throughput - ${scenario}`] = data ? data.throughput / bucketSeconds : 0;
+        row[`Failures - ${scenario}`] = data && data.errors.length > 0 ? mean(data.errors) : '';
+      });
+
+      this.checks.forEach(column => {
+        const values = bucket && bucket.checks.get(column);
+        row[column] = values ? values.filter(value => !value).length / values.length : '';
+      });
+
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+/**
+ * Read a `k6 run --out json` sample stream into an aggregator
+ */
+async function readK6Json(filePath, aggregator) {
+  let lineNumber = 0;
+  for await (const line of readLines(filePath)) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new AvailError(`Invalid JSON on line ${lineNumber} of ${filePath}: ${error.message}`);
+    }
+    if (entry.type !== 'Point' || !entry.data) continue;
+
+    aggregator.add({
+      metric: entry.metric,
+      time: parseK6Time(entry.data.time),
+      value: Number(entry.data.value),
+      tags: entry.data.tags || {}
+    });
+  }
+  return aggregator;
+}
+
+/**
+ * Read a `k6 run --out csv` sample stream into an aggregator
+ */
+async function readK6Csv(filePath, aggregator) {
+  let headers = null;
+  for await (const line of readLines(filePath)) {
+    if (line.trim() === '') continue;
+    const [values] = parseRecords(line);
+
+    if (!headers) {
+      headers = values;
+      ['metric_name', 'timestamp', 'metric_value'].forEach(column => {
+        if (!headers.includes(column)) {
+          throw new AvailError(`${filePath} is not a k6 CSV output: missing ${column} column`);
+        }
+      });
+      continue;
+    }
+
+    const record = {};
+    headers.forEach((header, idx) => {
+      record[header] = values[idx];
+    });
+    aggregator.add({
+      metric: record.metric_name,
+      time: parseK6Time(record.timestamp),
+      value: Number(record.metric_value),
+      tags: { scenario: record.scenario, check: record.check }
+    });
+  }
+  return aggregator;
+}
+
+/**
+ * Collect checks from a summary group tree. Legacy summary exports use objects keyed by
+ * name for checks and groups, handleSummary data uses arrays.
+ */
+function collectChecks(group, checks = []) {
+  if (!group) return checks;
+  Object.values(group.checks || {}).forEach(check => {
+    checks.push({
+      name: check.name,
+      path: check.path || '',
+      passes: check.passes || 0,
+      fails: check.fails || 0
+    });
+  });
+  Object.values(group.groups || {}).forEach(child => collectChecks(child, checks));
+  return checks;
+}
+
+/**
+ * Normalise an end-of-test summary (`--summary-export` or `handleSummary` data)
+ */
+function parseSummary(data) {
+  if (!data || typeof data.metrics !== 'object') {
+    throw new AvailError('Not a k6 summary: missing metrics');
+  }
+
+  const thresholds = [];
+  const metrics = {};
+  let source = 'summary-export';
+
+  Object.entries(data.metrics).forEach(([name, metric]) => {
+    const { thresholds: metricThresholds, values, type, contains, ...flat } = metric;
+    if (values) {
+      source = 'handle-summary';
+    }
+    metrics[name] = { ...(values || flat) };
+
+    Object.entries(metricThresholds || {}).forEach(([threshold, status]) => {
+      // handleSummary reports { ok }, the legacy export a boolean that is true when crossed
+      const ok = typeof status === 'object' ? Boolean(status.ok) : !status;
+      thresholds.push({ metric: name, threshold, ok });
+    });
+  });
+
+  return {
+    source,
+    durationMs: data.state && Number.isFinite(data.state.testRunDurationMs) ? data.state.testRunDurationMs : null,
+    thresholds,
+    checks: collectChecks(data.root_group),
+    metrics
+  };
+}
+
+/**
+ * Read and normalise an end-of-test summary JSON file
+ */
+function readSummary(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new AvailError(`File not found: ${filePath}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new AvailError(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+  return parseSummary(data);
+}
+
+/**
+ * Run-wide numbers of a normalised summary, used alongside the per-termination results
+ * @returns {{thresholds: number, thresholdsFailed: number, checkPasses: number|null, checkFails: number|null,
+ *   checkSuccessRate: number|null, httpRequests: number|null, httpFailedRate: number|null,
+ *   httpP95: number|null, iterations: number|null, durationMs: number|null}}
+ */
+function summarizeRun(summary) {
+  const metrics = summary.metrics || {};
+  const value = (name, key) => {
+    const metric = metrics[name];
+    return metric && Number.isFinite(metric[key]) ? metric[key] : null;
+  };
+
+  // Check totals: the checks rate metric (exports), checks_succeeded (k6 v1 console) or the per-check counts
+  let checkPasses = value('checks', 'passes');
+  let checkFails = value('checks', 'fails');
+  if (checkPasses === null && value('checks_succeeded', 'passes') !== null) {
+    checkPasses = value('checks_succeeded', 'passes');
+    checkFails = value('checks_succeeded', 'fails');
+  }
+  if (checkPasses === null && summary.checks.length > 0 && summary.checks.every(c => c.passes !== null && c.fails !== null)) {
+    checkPasses = summary.checks.reduce((sum, c) => sum + c.passes, 0);
+    checkFails = summary.checks.reduce((sum, c) => sum + c.fails, 0);
+  }
+  const checkTotal = checkPasses + checkFails;
+
+  return {
+    thresholds: summary.thresholds.length,
+    thresholdsFailed: summary.thresholds.filter(t => !t.ok).length,
+    checkPasses,
+    checkFails,
+    checkSuccessRate: checkPasses !== null && checkTotal > 0 ? checkPasses / checkTotal : null,
+    httpRequests: value('http_reqs', 'count'),
+    httpFailedRate: value('http_req_failed', 'rate') !== null ? value('http_req_failed', 'rate') : value('http_req_failed', 'value'),
+    httpP95: value('http_req_duration', 'p(95)'),
+    iterations: value('iterations', 'count'),
+    durationMs: summary.durationMs
+  };
+}
+
+/**
+ * Detect whether a file is a k6 CSV or JSON sample stream, an end-of-test summary JSON or
+ * a console summary
+ * @returns {Promise<'csv'|'json'|'summary'|'console'>}
+ */
+async function detectFormat(filePath) {
+  if (/\.csv(\.gz)?$/i.test(filePath)) {
+    return 'csv';
+  }
+  if (/\.txt$/i.test(filePath)) {
+    return 'console';
+  }
+  const lines = readLines(filePath);
+  let firstLine = '';
+  for await (const line of lines) {
+    if (line.trim() !== '') {
+      firstLine = line;
+      break;
+    }
+  }
+  lines.close();
+
+  if (firstLine.includes('█')) {
+    return 'console';
+  }
+  try {
+    const entry = JSON.parse(firstLine);
+    if (entry.type === 'Metric' || entry.type === 'Point') {
+      return 'json';
+    }
+  } catch (error) {
+    // Multi-line JSON: a summary document
+  }
+  return 'summary';
+}
+
+/**
+ * Import k6 output files into a report folder
+ * @param {string[]} files - Sample streams (JSON/CSV) and/or summary JSON files
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Report folder to write into (default: cwd)
+ * @param {number} [options.bucket] - Bucket size in seconds (default: 5)
+ * @param {number[]} [options.percentiles] - Latency percentiles (default: [99])
+ * @param {string} [options.latencyMetric] - Trend metric used for latency
+ * @param {string} [options.throughputMetric] - Counter metric used for throughput
+ * @param {string} [options.errorMetric] - Rate metric used for failures
+ * @returns {Promise<{timeSeries: string|null, columns: string|null, rows: number, samples: number, scenarios: string[], checks: string[], summary: string|null}>}
+ */
+async function importK6Output(files, options = {}) {
+  const paths = reportPaths(options.folder || '.');
+  const aggregator = new SampleAggregator(options);
+  const result = { timeSeries: null, columns: null, rows: 0, samples: 0, scenarios: [], checks: [], summary: null };
+  let summary = null;
+
+  for (const file of files) {
+    const format = await detectFormat(file);
+    const isSummary = format === 'summary' || format === 'console';
+    log.info(`Reading ${file} (${isSummary ? `end-of-test ${format === 'console' ? 'console ' : ''}summary` : `${format} samples`})`);
+    if (isSummary) {
+      if (summary) {
+        throw new AvailError(`More than one summary given: ${file}`);
+      }
+      summary = format === 'console' ? readConsoleSummary(file) : readSummary(file);
+    } else if (format === 'csv') {
+      await readK6Csv(file, aggregator);
+    } else {
+      await readK6Json(file, aggregator);
+    }
+  }
+
+  fs.mkdirSync(paths.folder, { recursive: true });
+
+  if (aggregator.samples > 0) {
+    const rows = aggregator.rows();
+    writeCSV(paths.timeSeries, aggregator.headers(), rows, { quoteAll: true });
+    Object.assign(result, {
+      timeSeries: paths.timeSeries,
+      rows: rows.length,
+      samples: aggregator.samples,
+      scenarios: aggregator.scenarios,
+      checks: aggregator.checks
+    });
+    log.info(`Aggregated ${aggregator.samples} samples into ${rows.length} ${aggregator.options.bucket}s buckets`);
+    log.info(`Scenarios: ${aggregator.scenarios.join(', ') || 'none'}`);
+    log.info(`Time series written to: ${paths.timeSeries}`);
+    // The Failures columns are ratios, which the default mapping does not assume
+    result.columns = writeColumnMapping(paths.folder, K6_COLUMN_MAPPING);
+  } else if (files.length > 0 && !summary) {
+    throw new AvailError('No k6 samples found in the given files');
+  }
+
+  if (summary) {
+    fs.writeFileSync(paths.k6Summary, JSON.stringify(summary, null, 2) + '\n');
+    const failed = summary.thresholds.filter(t => !t.ok).length;
+    log.info(`Thresholds: ${summary.thresholds.length - failed} passed, ${failed} failed`);
+    log.info(`Checks: ${summary.checks.length}`);
+    log.info(`Summary written to: ${paths.k6Summary}`);
+    result.summary = paths.k6Summary;
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_IMPORT_OPTIONS,
+  parseK6Time,
+  checkColumnName,
+  SampleAggregator,
+  readK6Json,
+  readK6Csv,
+  parseSummary,
+  readSummary,
+  summarizeRun,
+  detectFormat,
+  importK6Output
+};
@@ -0,0 +1,272 @@
+/**
+ * Minimal Kubernetes API client for the chaos runner
+ *
+ * Talks to the API server over plain HTTP(S) without kubectl. The server is taken from, in order:
+ * an explicit URL (--api-url), KUBERNETES_API_URL, or the in-cluster service environment
+ * (KUBERNETES_SERVICE_HOST/PORT with the mounted service account token and CA). From a
+ * workstation, `kubectl proxy` exposes an authenticated API on http://127.0.0.1:8001.
+ *
+ * Environment:
+ *   KUBERNETES_API_URL       API server URL (e.g. http://127.0.0.1:8001 or a mock server)
+ *   KUBERNETES_TOKEN         Bearer token (default: the service account token when in-cluster)
+ *   KUBERNETES_CA_FILE       CA bundle for the API server certificate
+ *   KUBERNETES_INSECURE      "true" to skip TLS verification
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { AvailError } = require('./errors');
+
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Error returned by the API server; `statusCode` holds the HTTP status
+ */
+class KubeApiError extends AvailError {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'KubeApiError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Read a file if it exists, otherwise return undefined
+ */
+function readOptional(filePath) {
+  return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8').trim() : undefined;
+}
+
+/**
+ * Resolve the API server connection settings
+ * @param {Object} [overrides] - { apiUrl, token, caFile, insecure }
+ * @param {Object} [env]
+ * @returns {{apiUrl: string, token: string|undefined, ca: string|undefined, insecure: boolean}}
+ */
+function loadKubeConfig(overrides = {}, env = process.env) {
+  const inCluster = env.KUBERNETES_SERVICE_HOST
+    ? `https://${env.KUBERNETES_SERVICE_HOST}:${env.KUBERNETES_SERVICE_PORT || 443}`
+    : null;
+  const apiUrl = overrides.apiUrl || env.KUBERNETES_API_URL || inCluster;
+  if (!apiUrl) {
+    throw new AvailError('Kubernetes API URL is not set. Use --api-url, KUBERNETES_API_URL, run in-cluster, or start `kubectl proxy` and use http://127.0.0.1:8001');
+  }
+
+  const useServiceAccount = apiUrl === inCluster;
+  return {
+    apiUrl: apiUrl.replace(/\/+$/, ''),
+    token: overrides.token || env.KUBERNETES_TOKEN || (useServiceAccount ? readOptional(`${SERVICE_ACCOUNT_DIR}/token`) : undefined),
+    ca: readOptional(overrides.caFile || env.KUBERNETES_CA_FILE || (useServiceAccount ? `${SERVICE_ACCOUNT_DIR}/ca.crt` : undefined)),
+    insecure: overrides.insecure !== undefined ? Boolean(overrides.insecure) : env.KUBERNETES_INSECURE === 'true'
+  };
+}
+
+/**
+ * Create an API client
+ * @param {Object} config - Result of loadKubeConfig()
+ */
+function createKubeClient(config) {
+  /**
+   * Send a request and return the parsed JSON response
+   * @param {string} method
+   * @param {string} apiPath - e.g. /api/v1/namespaces/default/pods
+   * @param {Object} [options] - { query, body, contentType }
+   */
+  function request(method, apiPath, options = {}) {
+    const url = new URL(config.apiUrl + apiPath);
+    Object.entries(options.query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    const body = options.body !== undefined ? JSON.stringify(options.body) : undefined;
+    const headers = { Accept: 'application/json' };
+    if (config.token) {
+      headers.Authorization = `Bearer ${config.token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = options.contentType || 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method,
+        headers,
+        ca: config.ca,
+        rejectUnauthorized: !config.insecure,
+        timeout: REQUEST_TIMEOUT_MS
+      }, res => {
+        let data = '';
+        res.setEncoding('utf-8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (error) {
+            parsed = null;
+          }
+          if (res.statusCode >= 400) {
+            const reason = parsed && parsed.message ? parsed.message : data.trim() || res.statusMessage;
+            reject(new KubeApiError(`${method} ${apiPath}: HTTP ${res.statusCode} ${reason}`, res.statusCode));
+            return;
+          }
+          resolve(parsed);
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+      req.on('error', error => reject(new KubeApiError(`${method} ${apiPath}: ${error.message}`, null)));
+      if (body !== undefined) {
+        req.write(body);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * List pods of a namespace
+   * @param {string} namespace
+   * @param {{labelSelector?: string, fieldSelector?: string}} [selectors]
+   * @returns {Promise<Object[]>} Pod objects
+   */
+  async function listPods(namespace, selectors = {}) {
+    const list = await request('GET', `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods`, {
+      query: { labelSelector: selectors.labelSelector, fieldSelector: selectors.fieldSelector }
+    });
+    return (list && list.items) || [];
+  }
+
+  /**
+   * Delete a pod
+   * @param {string} namespace
+   * @param {string} name
+   * @param {{gracePeriodSeconds?: number}} [options]
+   */
+  function deletePod(namespace, name, options = {}) {
+    const body = { kind: 'DeleteOptions', apiVersion: 'v1' };
+    if (options.gracePeriodSeconds !== undefined && options.gracePeriodSeconds !== null) {
+      body.gracePeriodSeconds = options.gracePeriodSeconds;
+    }
+    return request('DELETE', `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}`, { body });
+  }
+
+  /**
+   * Get a pod
+   */
+  function getPod(namespace, name) {
+    return request('GET', `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Merge-patch a pod's labels; a null value removes the label
+   */
+  function patchPodLabels(namespace, name, labels) {
+    return request('PATCH', `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}`, {
+      body: { metadata: { labels } },
+      contentType: 'application/merge-patch+json'
+    });
+  }
+
+  /**
+   * List the pods running on a node, across namespaces
+   */
+  async function listNodePods(nodeName) {
+    const list = await request('GET', '/api/v1/pods', { query: { fieldSelector: `spec.nodeName=${nodeName}` } });
+    return (list && list.items) || [];
+  }
+
+  /**
+   * Evict a pod through the Eviction API (respects PodDisruptionBudgets)
+   */
+  function evictPod(namespace, name) {
+    return request('POST', `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}/eviction`, {
+      body: { apiVersion: 'policy/v1', kind: 'Eviction', metadata: { name, namespace } }
+    });
+  }
+
+  /**
+   * Get an apps/v1 object, e.g. getApp('replicasets', 'mojaloop', 'quoting-service-7d9f8')
+   */
+  function getApp(resource, namespace, name) {
+    return request('GET', `/apis/apps/v1/namespaces/${encodeURIComponent(namespace)}/${resource}/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Set the replicas of a deployment or statefulset through its scale subresource
+   * @param {string} resource - 'deployments' or 'statefulsets'
+   */
+  function scaleApp(resource, namespace, name, replicas) {
+    return request('PATCH', `/apis/apps/v1/namespaces/${encodeURIComponent(namespace)}/${resource}/${encodeURIComponent(name)}/scale`, {
+      body: { spec: { replicas } },
+      contentType: 'application/merge-patch+json'
+    });
+  }
+
+  /**
+   * Get a node
+   */
+  function getNode(name) {
+    return request('GET', `/api/v1/nodes/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Cordon (true) or uncordon (false) a node
+   */
+  function setNodeUnschedulable(name, unschedulable) {
+    return request('PATCH', `/api/v1/nodes/${encodeURIComponent(name)}`, {
+      body: { spec: { unschedulable } },
+      contentType: 'application/merge-patch+json'
+    });
+  }
+
+  /**
+   * List the PodDisruptionBudgets of a namespace
+   */
+  async function listPodDisruptionBudgets(namespace) {
+    const list = await request('GET', `/apis/policy/v1/namespaces/${encodeURIComponent(namespace)}/poddisruptionbudgets`);
+    return (list && list.items) || [];
+  }
+
+  /**
+   * Create a NetworkPolicy
+   */
+  function createNetworkPolicy(namespace, policy) {
+    return request('POST', `/apis/networking.k8s.io/v1/namespaces/${encodeURIComponent(namespace)}/networkpolicies`, { body: policy });
+  }
+
+  /**
+   * Delete a NetworkPolicy
+   */
+  function deleteNetworkPolicy(namespace, name) {
+    return request('DELETE', `/apis/networking.k8s.io/v1/namespaces/${encodeURIComponent(namespace)}/networkpolicies/${encodeURIComponent(name)}`);
+  }
+
+  return {
+    config,
+    request,
+    listPods,
+    getPod,
+    deletePod,
+    patchPodLabels,
+    listNodePods,
+    evictPod,
+    getApp,
+    scaleApp,
+    getNode,
+    setNodeUnschedulable,
+    listPodDisruptionBudgets,
+    createNetworkPolicy,
+    deleteNetworkPolicy
+  };
+}
+
+module.exports = {
+  KubeApiError,
+  loadKubeConfig,
+  createKubeClient
+};
@@ -0,0 +1,61 @@
+/**
+ * Console output shared by the scripts and the avail CLI.
+ *
+ * - normal: progress on stdout, warnings and errors on stderr
+ * - quiet:  only warnings and errors
+ * - json:   only errors on stderr; the command result is printed as JSON on stdout
+ */
+
+const settings = {
+  quiet: false,
+  json: false
+};
+
+/**
+ * Set the output mode
+ * @param {Object} options
+ * @param {boolean} [options.quiet]
+ * @param {boolean} [options.json]
+ */
+function configure(options = {}) {
+  settings.quiet = Boolean(options.quiet);
+  settings.json = Boolean(options.json);
+}
+
+function info(...args) {
+  if (!settings.quiet && !settings.json) {
+    console.log(...args);
+  }
+}
+
+function warn(...args) {
+  if (!settings.json) {
+    console.error(...args);
+  }
+}
+
+function error(...args) {
+  console.error(...args);
+}
+
+/**
+ * Print a command result when in JSON mode
+ */
+function result(value) {
+  if (settings.json) {
+    console.log(JSON.stringify(value, null, 2));
+  }
+}
+
+function isJson() {
+  return settings.json;
+}
+
+module.exports = {
+  configure,
+  info,
+  warn,
+  error,
+  result,
+  isJson
+};
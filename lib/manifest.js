@@ -0,0 +1,323 @@
+/**
+ * Kubernetes manifests for running a chaos plan in-cluster
+ *
+ * The generated set contains a ServiceAccount, one Role and RoleBinding per target namespace
+ * granting only the pod verbs the plan needs, a ConfigMap with the generic kill-pods.sh script
+ * and the plan's targets, and a Job running the script with `bitnami/kubectl`. Timing and dry-run
+ * settings are passed as environment variables with the same names and defaults for every plan:
+ *
+ *   ORDER, SLEEP_SECONDS, JITTER_SECONDS, SETTLE_SECONDS, DRY_RUN, GRACE_PERIOD_SECONDS
+ *
+ * The Job runs in the plan's `namespace`, or the first target's namespace.
+ * checkManifests() compares an existing manifest file with what would be generated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { hasGuards } = require('./guards');
+
+const KILL_SCRIPT = path.join(__dirname, '..', 'pod-killer', 'kill-pods.sh');
+const SCRIPT_MOUNT = '/scripts';
+
+const MANIFEST_DEFAULTS = {
+  image: 'bitnami/kubectl:latest',
+  namespace: null
+};
+
+// Column order of targets.tsv, as read by kill-pods.sh
+const TARGET_COLUMNS = ['name', 'namespace', 'selector', 'pattern', 'exclude', 'pick', 'count', 'offset', 'interval', 'runningOnly', 'pods', 'gracePeriodSeconds'];
+
+/**
+ * File name of the manifest generated for a plan
+ */
+function manifestFileName(plan) {
+  return `k8s-pod-killer-${plan.name}.yaml`;
+}
+
+/**
+ * Pod verbs needed per namespace: `list` to find pods by pattern or selector, `delete` to kill them
+ * @returns {Map<string, string[]>}
+ */
+function podVerbs(plan) {
+  const verbs = new Map();
+  plan.targets.forEach(target => {
+    const needed = verbs.get(target.namespace) || new Set();
+    if (!target.pods) needed.add('list');
+    needed.add('delete');
+    verbs.set(target.namespace, needed);
+  });
+  return new Map([...verbs].map(([namespace, set]) => [namespace, ['list', 'delete'].filter(verb => set.has(verb))]));
+}
+
+/**
+ * Render the targets of a plan as the tab-separated file read by kill-pods.sh ("-" for empty)
+ */
+function renderTargets(plan) {
+  const field = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/[\t\n]/.test(text)) {
+      throw new AvailError(`Plan ${plan.name}: tabs and newlines are not supported in manifest targets (${JSON.stringify(text)})`);
+    }
+    return text === '' ? '-' : text;
+  };
+  const lines = [`# ${TARGET_COLUMNS.join('\t')}`];
+  plan.targets.forEach(target => {
+    lines.push([
+      target.name,
+      target.namespace,
+      target.selector,
+      target.pattern ? target.pattern.source : null,
+      target.exclude ? target.exclude.source : null,
+      target.pick,
+      target.count,
+      target.offset,
+      // The plan interval is passed as SLEEP_SECONDS so it can be overridden
+      target.interval === plan.interval ? null : target.interval,
+      target.runningOnly,
+      target.pods ? target.pods.join(',') : null,
+      // Likewise the plan grace period is GRACE_PERIOD_SECONDS
+      target.gracePeriodSeconds === plan.gracePeriodSeconds ? null : target.gracePeriodSeconds
+    ].map(field).join('\t'));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build the manifest objects of a plan
+ * @param {Object} plan - Normalised plan (see lib/chaos.js loadPlan)
+ * @param {Object} [options] - { image, namespace }
+ * @returns {Object[]} Kubernetes objects, in apply order
+ */
+function buildManifests(plan, options = {}) {
+  const settings = { ...MANIFEST_DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+  const name = `pod-killer-${plan.name}`;
+  const namespace = settings.namespace || plan.namespace || plan.targets[0].namespace;
+
+  const otherFaults = plan.targets.filter(target => target.fault !== 'delete');
+  if (otherFaults.length > 0) {
+    throw new AvailError(`Plan ${plan.name}: the pod killer script only deletes pods; run ${otherFaults.map(target => `${target.name} (${target.fault})`).join(', ')} with avail chaos`);
+  }
+
+  const guarded = plan.targets.filter(target => hasGuards(target.guards));
+  if (guarded.length > 0 || plan.abort) {
+    throw new AvailError(`Plan ${plan.name}: the pod killer script has no ${guarded.length > 0 ? `guards (${guarded.map(target => target.name).join(', ')})` : 'abort conditions'}; run it with avail chaos`);
+  }
+
+  const seconds = [['interval', plan.interval], ['jitter', plan.jitter], ['settle', plan.settle]];
+  plan.targets.forEach(target => seconds.push([`${target.name} offset`, target.offset], [`${target.name} interval`, target.interval]));
+  const fractional = seconds.filter(([, value]) => !Number.isInteger(value));
+  if (fractional.length > 0) {
+    throw new AvailError(`Plan ${plan.name}: the pod killer script only supports whole seconds (${fractional.map(([key, value]) => `${key}=${value}`).join(', ')})`);
+  }
+
+  const labels = {
+    'app.kubernetes.io/name': 'pod-killer',
+    'app.kubernetes.io/instance': plan.name,
+    'app.kubernetes.io/managed-by': 'avail'
+  };
+  const metadata = (objectName, objectNamespace) => ({ name: objectName, namespace: objectNamespace, labels });
+
+  const rbac = [];
+  podVerbs(plan).forEach((verbs, targetNamespace) => {
+    rbac.push({
+      apiVersion: 'rbac.authorization.k8s.io/v1',
+      kind: 'Role',
+      metadata: metadata(name, targetNamespace),
+      rules: [{ apiGroups: [''], resources: ['pods'], verbs }]
+    }, {
+      apiVersion: 'rbac.authorization.k8s.io/v1',
+      kind: 'RoleBinding',
+      metadata: metadata(name, targetNamespace),
+      subjects: [{ kind: 'ServiceAccount', name, namespace }],
+      roleRef: { kind: 'Role', name, apiGroup: 'rbac.authorization.k8s.io' }
+    });
+  });
+
+  const env = {
+    ORDER: plan.order,
+    SLEEP_SECONDS: plan.interval,
+    JITTER_SECONDS: plan.jitter,
+    SETTLE_SECONDS: plan.settle,
+    DRY_RUN: plan.dryRun,
+    GRACE_PERIOD_SECONDS: plan.gracePeriodSeconds === null ? '' : plan.gracePeriodSeconds
+  };
+
+  return [
+    {
+      apiVersion: 'v1',
+      kind: 'ServiceAccount',
+      metadata: metadata(name, namespace)
+    },
+    ...rbac,
+    {
+      apiVersion: 'v1',
+      kind: 'ConfigMap',
+      metadata: metadata(`${name}-script`, namespace),
+      data: {
+        'kill-pods.sh': fs.readFileSync(KILL_SCRIPT, 'utf-8'),
+        'targets.tsv': renderTargets(plan)
+      }
+    },
+    {
+      apiVersion: 'batch/v1',
+      kind: 'Job',
+      metadata: metadata(name, namespace),
+      spec: {
+        // A failed chaos run is not retried
+        backoffLimit: 0,
+        template: {
+          metadata: { labels },
+          spec: {
+            serviceAccountName: name,
+            restartPolicy: 'Never',
+            containers: [{
+              name: 'pod-killer',
+              image: settings.image,
+              command: ['/bin/bash', `${SCRIPT_MOUNT}/kill-pods.sh`, `${SCRIPT_MOUNT}/targets.tsv`],
+              env: Object.entries(env).map(([key, value]) => ({ name: key, value: String(value) })),
+              volumeMounts: [{ name: 'script', mountPath: SCRIPT_MOUNT, readOnly: true }]
+            }],
+            volumes: [{ name: 'script', configMap: { name: `${name}-script`, defaultMode: 0o755 } }]
+          }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Render manifest objects as a multi-document YAML file
+ * @param {Object[]} objects
+ * @param {string} [source] - Plan file, mentioned in the header comment
+ */
+function renderManifests(objects, source) {
+  const header = `# Generated by \`avail manifest${source ? ` ${source}` : ''}\`. Edit the plan and regenerate instead of editing this file.\n`;
+  return header + objects.map(object => `---\n${YAML.stringify(object, { lineWidth: 0, aliasDuplicateObjects: false })}`).join('');
+}
+
+/**
+ * Identify a manifest object
+ */
+function objectKey(object) {
+  const metadata = (object && object.metadata) || {};
+  return `${object && object.kind}/${metadata.namespace || ''}/${metadata.name}`;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence), changed lines only with one line of context
+ * @returns {string[]} Lines prefixed with "-", "+" or " "
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(` ${a[i]}`);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`-${a[i++]}`);
+    } else {
+      lines.push(`+${b[j++]}`);
+    }
+  }
+  const changed = idx => lines[idx] && lines[idx][0] !== ' ';
+  return lines.filter((line, idx) => changed(idx) || changed(idx - 1) || changed(idx + 1));
+}
+
+/**
+ * Compare an existing manifest file with the generated objects
+ * @param {string} filePath - Existing multi-document YAML file
+ * @param {Object[]} expected - Result of buildManifests()
+ * @returns {{file: string, ok: boolean, missing: string[], unexpected: string[], changed: {object: string, diff: string[]}[]}}
+ */
+function checkManifests(filePath, expected) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    return { file: resolvedPath, ok: false, missing: expected.map(objectKey), unexpected: [], changed: [] };
+  }
+
+  let actual;
+  try {
+    actual = YAML.parseAllDocuments(fs.readFileSync(resolvedPath, 'utf-8'))
+      .map(doc => {
+        if (doc.errors.length > 0) throw doc.errors[0];
+        return doc.toJS();
+      })
+      .filter(Boolean);
+  } catch (error) {
+    throw new AvailError(`Invalid manifest ${resolvedPath}: ${error.message}`);
+  }
+
+  const actualByKey = new Map(actual.map(object => [objectKey(object), object]));
+  const expectedKeys = expected.map(objectKey);
+  const stringify = object => YAML.stringify(object, { lineWidth: 0, sortMapEntries: true, aliasDuplicateObjects: false });
+
+  const changed = [];
+  expected.forEach(object => {
+    const key = objectKey(object);
+    if (!actualByKey.has(key)) return;
+    const before = stringify(actualByKey.get(key));
+    const after = stringify(object);
+    if (before !== after) {
+      changed.push({ object: key, diff: diffLines(before, after) });
+    }
+  });
+  const missing = expectedKeys.filter(key => !actualByKey.has(key));
+  const unexpected = [...actualByKey.keys()].filter(key => !expectedKeys.includes(key));
+
+  return {
+    file: resolvedPath,
+    ok: missing.length === 0 && unexpected.length === 0 && changed.length === 0,
+    missing,
+    unexpected,
+    changed
+  };
+}
+
+/**
+ * Print the result of checkManifests()
+ * @param {Object} result
+ * @param {number} [maxLines] - Diff lines shown per object
+ */
+function printCheck(result, maxLines = 40) {
+  if (result.ok) {
+    log.info(`${result.file}: up to date`);
+    return;
+  }
+  log.warn(`${result.file}: differs from the generated manifests`);
+  result.missing.forEach(key => log.warn(`  missing:    ${key}`));
+  result.unexpected.forEach(key => log.warn(`  unexpected: ${key}`));
+  result.changed.forEach(({ object, diff }) => {
+    log.warn(`  changed:    ${object}`);
+    diff.slice(0, maxLines).forEach(line => log.warn(`    ${line}`));
+    if (diff.length > maxLines) {
+      log.warn(`    ... ${diff.length - maxLines} more lines`);
+    }
+  });
+}
+
+module.exports = {
+  MANIFEST_DEFAULTS,
+  manifestFileName,
+  podVerbs,
+  renderTargets,
+  buildManifests,
+  renderManifests,
+  diffLines,
+  checkManifests,
+  printCheck
+};
@@ -0,0 +1,114 @@
+const log = require('./logger');
+const { loadReportFolder, DEFAULT_FAULT_TYPE } = require('./report-folder');
+const { writeCSV } = require('./csv');
+
+/**
+ * Merge pod terminations into k6 time series data
+ * @param {string} dataFolder - Folder containing the CSV files (relative or absolute)
+ * @returns {{output: string, terminations: number, metrics: number, entries: number}}
+ */
+function mergeData(dataFolder = '.') {
+  // Load data
+  const { paths, podTerminations, timeSeries } = loadReportFolder(dataFolder);
+  const timeSeriesData = timeSeries.rows;
+
+  log.info(`Loaded ${podTerminations.length} pod terminations`);
+  log.info(`Loaded ${timeSeriesData.length} time series data points`);
+
+  // Get headers from k6 time series
+  const headers = timeSeries.headers;
+
+  // Add new "Pod Termination" header at the end
+  const newHeaders = [...headers, 'Pod Termination'];
+
+  log.info(`\nOriginal headers: ${headers.join(', ')}`);
+  log.info(`New headers: ${newHeaders.join(', ')}`);
+
+  // Convert all data to a unified format with timestamps
+  const allData = [];
+
+  // Add k6 time series data
+  timeSeriesData.forEach(row => {
+    // Add empty pod termination field
+    row['Pod Termination'] = '';
+
+    allData.push({
+      timestamp: row.timestamp, // Time column
+      type: 'metric',
+      data: row
+    });
+  });
+
+  // Add pod terminations; faults with a duration (scale, cordon, drain, isolate) get a start and an end entry
+  const terminationEvents = [];
+  podTerminations.forEach(termination => {
+    const podName = termination.Pod;
+    if (termination.faultType === DEFAULT_FAULT_TYPE) {
+      terminationEvents.push({ timestamp: termination.timestamp, label: `${podName} killed` });
+      return;
+    }
+    terminationEvents.push({ timestamp: termination.timestamp, label: `${podName} ${termination.faultType} start` });
+    if (termination.endTimestamp > termination.timestamp) {
+      terminationEvents.push({ timestamp: termination.endTimestamp, label: `${podName} ${termination.faultType} end` });
+    }
+  });
+
+  terminationEvents.forEach(({ timestamp, label }) => {
+    // Create a row with timestamp and pod termination info, rest empty
+    const terminationRow = {};
+    newHeaders.forEach((header, idx) => {
+      if (idx === 0) {
+        // First column: keep timestamp
+        terminationRow[header] = timestamp;
+      } else if (header === 'Pod Termination') {
+        // Last column: show pod termination
+        terminationRow[header] = label;
+      } else {
+        // All other columns: empty
+        terminationRow[header] = '';
+      }
+    });
+
+    allData.push({
+      timestamp: timestamp,
+      type: 'termination',
+      data: terminationRow
+    });
+  });
+
+  // Sort by timestamp
+  allData.sort((a, b) => a.timestamp - b.timestamp);
+
+  log.info(`\nMerged ${allData.length} total entries`);
+  log.info(`  - ${timeSeriesData.length} metric entries`);
+  log.info(`  - ${terminationEvents.length} termination entries (${podTerminations.length} terminations)`);
+
+  // Generate CSV output
+  const outputPath = paths.merged;
+
+  writeCSV(outputPath, newHeaders, allData.map(entry => entry.data));
+  log.info(`\nMerged data saved to: ${outputPath}`);
+
+  // Show sample output
+  log.info('\nSample merged data (first 15 entries):');
+  allData.slice(0, 15).forEach(entry => {
+    const timestamp = entry.data[newHeaders[0]];
+    const podTermination = entry.data['Pod Termination'];
+    if (entry.type === 'termination') {
+      log.info(`  [TERMINATION] Time: ${timestamp}, Event: ${podTermination}`);
+    } else {
+      log.info(`  [METRIC] Time: ${timestamp}`);
+    }
+  });
+
+  return {
+    output: outputPath,
+    terminations: podTerminations.length,
+    metrics: timeSeriesData.length,
+    entries: allData.length
+  };
+}
+
+module.exports = {
+  mergeData
+};
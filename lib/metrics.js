@@ -0,0 +1,222 @@
+/**
+ * Per-metric analysis across every latency/throughput series
+ *
+ * Grafana exports one column per series, e.g. `Latency(p99)  - sdkFxSendE2E 2025-10-13 13:43`.
+ * Each series is parsed into metric, statistic and scenario and analyzed on its own,
+ * producing a long-format report (termination x metric x scenario) and a per-scenario summary.
+ */
+
+const log = require('./logger');
+const { mean, compareSamples, adjustPValues } = require('./statistics');
+const { formatNumber, formatPValue } = require('./format');
+const { detectOverlaps, isExcluded } = require('./overlap');
+
+const DEFAULT_SCENARIO = 'default';
+
+// Trailing test-run date in Grafana legends, e.g. " 2025-10-13 13:43"
+const LEGEND_DATE = /\s+\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?$/;
+
+/**
+ * Parse a series header into its parts
+ * @param {string} header - e.g. "Latency(p99)  - sdkFxSendE2E 2025-10-13 13:43"
+ * @returns {{column: string, metric: string, statistic: string, scenario: string, testId: string}}
+ */
+function parseSeriesHeader(header) {
+  const [name, ...legendParts] = header.split(/\s+-\s+/);
+  const legend = legendParts.join(' - ').trim();
+  const nameMatch = /^(.*?)\s*(?:\(([^)]*)\))?\s*$/.exec(name.trim());
+
+  return {
+    column: header,
+    metric: nameMatch[1] || name.trim(),
+    statistic: nameMatch[2] || '',
+    scenario: legend ? legend.replace(LEGEND_DATE, '') : DEFAULT_SCENARIO,
+    testId: legend
+  };
+}
+
+/**
+ * Positive numeric values of a column for rows inside [start, end] (bounds per flags),
+ * leaving out rows inside the excluded spans
+ */
+function windowValues(rows, column, start, end, { includeStart = true, includeEnd = true, exclude = [] } = {}) {
+  const values = [];
+  rows.forEach(row => {
+    const t = row.timestamp;
+    if ((includeStart ? t >= start : t > start) && (includeEnd ? t <= end : t < end) && !isExcluded(t, exclude)) {
+      const value = parseFloat(row[column]);
+      if (!isNaN(value) && value > 0) {
+        values.push(value);
+      }
+    }
+  });
+  return values;
+}
+
+/**
+ * Find the baseline column matching a series: same metric and statistic,
+ * preferring the same scenario
+ */
+function matchBaselineSeries(series, baselineSeries) {
+  const candidates = baselineSeries.filter(b => b.metric === series.metric && b.statistic === series.statistic);
+  return candidates.find(b => b.scenario === series.scenario) || candidates[0] || null;
+}
+
+/**
+ * Analyze every latency and throughput series for every termination
+ * @param {Object[]} rows - Time series rows with timestamps
+ * @param {Object} resolved - Resolved column roles of the time series (see columns.resolveColumns)
+ * @param {Object[]} podTerminations - Normalised pod termination rows
+ * @param {Object} options
+ * @param {number} options.method - 0 global, 1 local baseline
+ * @param {number} options.beforeWindow - Seconds before each termination (local baseline)
+ * @param {number} options.afterWindow - Seconds after each termination
+ * @param {Object} [options.baseline] - Global baseline: { rows, resolved, window: {start, end} }
+ * @param {number} options.alpha
+ * @param {string} options.correction
+ * @param {string} options.test - 'mann-whitney' or 'welch'
+ * @returns {{rows: Object[], scenarios: Object[]}}
+ */
+function analyzeAllSeries(rows, resolved, podTerminations, options) {
+  const { method, beforeWindow, afterWindow, baseline, alpha, correction, test } = options;
+
+  const series = [
+    ...resolved.latency.map(column => ({ ...parseSeriesHeader(column), kind: 'latency' })),
+    ...resolved.throughput.map(column => ({ ...parseSeriesHeader(column), kind: 'throughput' }))
+  ];
+  const baselineSeries = baseline
+    ? [...baseline.resolved.latency, ...baseline.resolved.throughput].map(parseSeriesHeader)
+    : [];
+
+  log.info(`\n--- Per-Metric Analysis (${series.length} series) ---`);
+  series.forEach(s => {
+    log.info(`  ${s.metric}${s.statistic ? `(${s.statistic})` : ''} - ${s.scenario}`);
+  });
+
+  // Local baselines leave out the impact of earlier terminations, as in the main report
+  const overlaps = method === 0 ? null : detectOverlaps(podTerminations, { beforeWindow, afterWindow });
+  const longRows = [];
+
+  series.forEach(s => {
+    const baselineMatch = method === 0 ? matchBaselineSeries(s, baselineSeries) : null;
+    const globalBefore = baselineMatch
+      ? windowValues(baseline.rows, baselineMatch.column, baseline.window.start, baseline.window.end)
+      : null;
+
+    const seriesRows = podTerminations.map((termination, idx) => {
+      const t = termination.timestamp;
+      const before = method === 0
+        ? (globalBefore || [])
+        : windowValues(rows, s.column, t - beforeWindow * 1000, t, { includeEnd: false, exclude: overlaps.terminations[idx].exclude });
+      const after = windowValues(rows, s.column, t, t + afterWindow * 1000, { includeStart: false });
+      const hasData = before.length > 0 && after.length > 0;
+      const comparison = hasData ? compareSamples(before, after, alpha) : null;
+      const beforeMean = mean(before);
+      const afterMean = mean(after);
+
+      return {
+        row: {
+          Pod: termination.Pod,
+          'Termination Time': termination['Termination Time'],
+          'Fault Type': termination.faultType,
+          Metric: s.metric,
+          Statistic: s.statistic || 'N/A',
+          Scenario: s.scenario,
+          Column: s.column,
+          'Samples Before': before.length,
+          'Samples After': after.length,
+          'Before Mean': before.length > 0 ? beforeMean.toFixed(4) : 'N/A',
+          'After Mean': after.length > 0 ? afterMean.toFixed(4) : 'N/A',
+          'Change (%)': hasData && beforeMean !== 0 ? ((afterMean - beforeMean) / beforeMean * 100).toFixed(2) : 'N/A',
+          'Welch p': comparison ? formatPValue(comparison.welch.pValue) : 'N/A',
+          'Mann-Whitney p': comparison ? formatPValue(comparison.mannWhitney.pValue) : 'N/A',
+          "Cohen's d": comparison ? formatNumber(comparison.cohensD, 2) : 'N/A',
+          "Cliff's Delta": comparison ? formatNumber(comparison.cliffsDelta, 2) : 'N/A'
+        },
+        pValue: comparison ? (test === 'welch' ? comparison.welch.pValue : comparison.mannWhitney.pValue) : NaN
+      };
+    });
+
+    // Correct across the terminations of this series
+    const adjusted = adjustPValues(seriesRows.map(r => r.pValue), correction);
+    seriesRows.forEach((r, idx) => {
+      r.row['p (adj)'] = formatPValue(adjusted[idx]);
+      r.row['Test Result'] = Number.isFinite(adjusted[idx])
+        ? (adjusted[idx] < alpha ? 'Significant' : 'Not Significant')
+        : 'N/A';
+      r.row.kind = s.kind;
+      longRows.push(r.row);
+    });
+  });
+
+  // Order by termination, then metric/statistic/scenario
+  longRows.sort((a, b) => (
+    parseFloat(a['Termination Time']) - parseFloat(b['Termination Time']) ||
+    a.Pod.localeCompare(b.Pod) ||
+    a.Metric.localeCompare(b.Metric) ||
+    a.Statistic.localeCompare(b.Statistic) ||
+    a.Scenario.localeCompare(b.Scenario)
+  ));
+
+  const scenarios = summarizeScenarios(longRows);
+  longRows.forEach(row => delete row.kind);
+  return { rows: longRows, scenarios };
+}
+
+/**
+ * Summarize long-format rows per scenario
+ */
+function summarizeScenarios(longRows) {
+  const byScenario = new Map();
+  longRows.forEach(row => {
+    if (!byScenario.has(row.Scenario)) {
+      byScenario.set(row.Scenario, []);
+    }
+    byScenario.get(row.Scenario).push(row);
+  });
+
+  const summaries = [];
+  byScenario.forEach((rows, scenario) => {
+    const changes = kind => rows
+      .filter(r => r.kind === kind)
+      .map(r => parseFloat(r['Change (%)']))
+      .filter(value => !isNaN(value));
+    const significantTerminations = kind => new Set(rows
+      .filter(r => r.kind === kind && r['Test Result'] === 'Significant')
+      .map(r => `${r.Pod}|${r['Termination Time']}`)).size;
+
+    const latencyChanges = changes('latency');
+    const throughputChanges = changes('throughput');
+
+    summaries.push({
+      Scenario: scenario,
+      Series: new Set(rows.map(r => r.Column)).size,
+      Terminations: new Set(rows.map(r => `${r.Pod}|${r['Termination Time']}`)).size,
+      'Significant Latency Impacts': significantTerminations('latency'),
+      'Significant Throughput Impacts': significantTerminations('throughput'),
+      'Mean Latency Change (%)': latencyChanges.length > 0 ? mean(latencyChanges).toFixed(2) : 'N/A',
+      'Max Latency Change (%)': latencyChanges.length > 0 ? Math.max(...latencyChanges).toFixed(2) : 'N/A',
+      'Mean Throughput Change (%)': throughputChanges.length > 0 ? mean(throughputChanges).toFixed(2) : 'N/A',
+      'Min Throughput Change (%)': throughputChanges.length > 0 ? Math.min(...throughputChanges).toFixed(2) : 'N/A'
+    });
+  });
+
+  log.info('\n=== Per-Scenario Summary ===\n');
+  summaries.forEach(summary => {
+    log.info(`Scenario: ${summary.Scenario} (${summary.Series} series, ${summary.Terminations} terminations)`);
+    log.info(`  Significant latency impacts: ${summary['Significant Latency Impacts']}, mean change ${summary['Mean Latency Change (%)']}%, max ${summary['Max Latency Change (%)']}%`);
+    log.info(`  Significant throughput impacts: ${summary['Significant Throughput Impacts']}, mean change ${summary['Mean Throughput Change (%)']}%, min ${summary['Min Throughput Change (%)']}%`);
+  });
+
+  return summaries;
+}
+
+module.exports = {
+  DEFAULT_SCENARIO,
+  LEGEND_DATE,
+  parseSeriesHeader,
+  windowValues,
+  matchBaselineSeries,
+  analyzeAllSeries,
+  summarizeScenarios
+};
@@ -0,0 +1,113 @@
+/**
+ * Overlapping termination windows and concurrent kills
+ *
+ * Killers such as the redis-kafka one interleave deletions on separate intervals, so the window
+ * after one termination can hold the impact of another and the window before it can still show
+ * the previous one's. The impact span of a termination runs from its termination time to --after
+ * seconds later, or to the end of its fault when that is later:
+ *   - terminations with overlapping impact spans are concurrent; chains of them form one incident
+ *     (a termination on its own is an incident too)
+ *   - samples inside the impact span of another termination are contaminated and left out of
+ *     the local "before" baseline
+ *   - attribution confidence is High when nothing else happened around the termination, Medium
+ *     when contaminated samples were left out of its baseline and Low when it is concurrent with
+ *     other terminations, whose impact cannot be told apart from its own
+ */
+
+const ATTRIBUTION_CONFIDENCE = {
+  HIGH: 'High',
+  MEDIUM: 'Medium',
+  LOW: 'Low'
+};
+
+/**
+ * Impact span of a termination in epoch milliseconds
+ */
+function impactSpan(termination, afterWindow) {
+  return {
+    start: termination.timestamp,
+    end: Math.max(termination.timestamp + afterWindow * 1000, termination.endTimestamp)
+  };
+}
+
+/**
+ * Group terminations into incidents and find the contaminated part of each before window
+ * @param {Object[]} terminations - Pod terminations (see report-folder.readPodTerminations)
+ * @param {{beforeWindow: number, afterWindow: number}} windows - Seconds; a before window of 0
+ *   (global baseline) is never contaminated
+ * @returns {{incidents: {id: number, start: number, end: number, pods: string[]}[], terminations: {incident: number, concurrent: string[], contaminatedBy: string[], exclude: {start: number, end: number}[], confidence: string}[]}}
+ *   terminations in the order given; exclude holds the spans to leave out of the before window
+ */
+function detectOverlaps(terminations, { beforeWindow, afterWindow }) {
+  const spans = terminations.map(termination => impactSpan(termination, afterWindow));
+  const order = terminations.map((termination, idx) => idx).sort((a, b) => spans[a].start - spans[b].start);
+
+  const incidents = [];
+  const incidentOf = [];
+  order.forEach(idx => {
+    const current = incidents[incidents.length - 1];
+    if (current && spans[idx].start < current.end) {
+      current.end = Math.max(current.end, spans[idx].end);
+      current.members.push(idx);
+    } else {
+      incidents.push({ id: incidents.length + 1, start: spans[idx].start, end: spans[idx].end, members: [idx] });
+    }
+    incidentOf[idx] = incidents[incidents.length - 1];
+  });
+
+  return {
+    incidents: incidents.map(({ members, ...incident }) => ({ ...incident, pods: members.map(idx => terminations[idx].Pod) })),
+    terminations: terminations.map((termination, idx) => {
+      const incident = incidentOf[idx];
+      const concurrent = incident.members.filter(other => other !== idx &&
+        spans[other].start < spans[idx].end && spans[idx].start < spans[other].end);
+      const windowStart = termination.timestamp - beforeWindow * 1000;
+      const contaminating = beforeWindow > 0
+        ? order.filter(other => other !== idx && spans[other].start < termination.timestamp && spans[other].end > windowStart)
+        : [];
+
+      let confidence = ATTRIBUTION_CONFIDENCE.HIGH;
+      if (concurrent.length > 0) {
+        confidence = ATTRIBUTION_CONFIDENCE.LOW;
+      } else if (contaminating.length > 0) {
+        confidence = ATTRIBUTION_CONFIDENCE.MEDIUM;
+      }
+      return {
+        incident: incident.id,
+        concurrent: concurrent.map(other => terminations[other].Pod),
+        contaminatedBy: contaminating.map(other => terminations[other].Pod),
+        exclude: contaminating.map(other => spans[other]),
+        confidence
+      };
+    })
+  };
+}
+
+/**
+ * Whether a timestamp falls inside one of the spans (start exclusive, like the after window)
+ */
+function isExcluded(timestamp, spans) {
+  return spans.some(span => timestamp > span.start && timestamp <= span.end);
+}
+
+/**
+ * Report columns of a termination's overlap
+ * @param {Object} overlap - One of detectOverlaps().terminations
+ * @param {boolean} local - Whether the before window is a local baseline
+ */
+function overlapColumns(overlap, local) {
+  return {
+    Incident: overlap.incident,
+    'Concurrent Terminations': overlap.concurrent.join('; ') || 'None',
+    ...(local ? { 'Baseline Excludes Impact Of': overlap.contaminatedBy.join('; ') || 'None' } : {}),
+    'Attribution Confidence': overlap.confidence
+  };
+}
+
+module.exports = {
+  ATTRIBUTION_CONFIDENCE,
+  impactSpan,
+  detectOverlaps,
+  isExcluded,
+  overlapColumns
+};
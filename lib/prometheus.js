@@ -0,0 +1,279 @@
+/**
+ * k6 time series from Prometheus
+ *
+ * k6 runs streaming their metrics to Prometheus (remote write, `-o experimental-prometheus-rw`
+ * with a `testid` tag) can be fetched with `query_range` instead of exporting a Grafana panel.
+ * Each query yields one column, or one column per series when split by a label:
+ *
+ *   step: 5                      # seconds between points (default 5)
+ *   window: 1m                   # range of rate() and similar, available as $window (default 1m)
+ *   queries:
+ *     - column: VUs
+ *       query: sum(k6_vus{testid="$testid"})
+ *     - column: Latency(p99)
+ *       query: histogram_quantile(0.99, sum by (scenario) (rate(k6_http_req_duration_seconds{testid="$testid"}[$window]))) * 1000
+ *       by: scenario             # one column per scenario: "Latency(p99) - <scenario>"
+ *     - by: check                # no column: the label value names it (TRANSFERS__RESPONSE_IS_200)
+ *       query: 1 - avg by (check) (k6_checks_rate{testid="$testid"})
+ *
+ * Queries may use $testid, $window and $step. The columns match the ones `avail import` writes,
+ * without the scenario dates of the Grafana legends, so merge and analysis use them unchanged.
+ * With the built-in queries, whose Failures columns are ratios, the same columns.json is written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { writeCSV } = require('./csv');
+const { checkColumnName } = require('./k6');
+const { K6_COLUMN_MAPPING, writeColumnMapping } = require('./columns');
+const { reportPaths } = require('./report-folder');
+const { readRunMetadata, writeRunMetadata } = require('./run-info');
+const { formatTimestamp } = require('./time');
+
+// Prometheus requests slower than this count as failed
+const PROMETHEUS_TIMEOUT_MS = 10000;
+
+// Most points Prometheus returns per series
+const MAX_POINTS = 11000;
+
+const FETCH_DEFAULTS = {
+  step: 5,
+  window: '1m'
+};
+
+// Queries for the metrics of k6's Prometheus remote write output, latency as a native histogram
+const DEFAULT_QUERIES = [
+  { column: 'VUs', query: 'sum(k6_vus{testid="$testid"})' },
+  {
+    column: 'Latency(p99)',
+    query: 'histogram_quantile(0.99, sum by (scenario) (rate(k6_http_req_duration_seconds{testid="$testid"}[$window]))) * 1000',
+    by: 'scenario'
+  },
+  { column: 'Throughput', query: 'sum by (scenario) (rate(k6_iterations_total{testid="$testid"}[$window]))', by: 'scenario' },
+  { column: 'Failures', query: 'avg by (scenario) (k6_http_req_failed_rate{testid="$testid"})', by: 'scenario' },
+  { query: '1 - avg by (check) (k6_checks_rate{testid="$testid"})', by: 'check' }
+];
+
+/**
+ * Send a request to the Prometheus HTTP API and return its `data`
+ * @param {string} url - Prometheus base URL
+ * @param {string} apiPath - e.g. /api/v1/query
+ * @param {Object} params - Query parameters
+ */
+async function prometheusRequest(url, apiPath, params) {
+  const endpoint = new URL(`${url.replace(/\/+$/, '')}${apiPath}`);
+  Object.entries(params).forEach(([key, value]) => endpoint.searchParams.set(key, value));
+  const response = await fetch(endpoint, { signal: AbortSignal.timeout(PROMETHEUS_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${(await response.text()).trim()}`);
+  }
+  const { data } = await response.json();
+  return data;
+}
+
+/**
+ * Run an instant Prometheus query and return its value (the largest of several series),
+ * or null when the result is empty
+ */
+async function queryPrometheus({ url, query }) {
+  const data = await prometheusRequest(url, '/api/v1/query', { query });
+  const values = data.resultType === 'scalar'
+    ? [Number(data.result[1])]
+    : (data.result || []).map(series => Number(series.value[1]));
+  const finite = values.filter(Number.isFinite);
+  return finite.length > 0 ? Math.max(...finite) : null;
+}
+
+/**
+ * Run a range query
+ * @param {{url: string, query: string, start: number, end: number, step: number}} options - Times in epoch ms, step in seconds
+ * @returns {Promise<{labels: Object, values: [number, number][]}[]>} Series of [epoch ms, value] points
+ */
+async function queryRange({ url, query, start, end, step }) {
+  const data = await prometheusRequest(url, '/api/v1/query_range', {
+    query,
+    start: start / 1000,
+    end: end / 1000,
+    step
+  });
+  return (data.result || []).map(series => ({
+    labels: series.metric || {},
+    values: (series.values || []).map(([time, value]) => [Math.round(Number(time) * 1000), Number(value)])
+  }));
+}
+
+/**
+ * Read and validate a queries file (YAML or JSON), merged over the defaults
+ * @param {string} [filePath] - Default: the built-in k6 queries
+ * @returns {{source: string|null, step: number, window: string, queries: {column?: string, query: string, by?: string}[]}}
+ */
+function loadQueries(filePath) {
+  if (!filePath) {
+    return { source: null, ...FETCH_DEFAULTS, queries: DEFAULT_QUERIES };
+  }
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new AvailError(`Queries file not found: ${resolvedPath}`);
+  }
+  let raw;
+  try {
+    raw = YAML.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+  } catch (error) {
+    throw new AvailError(`Invalid queries file ${resolvedPath}: ${error.message}`);
+  }
+
+  const config = { source: resolvedPath, ...FETCH_DEFAULTS, ...(raw || {}) };
+  const errors = [];
+  if (typeof config.step !== 'number' || !(config.step > 0)) errors.push('step: expected a positive number of seconds');
+  if (typeof config.window !== 'string' || !/^\d+(ms|s|m|h|d)$/.test(config.window)) errors.push('window: expected a Prometheus duration such as 1m');
+  if (!Array.isArray(config.queries) || config.queries.length === 0) {
+    errors.push('queries: expected a list of queries');
+  } else {
+    config.queries.forEach((entry, idx) => {
+      const where = `queries[${idx}]`;
+      if (!entry || typeof entry.query !== 'string' || entry.query.trim() === '') errors.push(`${where}.query: expected a PromQL query`);
+      if (entry && entry.column !== undefined && (typeof entry.column !== 'string' || entry.column.trim() === '')) errors.push(`${where}.column: expected a column name`);
+      if (entry && entry.by !== undefined && (typeof entry.by !== 'string' || entry.by.trim() === '')) errors.push(`${where}.by: expected a label name`);
+      if (entry && entry.column === undefined && entry.by === undefined) errors.push(`${where}: expected a column, a by label or both`);
+    });
+  }
+  if (errors.length > 0) {
+    throw new AvailError(`Invalid queries file ${resolvedPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return config;
+}
+
+/**
+ * Column name of a series: the query's column, split by the `by` label when set
+ */
+function seriesColumn(entry, labels) {
+  const value = entry.by ? labels[entry.by] : undefined;
+  if (!entry.column) {
+    return value ? checkColumnName(value) : null;
+  }
+  return value ? `${entry.column} - ${value}` : entry.column;
+}
+
+/**
+ * Replace $testid, $window and $step in a query
+ */
+function expandQuery(query, variables) {
+  return query.replace(/\$(testid|window|step)\b/g, (match, name) => variables[name]);
+}
+
+/**
+ * Fetch a k6 time series from Prometheus into a report folder
+ * @param {string} folder - Report folder; its run.json (or INFO.md) provides the default test id
+ *   and time range, and records them when it had none
+ * @param {Object} options
+ * @param {string} options.url - Prometheus base URL
+ * @param {string} [options.testId] - k6 testid tag (default: testId of run.json)
+ * @param {number} [options.from] - Start in epoch ms (default: start of run.json)
+ * @param {number} [options.to] - End in epoch ms (default: end of run.json)
+ * @param {number} [options.step] - Seconds between points (default: the queries file's, 5)
+ * @param {string} [options.queries] - Queries file (default: the built-in k6 queries)
+ * @param {string} [options.output] - Output file (default: k6-time-series.csv in the folder)
+ * @returns {Promise<{timeSeries: string, columnMapping: string|null, testId: string, from: number, to: number, step: number, rows: number, columns: string[], empty: string[]}>}
+ */
+async function fetchTimeSeries(folder, options) {
+  const paths = reportPaths(folder);
+  const run = readRunMetadata(folder) || {};
+  const config = loadQueries(options.queries);
+  const testId = options.testId || run.testId;
+  const from = options.from !== undefined ? options.from : run.start;
+  const to = options.to !== undefined ? options.to : run.end;
+  const step = options.step !== undefined ? options.step : config.step;
+
+  if (!testId) {
+    throw new AvailError(`No test id: use --test-id, or set testId in ${paths.run} (avail info --test-id)`);
+  }
+  if (!Number.isFinite(from) || !Number.isFinite(to)) {
+    throw new AvailError(`No time range: use --from and --to, or set start and end in ${paths.run} (avail info --start --end)`);
+  }
+  if (to <= from) {
+    throw new AvailError(`The time range ends (${formatTimestamp(to)}) before it starts (${formatTimestamp(from)})`);
+  }
+  if ((to - from) / 1000 / step > MAX_POINTS) {
+    throw new AvailError(`${Math.ceil((to - from) / 1000 / step)} points per series exceed Prometheus' limit of ${MAX_POINTS}. Use a larger --step`);
+  }
+
+  log.info(`Test id: ${testId}`);
+  log.info(`Range: ${formatTimestamp(from)} - ${formatTimestamp(to)} every ${step}s`);
+  if (config.source) {
+    log.info(`Using queries: ${config.source}`);
+  }
+
+  // Align to the step so every query returns the same timestamps
+  const start = Math.floor(from / (step * 1000)) * step * 1000;
+  const variables = { testid: testId.replace(/["\\]/g, '\\$&'), window: config.window, step: `${step}s` };
+  const columns = [];
+  const values = new Map();
+  const empty = [];
+
+  for (const entry of config.queries) {
+    const query = expandQuery(entry.query, variables);
+    let series;
+    try {
+      series = await queryRange({ url: options.url, query, start, end: to, step });
+    } catch (error) {
+      throw new AvailError(`Query for ${entry.column || `each ${entry.by}`} failed: ${error.message}\n  ${query}`);
+    }
+    if (series.length === 0) {
+      log.warn(`No data for ${entry.column || `each ${entry.by}`}: ${query}`);
+      empty.push(entry.column || entry.by);
+      continue;
+    }
+    series.forEach(({ labels, values: points }) => {
+      const column = seriesColumn(entry, labels);
+      if (!column) {
+        log.warn(`Skipping a series without the ${entry.by} label: ${query}`);
+        return;
+      }
+      if (columns.includes(column)) {
+        throw new AvailError(`Column "${column}" is returned by more than one series. Aggregate the query by ${entry.by ? `"${entry.by}"` : 'a label and set by'}`);
+      }
+      columns.push(column);
+      points.forEach(([time, value]) => {
+        if (!values.has(time)) values.set(time, { Time: time });
+        values.get(time)[column] = Number.isFinite(value) ? value : '';
+      });
+    });
+  }
+
+  if (columns.length === 0) {
+    throw new AvailError(`No data for test id "${testId}" in ${formatTimestamp(from)} - ${formatTimestamp(to)}`);
+  }
+
+  const headers = ['Time', ...columns];
+  const rows = [...values.keys()].sort((a, b) => a - b).map(time => {
+    const row = values.get(time);
+    columns.forEach(column => {
+      if (row[column] === undefined) row[column] = '';
+    });
+    return row;
+  });
+  const output = options.output ? path.resolve(process.cwd(), options.output) : paths.timeSeries;
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  writeCSV(output, headers, rows, { quoteAll: true });
+  log.info(`Columns: ${columns.join(', ')}`);
+  log.info(`Time series written to: ${output} (${rows.length} rows)`);
+  // The default mapping does not take the Failures columns of the built-in queries as ratios
+  const columnMapping = config.source ? null : writeColumnMapping(path.dirname(output), K6_COLUMN_MAPPING);
+  if (!options.output) {
+    writeRunMetadata(folder, { testId, start: from, end: to }, { onlyMissing: true });
+  }
+
+  return { timeSeries: output, columnMapping, testId, from, to, step, rows: rows.length, columns, empty };
+}
+
+module.exports = {
+  FETCH_DEFAULTS,
+  DEFAULT_QUERIES,
+  queryPrometheus,
+  queryRange,
+  loadQueries,
+  fetchTimeSeries
+};
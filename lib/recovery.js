@@ -0,0 +1,327 @@
+/**
+ * Recovery-time measurement per pod termination
+ *
+ * After each termination the time series is scanned sample by sample and compared with
+ * the termination's baseline (the same baseline used by the significance analysis):
+ *   - latency deviates when it is above baseline + tolerance
+ *   - throughput deviates when it is below baseline - tolerance
+ *   - checks deviate when any check column or the error rate reports failures
+ *
+ * Time to impact is the first deviating sample; time to recover is the first sample
+ * of a run of in-band samples lasting at least the stable period. Peak degradation and
+ * the area under the degradation curve (% x seconds) cover the impact period.
+ *
+ * When the chaos runner recorded the replacement pods (see lib/replacement.js), the
+ * Kubernetes-level recovery is reported next to it: seconds from the termination until the
+ * replacement was scheduled, its containers started and it was Ready.
+ */
+
+const log = require('./logger');
+const { mean } = require('./statistics');
+const { parseTimestamp } = require('./time');
+
+// Default recovery options
+const DEFAULT_RECOVERY_OPTIONS = {
+  tolerance: 10, // % of the baseline mean
+  horizon: 180, // seconds searched after each termination
+  stableSeconds: 10 // in-band period required to count as recovered
+};
+
+const RECOVERY_STATUS = {
+  NO_IMPACT: 'No Impact',
+  RECOVERED: 'Recovered',
+  NOT_RECOVERED: 'Not Recovered'
+};
+
+/**
+ * Failure rate of one sample between 0 and 1, or null when the sample measured none
+ * @param {Object} row - Time series row
+ * @param {string[]} columns - Time series headers
+ * @param {Object} columnIndices - Check and error rate columns (see analysis.loadTimeSeries);
+ *   a failure-rate check column without a value had no failures, see lib/columns.js
+ */
+function sampleFailureRate(row, columns, columnIndices) {
+  const rates = [];
+  let measured = false;
+  (columnIndices.checkColumns || []).forEach(idx => {
+    const value = parseFloat(row[columns[idx]]);
+    if (columnIndices.checkType === 'success-rate') {
+      if (!isNaN(value) && value >= 0 && value <= 1) {
+        rates.push(1 - value);
+      }
+    } else {
+      // Failure-rate check columns only have values while checks fail
+      measured = true;
+      if (!isNaN(value) && value >= 0 && value <= 1) {
+        rates.push(value);
+      }
+    }
+  });
+  if (columnIndices.errorRate !== undefined && columnIndices.errorRate !== -1 && columnIndices.errorRateScale) {
+    const value = parseFloat(row[columns[columnIndices.errorRate]]) / columnIndices.errorRateScale;
+    if (!isNaN(value) && value >= 0 && value <= 1) {
+      rates.push(value);
+    }
+  }
+  if (rates.length > 0) {
+    return Math.max(...rates);
+  }
+  return measured ? 0 : null;
+}
+
+/**
+ * Extract latency, throughput and failure rate (checks and error rate) per sample
+ * @returns {{time: number, latency: number, throughput: number, checkFailure: number}[]}
+ */
+function extractSeries(timeSeriesData, columnIndices) {
+  const columns = Object.keys(timeSeriesData[0]);
+  const toPositive = value => {
+    const num = parseFloat(value);
+    return !isNaN(num) && num > 0 ? num : NaN;
+  };
+
+  return timeSeriesData.map(row => ({
+    time: row.timestamp,
+    latency: toPositive(row[columns[columnIndices.latency]]),
+    throughput: toPositive(row[columns[columnIndices.throughput]]),
+    checkFailure: sampleFailureRate(row, columns, columnIndices) || 0
+  }));
+}
+
+/**
+ * Median interval between consecutive samples, in seconds
+ */
+function sampleIntervalSeconds(series) {
+  const intervals = [];
+  for (let i = 1; i < series.length; i++) {
+    const diff = series[i].time - series[i - 1].time;
+    if (diff > 0) intervals.push(diff);
+  }
+  if (intervals.length === 0) return 0;
+  intervals.sort((a, b) => a - b);
+  return intervals[Math.floor(intervals.length / 2)] / 1000;
+}
+
+/**
+ * Degradation of one sample relative to the baseline, in % (0 when within baseline)
+ */
+function degradation(sample, baseline) {
+  return {
+    latency: Number.isFinite(sample.latency) && baseline.latency > 0
+      ? Math.max(0, (sample.latency - baseline.latency) / baseline.latency * 100)
+      : 0,
+    throughput: Number.isFinite(sample.throughput) && baseline.throughput > 0
+      ? Math.max(0, (baseline.throughput - sample.throughput) / baseline.throughput * 100)
+      : 0,
+    checkFailure: sample.checkFailure * 100
+  };
+}
+
+/**
+ * Whether a sample is outside the tolerance band
+ */
+function isDegraded(sample, baseline, tolerance) {
+  const d = degradation(sample, baseline);
+  return d.latency > tolerance || d.throughput > tolerance || d.checkFailure > 0;
+}
+
+/**
+ * Measure impact and recovery for a single termination
+ * @param {Object[]} series - From extractSeries
+ * @param {number} terminationTime - Epoch milliseconds
+ * @param {{latency: number, throughput: number}} baseline - Baseline means
+ * @param {Object} options - See DEFAULT_RECOVERY_OPTIONS
+ * @param {number} interval - Sample interval in seconds
+ */
+function measureRecovery(series, terminationTime, baseline, options, interval) {
+  const { tolerance, horizon, stableSeconds } = options;
+  const samples = series.filter(s => s.time > terminationTime && s.time <= terminationTime + horizon * 1000);
+  const flags = samples.map(s => isDegraded(s, baseline, tolerance));
+
+  const result = {
+    status: RECOVERY_STATUS.NO_IMPACT,
+    timeToImpact: null,
+    timeToRecover: 0,
+    peakLatencyIncrease: 0,
+    peakThroughputDrop: 0,
+    peakCheckFailure: 0,
+    latencyArea: 0,
+    throughputArea: 0
+  };
+
+  const impactIdx = flags.indexOf(true);
+  if (impactIdx === -1) {
+    return result;
+  }
+
+  result.timeToImpact = (samples[impactIdx].time - terminationTime) / 1000;
+
+  // Recovery: first in-band sample followed by enough in-band samples to cover the stable period
+  const stableCount = Math.max(1, Math.ceil(stableSeconds / (interval || 1)));
+  let recoveryIdx = -1;
+  for (let i = impactIdx + 1; i + stableCount <= samples.length; i++) {
+    if (flags.slice(i, i + stableCount).every(flag => !flag)) {
+      recoveryIdx = i;
+      break;
+    }
+  }
+
+  const endIdx = recoveryIdx === -1 ? samples.length : recoveryIdx;
+  if (recoveryIdx === -1) {
+    result.status = RECOVERY_STATUS.NOT_RECOVERED;
+    result.timeToRecover = null;
+  } else {
+    result.status = RECOVERY_STATUS.RECOVERED;
+    result.timeToRecover = (samples[recoveryIdx].time - terminationTime) / 1000;
+  }
+
+  samples.slice(impactIdx, endIdx).forEach(sample => {
+    const d = degradation(sample, baseline);
+    result.peakLatencyIncrease = Math.max(result.peakLatencyIncrease, d.latency);
+    result.peakThroughputDrop = Math.max(result.peakThroughputDrop, d.throughput);
+    result.peakCheckFailure = Math.max(result.peakCheckFailure, d.checkFailure);
+    result.latencyArea += d.latency * interval;
+    result.throughputArea += d.throughput * interval;
+  });
+
+  return result;
+}
+
+/**
+ * Format a number of seconds, or the given fallback when null
+ */
+function formatSeconds(value, fallback) {
+  return value === null ? fallback : value.toFixed(1);
+}
+
+/**
+ * Kubernetes recovery columns of a termination: the replacement pod and the seconds until it
+ * was scheduled, its containers started and it was Ready ('N/A' when not recorded)
+ * @param {Object} termination - Normalised termination (see report-folder.normalizeTerminations)
+ */
+function kubernetesRecoveryColumns(termination) {
+  const replacement = termination.replacement;
+  const since = value => (replacement && value !== null ? formatSeconds((value - termination.timestamp) / 1000) : 'N/A');
+  return {
+    'Replacement Pod': replacement ? replacement.pod : 'N/A',
+    'Pod Scheduled (s)': since(replacement && replacement.scheduled),
+    'Containers Started (s)': since(replacement && replacement.started),
+    'Pod Ready (s)': since(replacement && replacement.ready)
+  };
+}
+
+/**
+ * Add recovery columns to each result and return the run-level MTTR summary
+ * @param {Object[]} results - Rows with attached samples (see analysis.attachSamples)
+ * @param {Object[]} timeSeriesData - Time series rows
+ * @param {Object} columnIndices - Latency/throughput/check column indices
+ * @param {Object} options - See DEFAULT_RECOVERY_OPTIONS
+ * @param {Object[]} [terminations] - The terminations of the results, in the same order; their
+ *   replacement pods add the Kubernetes recovery columns
+ */
+function addRecoveryColumns(results, timeSeriesData, columnIndices, options = {}, terminations = []) {
+  const recoveryOptions = { ...DEFAULT_RECOVERY_OPTIONS, ...options };
+  const series = extractSeries(timeSeriesData, columnIndices);
+  const interval = sampleIntervalSeconds(series);
+  const withReplacements = terminations.some(termination => termination.replacement);
+  const kubernetes = index => (withReplacements ? kubernetesRecoveryColumns(terminations[index]) : {});
+
+  log.info(`\n--- Recovery Analysis (tolerance ±${recoveryOptions.tolerance}%, horizon ${recoveryOptions.horizon}s, stable ${recoveryOptions.stableSeconds}s) ---`);
+
+  const measurements = results.map((row, index) => {
+    if (!row.samples) {
+      Object.assign(row, {
+        'Recovery Status': 'N/A',
+        'Time To Impact (s)': 'N/A',
+        'Time To Recover (s)': 'N/A',
+        ...kubernetes(index),
+        'Peak Latency Increase (%)': 'N/A',
+        'Peak Throughput Drop (%)': 'N/A',
+        'Peak Check Failure (%)': 'N/A',
+        'Latency Degradation Area (%·s)': 'N/A',
+        'Throughput Degradation Area (%·s)': 'N/A'
+      });
+      return null;
+    }
+
+    const baseline = {
+      latency: mean(row.samples.latency.before),
+      throughput: mean(row.samples.throughput.before)
+    };
+    const m = measureRecovery(series, parseTimestamp(row['Termination Time']), baseline, recoveryOptions, interval);
+
+    Object.assign(row, {
+      'Recovery Status': m.status,
+      'Time To Impact (s)': formatSeconds(m.timeToImpact, 'N/A'),
+      'Time To Recover (s)': formatSeconds(m.timeToRecover, `>${recoveryOptions.horizon}`),
+      ...kubernetes(index),
+      'Peak Latency Increase (%)': m.peakLatencyIncrease.toFixed(2),
+      'Peak Throughput Drop (%)': m.peakThroughputDrop.toFixed(2),
+      'Peak Check Failure (%)': m.peakCheckFailure.toFixed(2),
+      'Latency Degradation Area (%·s)': m.latencyArea.toFixed(1),
+      'Throughput Degradation Area (%·s)': m.throughputArea.toFixed(1)
+    });
+
+    log.info(`${row.Pod}: ${m.status}` +
+      (m.timeToImpact !== null ? `, impact after ${m.timeToImpact.toFixed(1)}s` : '') +
+      (m.status === RECOVERY_STATUS.RECOVERED ? `, recovered after ${m.timeToRecover.toFixed(1)}s` : '') +
+      (m.timeToImpact !== null ? ` (peak latency +${m.peakLatencyIncrease.toFixed(1)}%, peak throughput -${m.peakThroughputDrop.toFixed(1)}%)` : '') +
+      (withReplacements && row['Pod Ready (s)'] !== 'N/A' ? `; replacement ${row['Replacement Pod']} Ready after ${row['Pod Ready (s)']}s` : ''));
+    return m;
+  });
+
+  const readyTimes = terminations
+    .filter(termination => termination.replacement && termination.replacement.ready !== null)
+    .map(termination => (termination.replacement.ready - termination.timestamp) / 1000);
+
+  const measured = measurements.filter(Boolean);
+  const impacted = measured.filter(m => m.status !== RECOVERY_STATUS.NO_IMPACT);
+  const recoveryTimes = impacted
+    .filter(m => m.status === RECOVERY_STATUS.RECOVERED)
+    .map(m => m.timeToRecover);
+
+  return {
+    measured: measured.length,
+    impacted: impacted.length,
+    recovered: recoveryTimes.length,
+    notRecovered: impacted.length - recoveryTimes.length,
+    mttr: recoveryTimes.length > 0 ? mean(recoveryTimes) : null,
+    maxTimeToRecover: recoveryTimes.length > 0 ? Math.max(...recoveryTimes) : null,
+    kubernetes: {
+      replacements: terminations.filter(termination => termination.replacement).length,
+      ready: readyTimes.length,
+      meanTimeToReady: readyTimes.length > 0 ? mean(readyTimes) : null,
+      maxTimeToReady: readyTimes.length > 0 ? Math.max(...readyTimes) : null
+    }
+  };
+}
+
+/**
+ * End of the impact/recovery window of a termination in epoch milliseconds, or null when it
+ * is a point in time: the latest of the fault's end time, the time to recover (the horizon when
+ * it did not recover) and the replacement pod's Ready time
+ * @param {Object} termination - Normalised termination
+ * @param {Object} [result] - Report row with the recovery columns (see addRecoveryColumns)
+ */
+function impactWindowEnd(termination, result) {
+  let end = termination.endTimestamp;
+  if (result) {
+    [result['Time To Recover (s)'], result['Pod Ready (s)']].forEach(value => {
+      const seconds = parseFloat(String(value || '').replace(/^>/, ''));
+      if (Number.isFinite(seconds)) end = Math.max(end, termination.timestamp + seconds * 1000);
+    });
+  }
+  return end > termination.timestamp ? end : null;
+}
+
+module.exports = {
+  DEFAULT_RECOVERY_OPTIONS,
+  sampleFailureRate,
+  RECOVERY_STATUS,
+  extractSeries,
+  sampleIntervalSeconds,
+  measureRecovery,
+  kubernetesRecoveryColumns,
+  addRecoveryColumns,
+  impactWindowEnd
+};
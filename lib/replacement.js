@@ -0,0 +1,117 @@
+/**
+ * Replacement pod tracking for the chaos runner
+ *
+ * After a pod is deleted (or evicted by a drain) its controller, usually a ReplicaSet or
+ * StatefulSet, creates a replacement. The pods of the namespace are polled for a pod owned by
+ * the same controller, created after the termination, until that pod is Ready:
+ *
+ *   Scheduled Time        PodScheduled condition became true
+ *   Container Start Time  the last of its containers started running
+ *   Ready Time            Ready condition became true
+ *
+ * The API server reports these times with a precision of one second.
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+const { parseTimestamp } = require('./time');
+
+const WATCH_DEFAULTS = {
+  pollSeconds: 2
+};
+
+/**
+ * The controller owning a pod, or null for a bare pod
+ * @returns {{kind: string, name: string, uid: string}|null}
+ */
+function podController(pod) {
+  const owner = (pod.metadata.ownerReferences || []).find(ref => ref.controller);
+  return owner ? { kind: owner.kind, name: owner.name, uid: owner.uid } : null;
+}
+
+/**
+ * Epoch milliseconds at which a pod condition became true, or null
+ */
+function conditionTime(pod, type) {
+  const condition = ((pod.status && pod.status.conditions) || []).find(c => c.type === type && c.status === 'True');
+  const time = condition ? parseTimestamp(condition.lastTransitionTime) : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Milestones of a pod in epoch milliseconds (null until reached)
+ * @returns {{pod: string, scheduled: number|null, started: number|null, ready: number|null}}
+ */
+function podMilestones(pod) {
+  const statuses = (pod.status && pod.status.containerStatuses) || [];
+  const starts = statuses.map(status => parseTimestamp(status.state && status.state.running && status.state.running.startedAt));
+  const allStarted = statuses.length > 0 && starts.every(Number.isFinite);
+  return {
+    pod: pod.metadata.name,
+    scheduled: conditionTime(pod, 'PodScheduled'),
+    started: allStarted ? Math.max(...starts) : null,
+    ready: conditionTime(pod, 'Ready')
+  };
+}
+
+/**
+ * Find the replacement of a terminated pod among the pods of its namespace: owned by the same
+ * controller, not the terminated pod itself (a StatefulSet reuses the name) and created after
+ * the termination. The earliest such pod is the replacement.
+ * @param {Object[]} pods
+ * @param {Object} terminated - The pod object as it was before the termination
+ * @param {number} since - Termination time in epoch milliseconds
+ */
+function findReplacement(pods, terminated, since) {
+  const controller = podController(terminated);
+  if (!controller) return null;
+  // creationTimestamp is truncated to the second
+  const earliest = Math.floor(since / 1000) * 1000;
+  const candidates = pods
+    .filter(pod => pod.metadata.uid !== terminated.metadata.uid)
+    .filter(pod => {
+      const owner = podController(pod);
+      return owner && owner.uid === controller.uid;
+    })
+    .filter(pod => parseTimestamp(pod.metadata.creationTimestamp) >= earliest)
+    .sort((a, b) => parseTimestamp(a.metadata.creationTimestamp) - parseTimestamp(b.metadata.creationTimestamp) ||
+      a.metadata.name.localeCompare(b.metadata.name));
+  return candidates[0] || null;
+}
+
+/**
+ * Poll for the replacement of a terminated pod until it is Ready, the deadline passes or the
+ * signal aborts. Returns the last milestones seen, or null when no replacement appeared.
+ * @param {Object} client - Kubernetes client (see lib/kube.js)
+ * @param {Object} terminated - The pod object as it was before the termination
+ * @param {number} since - Termination time in epoch milliseconds
+ * @param {Object} options - { deadline, now, signal, pollSeconds }
+ */
+async function watchReplacement(client, terminated, since, options) {
+  const { deadline, now = Date.now, signal, pollSeconds = WATCH_DEFAULTS.pollSeconds } = options;
+  const namespace = terminated.metadata.namespace;
+  let milestones = null;
+
+  while (!(signal && signal.aborted)) {
+    const replacement = findReplacement(await client.listPods(namespace), terminated, since);
+    if (replacement) {
+      milestones = podMilestones(replacement);
+      if (milestones.ready !== null) break;
+    }
+    const wait = Math.min(pollSeconds * 1000, deadline - now());
+    if (wait <= 0) break;
+    try {
+      await delay(wait, undefined, { signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  }
+  return milestones;
+}
+
+module.exports = {
+  WATCH_DEFAULTS,
+  podController,
+  podMilestones,
+  findReplacement,
+  watchReplacement
+};
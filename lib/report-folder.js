@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { readCSV } = require('./csv');
+const { parseTimestamp } = require('./time');
+const { readConsoleSummary } = require('./k6-console');
+const { AvailError } = require('./errors');
+
+// Well-known file names inside a report folder
+const REPORT_FILES = {
+  podTerminations: 'pod-terminations.csv',
+  timeSeries: 'k6-time-series.csv',
+  merged: 'merged-time-series.csv',
+  statisticalReport: 'statistical-analysis-report.csv',
+  metricsReport: 'statistical-analysis-metrics.csv',
+  scenarioSummary: 'statistical-analysis-scenarios.csv',
+  k6Console: 'k6-tests.txt',
+  k6Summary: 'k6-summary.json',
+  html: 'availability-report.html',
+  info: 'INFO.md',
+  run: 'run.json'
+};
+
+// Canonical pod-terminations.csv headers. The pod killers are not consistent
+// about case (e.g. "Termination time" vs "Termination Time").
+const TERMINATION_HEADERS = ['Pod', 'Termination Time', 'Status'];
+
+// Namespace of the pod, written by the chaos runner
+const NAMESPACE_HEADER = 'Namespace';
+
+// Optional columns written by the chaos runner: the fault injected and when it was undone.
+// Files without them (the bash pod killers) are pod deletions.
+const FAULT_HEADERS = ['Fault Type', 'End Time'];
+const DEFAULT_FAULT_TYPE = 'delete';
+
+// Optional columns written by the chaos runner: the pod replacing a terminated pod and when
+// it was scheduled, its containers started and it became Ready (epoch milliseconds)
+const REPLACEMENT_HEADERS = ['Replacement Pod', 'Scheduled Time', 'Container Start Time', 'Ready Time'];
+
+// Kills that did not take effect, left out when reading: SKIPPED (a guard did not hold) and
+// ABORTED (left out by an abort), with the reason in an optional column; DRY_RUN (simulated),
+// DELETE_ERROR and FAULT_ERROR (the deletion or fault injection failed). RESTORE_ERROR rows are
+// kept: the fault was injected and only undoing it failed.
+const NOT_RUN_STATUSES = ['SKIPPED', 'ABORTED', 'DRY_RUN', 'DELETE_ERROR', 'FAULT_ERROR'];
+const REASON_HEADER = 'Reason';
+
+/**
+ * Map headers onto their canonical spelling, matching case-insensitively
+ */
+function canonicalHeader(header, canonical) {
+  const key = header.replace(/\s+/g, ' ').trim().toLowerCase();
+  const match = canonical.find(name => name.toLowerCase() === key);
+  return match || header;
+}
+
+/**
+ * Normalise pod termination rows: canonical header names, a numeric `timestamp` (epoch
+ * milliseconds) parsed from the termination time, the non-enumerable `faultType` and
+ * `endTimestamp` (the termination time when there is no end time), and `replacement`
+ * ({pod, scheduled, started, ready} in epoch milliseconds or null, null without a replacement pod)
+ */
+function normalizeTerminations(headers, rows) {
+  const canonicalHeaders = headers.map(h => canonicalHeader(h, [...TERMINATION_HEADERS, NAMESPACE_HEADER, ...FAULT_HEADERS, ...REPLACEMENT_HEADERS, REASON_HEADER]));
+  const optionalTime = value => {
+    const millis = parseTimestamp(value);
+    return Number.isFinite(millis) ? millis : null;
+  };
+
+  const terminations = rows.map(row => {
+    const normalized = {};
+    headers.forEach((header, idx) => {
+      normalized[canonicalHeaders[idx]] = row[header];
+    });
+    const timestamp = parseTimestamp(normalized['Termination Time']);
+    const endTimestamp = parseTimestamp(normalized['End Time']);
+    Object.defineProperty(normalized, 'timestamp', { value: timestamp, enumerable: false });
+    Object.defineProperty(normalized, 'faultType', {
+      value: (normalized['Fault Type'] || '').trim() || DEFAULT_FAULT_TYPE,
+      enumerable: false
+    });
+    Object.defineProperty(normalized, 'endTimestamp', {
+      value: Number.isFinite(endTimestamp) ? endTimestamp : timestamp,
+      enumerable: false
+    });
+    const replacementPod = (normalized['Replacement Pod'] || '').trim();
+    Object.defineProperty(normalized, 'replacement', {
+      value: replacementPod ? {
+        pod: replacementPod,
+        scheduled: optionalTime(normalized['Scheduled Time']),
+        started: optionalTime(normalized['Container Start Time']),
+        ready: optionalTime(normalized['Ready Time'])
+      } : null,
+      enumerable: false
+    });
+    return normalized;
+  });
+
+  return { headers: canonicalHeaders, rows: terminations };
+}
+
+/**
+ * Read a pod-terminations.csv file into normalised termination rows, without the kills that
+ * were not carried out
+ */
+function readPodTerminations(filePath) {
+  const { headers, rows } = readCSV(filePath);
+  return normalizeTerminations(headers, rows).rows
+    .filter(row => !NOT_RUN_STATUSES.includes((row.Status || '').trim().toUpperCase()));
+}
+
+/**
+ * Give each row a non-enumerable numeric `timestamp` (epoch milliseconds)
+ * parsed from its time column
+ */
+function attachTimestamps(rows, timeColumn) {
+  rows.forEach(row => {
+    Object.defineProperty(row, 'timestamp', {
+      value: parseTimestamp(row[timeColumn]),
+      enumerable: false,
+      configurable: true
+    });
+  });
+  return rows;
+}
+
+/**
+ * Read a k6 time series CSV. The time column defaults to the first column;
+ * each row gets a non-enumerable numeric `timestamp` (epoch milliseconds).
+ */
+function readTimeSeries(filePath, timeColumn) {
+  const { headers, rows } = readCSV(filePath);
+  const resolvedTimeColumn = timeColumn || headers[0];
+  attachTimestamps(rows, resolvedTimeColumn);
+  return { headers, timeColumn: resolvedTimeColumn, rows };
+}
+
+/**
+ * Read a normalised k6-summary.json (see lib/k6.js), or null when the file does not exist
+ */
+function readK6Summary(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new AvailError(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the run-wide k6 summary of a report folder: k6-summary.json when present,
+ * otherwise parsed from the k6-tests.txt console output. Null when neither exists.
+ * @param {Object} paths - Result of reportPaths()
+ */
+function loadK6Summary(paths) {
+  const summary = readK6Summary(paths.k6Summary);
+  if (summary) {
+    return summary;
+  }
+  return fs.existsSync(paths.k6Console) ? readConsoleSummary(paths.k6Console) : null;
+}
+
+/**
+ * Read the free-text INFO.md of a run (superseded by run.json, see lib/run-info.js): its
+ * `Title: URL` links and, from the first Grafana URL that has them, the test id (`var-testid`)
+ * and time range (`from`/`to`). Returns null when the file does not exist; missing values are null.
+ * @returns {{testId: string|null, from: number|null, to: number|null, url: string|null, links: {title: string, url: string}[]}|null}
+ */
+function readRunInfo(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const links = [];
+  content.split(/\r?\n/).forEach(line => {
+    const match = /^\s*[-*]?\s*([^:]+?)\s*:\s*(https?:\/\/\S+)\s*$/.exec(line);
+    if (match) links.push({ title: match[1], url: match[2] });
+  });
+  const urls = content.match(/https?:\/\/[^\s)>\]]+/g) || [];
+  for (const text of urls) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      continue;
+    }
+    // "$__all" and other unresolved variables are not a test id
+    const testId = (url.searchParams.get('var-testid') || '').startsWith('$') ? null : url.searchParams.get('var-testid');
+    const from = parseTimestamp(url.searchParams.get('from'));
+    const to = parseTimestamp(url.searchParams.get('to'));
+    if (testId || (Number.isFinite(from) && Number.isFinite(to))) {
+      return {
+        testId: testId || null,
+        from: Number.isFinite(from) ? from : null,
+        to: Number.isFinite(to) ? to : null,
+        url: text,
+        links
+      };
+    }
+  }
+  return { testId: null, from: null, to: null, url: null, links };
+}
+
+/**
+ * Resolve the paths of the well-known files in a report folder
+ */
+function reportPaths(folder) {
+  const resolvedFolder = path.resolve(process.cwd(), folder);
+  const paths = { folder: resolvedFolder };
+  Object.entries(REPORT_FILES).forEach(([key, fileName]) => {
+    paths[key] = path.join(resolvedFolder, fileName);
+  });
+  return paths;
+}
+
+/**
+ * Load the pod terminations, k6 time series and (optional) run-wide k6 summary of a report folder
+ * @param {string} folder - Report folder (relative to cwd or absolute)
+ * @returns {{paths: Object, podTerminations: Object[], timeSeries: {headers: string[], timeColumn: string, rows: Object[]}, k6Summary: Object|null}}
+ */
+function loadReportFolder(folder) {
+  const paths = reportPaths(folder);
+
+  [paths.podTerminations, paths.timeSeries].forEach(filePath => {
+    if (!fs.existsSync(filePath)) {
+      throw new AvailError(`File not found: ${filePath}`);
+    }
+  });
+
+  return {
+    paths,
+    podTerminations: readPodTerminations(paths.podTerminations),
+    timeSeries: readTimeSeries(paths.timeSeries),
+    k6Summary: loadK6Summary(paths)
+  };
+}
+
+module.exports = {
+  REPORT_FILES,
+  TERMINATION_HEADERS,
+  NAMESPACE_HEADER,
+  FAULT_HEADERS,
+  DEFAULT_FAULT_TYPE,
+  REPLACEMENT_HEADERS,
+  NOT_RUN_STATUSES,
+  REASON_HEADER,
+  normalizeTerminations,
+  attachTimestamps,
+  readPodTerminations,
+  readTimeSeries,
+  readK6Summary,
+  loadK6Summary,
+  readRunInfo,
+  reportPaths,
+  loadReportFolder
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { readCSV } = require('./csv');
+const { reportPaths } = require('./report-folder');
+
+const SIGNIFICANT = ['Significant', 'Highly Significant'];
+
+/**
+ * Count rows per value of a significance column
+ */
+function countBySignificance(rows, column) {
+  const counts = {};
+  rows.forEach(row => {
+    const value = row[column] || 'N/A';
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Overall summary of statistical analysis report rows
+ * @returns {{total: number, significantLatency: number, significantThroughput: number, latencySignificance: Object, throughputSignificance: Object, minSuccessRate: number|null}}
+ */
+function summarizeRows(rows) {
+  const successRates = rows
+    .map(row => parseFloat(row['Success Rate']))
+    .filter(value => !isNaN(value));
+
+  return {
+    total: rows.length,
+    significantLatency: rows.filter(r => SIGNIFICANT.includes(r['Latency Significance'])).length,
+    significantThroughput: rows.filter(r => SIGNIFICANT.includes(r['Throughput Significance'])).length,
+    latencySignificance: countBySignificance(rows, 'Latency Significance'),
+    throughputSignificance: countBySignificance(rows, 'Throughput Significance'),
+    minSuccessRate: successRates.length > 0 ? Math.min(...successRates) : null
+  };
+}
+
+/**
+ * Print the statistical analysis report of a report folder
+ * @param {string} folder - Report folder containing statistical-analysis-report.csv
+ * @returns {{file: string, results: Object[], summary: Object}}
+ */
+function summarizeReport(folder) {
+  const paths = reportPaths(folder);
+  if (!fs.existsSync(paths.statisticalReport)) {
+    throw new AvailError(`File not found: ${paths.statisticalReport}. Run the analysis first.`);
+  }
+
+  const { rows } = readCSV(paths.statisticalReport);
+  log.info(`Report: ${paths.statisticalReport}\n`);
+
+  rows.forEach(row => {
+    log.info(`Pod: ${row.Pod}`);
+    log.info(`  Latency: ${row['After Latency Mean']} ms (${row['Latency Change (%)']}%, Z=${row['Latency Z-Score']}) - ${row['Latency Significance']}`);
+    log.info(`  Throughput: ${row['After Throughput Mean']} (Z=${row['Throughput Z-Score']}) - ${row['Throughput Significance']}`);
+    log.info(`  Success Rate: ${row['Success Rate']}`);
+    log.info('');
+  });
+
+  const summary = summarizeRows(rows);
+  log.info(`=== Overall Summary ===`);
+  log.info(`Total pod terminations: ${summary.total}`);
+  log.info(`Statistically significant latency impacts: ${summary.significantLatency}`);
+  log.info(`Statistically significant throughput impacts: ${summary.significantThroughput}`);
+  if (summary.minSuccessRate !== null) {
+    log.info(`Lowest success rate: ${summary.minSuccessRate.toFixed(2)}%`);
+  }
+
+  return {
+    file: paths.statisticalReport,
+    results: rows,
+    summary
+  };
+}
+
+module.exports = {
+  SIGNIFICANT,
+  summarizeRows,
+  summarizeReport
+};
@@ -0,0 +1,176 @@
+/**
+ * Run metadata (run.json)
+ *
+ * A report folder describes its run in run.json, validated by schemas/run.schema.json:
+ *
+ *   {
+ *     "$schema": "../../schemas/run.schema.json",
+ *     "name": "istio-run1",
+ *     "targetGroup": "istio",
+ *     "start": "2025-10-14T10:15:25.321Z",
+ *     "end": "2025-10-14T10:30:53.363Z",
+ *     "testId": "sdkFxSendE2EMin 2025-10-14 10:15",
+ *     "scenario": "sdkFxSendE2EMin",
+ *     "chaosPlan": "../../pod-killer/plans/istio.yaml",
+ *     "baseline": "../clean-run",
+ *     "tags": ["chaos", "{group}", "{namespace}"],
+ *     "links": [{ "title": "PM Grafana", "url": "https://grafana.example.com/d/perf/..." }]
+ *   }
+ *
+ * Paths are relative to the report folder. `avail chaos` and `avail fetch` record what they used;
+ * fetch takes the test id and time range from it, analyze the baseline and annotate the run name
+ * and tags. Folders with only the free-text INFO.md are read from its Grafana link instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { loadSchema, validateSchema, SCHEMA_DIR } = require('./schema');
+const { reportPaths, readRunInfo } = require('./report-folder');
+const { LEGEND_DATE } = require('./metrics');
+
+const RUN_SCHEMA = loadSchema('run.schema.json');
+
+// Fields holding paths relative to the report folder
+const PATH_FIELDS = ['chaosPlan', 'baseline'];
+
+/**
+ * Validate run.json content
+ * @returns {string[]} Validation errors
+ */
+function validateRunMetadata(raw) {
+  const errors = validateSchema(raw, RUN_SCHEMA);
+  if (errors.length === 0 && raw.start && raw.end && Date.parse(raw.end) < Date.parse(raw.start)) {
+    errors.push(`end: ${raw.end} is before start ${raw.start}`);
+  }
+  return errors;
+}
+
+/**
+ * Read and validate the run.json of a report folder, or null when there is none
+ * @returns {Object|null} The file content
+ */
+function readRunFile(folder) {
+  const filePath = reportPaths(folder).run;
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new AvailError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  const errors = validateRunMetadata(raw);
+  if (errors.length > 0) {
+    throw new AvailError(`Invalid run metadata ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+  return raw;
+}
+
+/**
+ * Scenario of a test id: the id without the trailing date of the Grafana legend
+ */
+function scenarioOf(testId) {
+  return testId ? testId.replace(LEGEND_DATE, '') : null;
+}
+
+/**
+ * run.json content derived from the free-text INFO.md of a report folder, or null without one
+ */
+function runMetadataFromInfo(folder) {
+  const info = readRunInfo(reportPaths(folder).info);
+  if (!info) {
+    return null;
+  }
+  const raw = { name: path.basename(path.resolve(process.cwd(), folder)) };
+  if (info.from !== null) raw.start = new Date(info.from).toISOString();
+  if (info.to !== null) raw.end = new Date(info.to).toISOString();
+  if (info.testId) {
+    raw.testId = info.testId;
+    raw.scenario = scenarioOf(info.testId);
+  }
+  if (info.links.length > 0) raw.links = info.links;
+  return raw;
+}
+
+/**
+ * Run metadata of a report folder, from run.json or else INFO.md. Times are epoch milliseconds
+ * and paths absolute; missing values are null.
+ * @returns {{source: string, name: string, targetGroup: string|null, start: number|null, end: number|null, testId: string|null, scenario: string|null, chaosPlan: string|null, baseline: string|null, tags: string[]|null, links: {title: string, url: string}[]}|null}
+ */
+function readRunMetadata(folder) {
+  const paths = reportPaths(folder);
+  let raw = readRunFile(folder);
+  let source = paths.run;
+  if (!raw) {
+    raw = runMetadataFromInfo(folder);
+    source = paths.info;
+  }
+  if (!raw) {
+    return null;
+  }
+  const time = value => (value ? Date.parse(value) : null);
+  const resolved = value => (value ? path.resolve(paths.folder, value) : null);
+  return {
+    source,
+    name: raw.name,
+    targetGroup: raw.targetGroup || null,
+    start: time(raw.start),
+    end: time(raw.end),
+    testId: raw.testId || null,
+    scenario: raw.scenario || null,
+    chaosPlan: resolved(raw.chaosPlan),
+    baseline: resolved(raw.baseline),
+    tags: raw.tags || null,
+    links: raw.links || []
+  };
+}
+
+/**
+ * Create or update the run.json of a report folder
+ * @param {string} folder - Report folder
+ * @param {Object} updates - run.json fields; times may be epoch ms, paths absolute or relative
+ *   to the cwd; undefined fields are left as they are
+ * @param {{onlyMissing?: boolean}} [options] - onlyMissing keeps fields that are already set
+ * @returns {{file: string, run: Object}} The path and the new content
+ */
+function writeRunMetadata(folder, updates, options = {}) {
+  const paths = reportPaths(folder);
+  const raw = readRunFile(folder) || {
+    $schema: path.relative(paths.folder, path.join(SCHEMA_DIR, RUN_SCHEMA.$id)).split(path.sep).join('/'),
+    name: path.basename(paths.folder)
+  };
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === undefined || value === null || (options.onlyMissing && raw[key] !== undefined)) {
+      return;
+    }
+    if ((key === 'start' || key === 'end') && typeof value === 'number') {
+      raw[key] = new Date(value).toISOString();
+    } else if (PATH_FIELDS.includes(key)) {
+      raw[key] = path.relative(paths.folder, path.resolve(process.cwd(), value)).split(path.sep).join('/') || '.';
+    } else {
+      raw[key] = value;
+    }
+  });
+
+  const errors = validateRunMetadata(raw);
+  if (errors.length > 0) {
+    throw new AvailError(`Invalid run metadata for ${paths.run}:\n  ${errors.join('\n  ')}`);
+  }
+  fs.mkdirSync(paths.folder, { recursive: true });
+  fs.writeFileSync(paths.run, JSON.stringify(raw, null, 2) + '\n');
+  log.info(`Run metadata written to: ${paths.run}`);
+  return { file: paths.run, run: raw };
+}
+
+module.exports = {
+  RUN_SCHEMA,
+  validateRunMetadata,
+  readRunFile,
+  runMetadataFromInfo,
+  readRunMetadata,
+  writeRunMetadata
+};
@@ -0,0 +1,117 @@
+/**
+ * Validation against the JSON Schema subset used by the files in schemas/
+ *
+ * Supported keywords: type (or a list of types), required, properties, additionalProperties
+ * (false or a schema), items, enum, minLength, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, minItems, pattern and format (date-time, uri).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && Number.isFinite(Date.parse(value)),
+  uri: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)
+};
+
+/**
+ * Load a schema from schemas/
+ * @param {string} name - e.g. run.schema.json
+ */
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf-8'));
+}
+
+/**
+ * JSON Schema type of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the schema types
+ */
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [where] - Location for error messages, e.g. "links[0]"
+ * @param {string[]} [errors] - Collects validation errors
+ * @returns {string[]} The errors
+ */
+function validateSchema(value, schema, where = '', errors = []) {
+  const at = where || '(root)';
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: expected at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(`${at}: "${value}" is not a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: expected at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: expected at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: expected more than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: expected less than ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: expected at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => validateSchema(item, schema.items, `${where}[${idx}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${where ? `${where}.` : ''}${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      const child = where ? `${where}.${key}` : key;
+      if (properties[key]) {
+        validateSchema(item, properties[key], child, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${child}: unknown property (expected ${Object.keys(properties).join(', ')})`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateSchema(item, schema.additionalProperties, child, errors);
+      }
+    });
+  }
+  return errors;
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  loadSchema,
+  validateSchema
+};
@@ -0,0 +1,350 @@
+/**
+ * SLO verdict of a chaos run
+ *
+ * An SLO file (YAML or JSON, validated by schemas/slo.schema.json) declares what is acceptable:
+ *
+ *   objectives:
+ *     - name: p99 latency
+ *       metric: latency          # latency above the termination's baseline...
+ *       maxIncrease: 20          # ...by more than 20%
+ *       for: 15                  # ...for longer than 15s
+ *       column: Latency(p99)*    # optional, default the analysed latency column
+ *     - metric: throughput
+ *       maxDecrease: 30
+ *       for: 15
+ *     - metric: successRate      # success rate in the window after the termination
+ *       min: 99.9
+ *     - metric: recovery         # seconds until back in the tolerance band (see lib/recovery.js)
+ *       max: 60
+ *   run:
+ *     successRate: 99.9          # of the whole run; 100 - successRate is the error budget
+ *     maxFailedTerminations: 0
+ *
+ * Every objective is checked for every termination. Latency and throughput are followed for the
+ * recovery horizon after the termination and breach the objective when they stay beyond the limit
+ * for longer than `for` seconds in a row. The run fails when more terminations miss an objective
+ * than allowed, or when its success rate (k6 checks, else k6 HTTP requests, else the run-wide
+ * availability of the time series, see lib/availability.js) used up more than the error budget.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const log = require('./logger');
+const { AvailError } = require('./errors');
+const { loadSchema, validateSchema } = require('./schema');
+const { toRegExp } = require('./columns');
+const { componentName, parseNumber } = require('./compare');
+const { mean } = require('./statistics');
+const { sampleIntervalSeconds, RECOVERY_STATUS } = require('./recovery');
+const { formatNumber } = require('./format');
+const { parseTimestamp } = require('./time');
+
+const SLO_SCHEMA = loadSchema('slo.schema.json');
+
+// The limit each metric requires
+const METRIC_LIMITS = {
+  latency: 'maxIncrease',
+  throughput: 'maxDecrease',
+  successRate: 'min',
+  recovery: 'max'
+};
+
+const VERDICTS = {
+  PASS: 'PASS',
+  FAIL: 'FAIL'
+};
+
+/**
+ * Read and validate an SLO file
+ * @returns {{file: string, objectives: Object[], run: {successRate: number|null, maxFailedTerminations: number}}}
+ */
+function loadSloFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new AvailError(`SLO file not found: ${resolvedPath}`);
+  }
+  let raw;
+  try {
+    raw = YAML.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+  } catch (error) {
+    throw new AvailError(`Could not parse SLO file ${resolvedPath}: ${error.message}`);
+  }
+
+  const errors = validateSchema(raw, SLO_SCHEMA);
+  if (errors.length === 0) {
+    raw.objectives.forEach((objective, idx) => {
+      const limit = METRIC_LIMITS[objective.metric];
+      if (objective[limit] === undefined) {
+        errors.push(`objectives[${idx}]: ${objective.metric} requires ${limit}`);
+      }
+      Object.values(METRIC_LIMITS).filter(key => key !== limit && objective[key] !== undefined).forEach(key => {
+        errors.push(`objectives[${idx}].${key}: not used by ${objective.metric}`);
+      });
+      if (!['latency', 'throughput'].includes(objective.metric)) {
+        ['for', 'column'].filter(key => objective[key] !== undefined).forEach(key => {
+          errors.push(`objectives[${idx}].${key}: only used by latency and throughput`);
+        });
+      }
+    });
+  }
+  if (errors.length > 0) {
+    throw new AvailError(`Invalid SLO file ${resolvedPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const run = raw.run || {};
+  return {
+    file: resolvedPath,
+    objectives: raw.objectives.map(objective => ({
+      name: objective.name || objective.metric,
+      for: 0,
+      ...objective
+    })),
+    run: {
+      successRate: run.successRate !== undefined ? run.successRate : null,
+      maxFailedTerminations: run.maxFailedTerminations || 0
+    }
+  };
+}
+
+/**
+ * Limit of an objective, e.g. "≤ +20% for 15s"
+ */
+function objectiveLimit(objective) {
+  const sustained = objective.for > 0 ? ` for ${objective.for}s` : '';
+  switch (objective.metric) {
+    case 'latency': return `≤ +${objective.maxIncrease}%${sustained}`;
+    case 'throughput': return `≥ -${objective.maxDecrease}%${sustained}`;
+    case 'successRate': return `≥ ${objective.min}%`;
+    default: return `≤ ${objective.max}s`;
+  }
+}
+
+/**
+ * Describe an objective, e.g. "p99 latency: ≤ +20% for 15s"
+ */
+function describeObjective(objective) {
+  return `${objective.name}: ${objectiveLimit(objective)}`;
+}
+
+/**
+ * Longest run of consecutive samples beyond a limit, in seconds (samples count for one interval)
+ * @param {number[]} values - Samples after the termination
+ * @param {function(number): boolean} beyond
+ */
+function longestBreach(values, beyond, interval) {
+  let longest = 0;
+  let current = 0;
+  values.forEach(value => {
+    current = Number.isFinite(value) && beyond(value) ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return longest * interval;
+}
+
+/**
+ * Check a latency or throughput objective against the samples after a termination
+ * @returns {string|null} The breach, or null
+ */
+function checkSustained(objective, values, baselineMean, interval) {
+  if (!(baselineMean > 0)) {
+    return null;
+  }
+  const latency = objective.metric === 'latency';
+  const limit = latency
+    ? baselineMean * (1 + objective.maxIncrease / 100)
+    : baselineMean * (1 - objective.maxDecrease / 100);
+  const beyond = value => (latency ? value > limit : value < limit);
+  const seconds = longestBreach(values, beyond, interval);
+  if (seconds === 0 || seconds <= objective.for) {
+    return null;
+  }
+  const finite = values.filter(Number.isFinite);
+  const peak = latency ? Math.max(...finite) : Math.min(...finite);
+  const change = (peak - baselineMean) / baselineMean * 100;
+  return `${objective.name}: ${change > 0 ? '+' : ''}${formatNumber(change, 1)}% for ${formatNumber(seconds, 0)}s (limit ${objectiveLimit(objective)})`;
+}
+
+/**
+ * Run-wide success rate in %: k6 checks, else k6 HTTP requests, else the time series availability
+ * @returns {{value: number, source: string}|null}
+ */
+function runSuccessRate(run, availability) {
+  if (run && run.checkSuccessRate !== null) {
+    return { value: run.checkSuccessRate * 100, source: 'k6 checks' };
+  }
+  if (run && run.httpFailedRate !== null) {
+    return { value: (1 - run.httpFailedRate) * 100, source: 'k6 HTTP requests' };
+  }
+  if (availability) {
+    return { value: availability.availability * 100, source: 'time series availability' };
+  }
+  return null;
+}
+
+/**
+ * Evaluate an SLO file against an analysis
+ * @param {Object} slo - From loadSloFile
+ * @param {Object} context
+ * @param {Object[]} context.results - Report rows with attached samples and recovery columns
+ * @param {Object[]} context.timeSeriesData - Time series rows
+ * @param {string[]} context.headers - Time series headers
+ * @param {Object} context.columnIndices - Analysed latency/throughput/check columns
+ * @param {Object|null} context.run - Run-wide k6 numbers (see k6.summarizeRun)
+ * @param {Object|null} context.availability - See availability.calculateAvailability
+ * @param {number} context.horizon - Seconds followed after each termination
+ * @returns {{file: string, verdict: string, passed: boolean, objectives: Object[], failedTerminations: number, maxFailedTerminations: number, errorBudget: Object|null, cases: Object[]}}
+ */
+function evaluateSlo(slo, { results, timeSeriesData, headers, columnIndices, run, availability, horizon }) {
+  const interval = sampleIntervalSeconds(timeSeriesData.map(row => ({ time: row.timestamp })));
+
+  // Column of each latency/throughput objective
+  const columns = slo.objectives.map(objective => {
+    if (!['latency', 'throughput'].includes(objective.metric)) return null;
+    if (!objective.column) return headers[columnIndices[objective.metric]];
+    const pattern = toRegExp(objective.column);
+    const column = headers.find(header => pattern.test(header));
+    if (!column) {
+      throw new AvailError(`No time series column matches ${objective.column} (objective ${objective.name}). Available columns: ${headers.join(', ')}`);
+    }
+    return column;
+  });
+
+  const cases = results.map(row => {
+    const time = parseTimestamp(row['Termination Time']);
+    const failures = [];
+    // Indices of the missed objectives, as names need not be unique
+    const breached = [];
+    const fail = (idx, failure) => {
+      failures.push(failure);
+      breached.push(idx);
+    };
+    let checked = 0;
+
+    slo.objectives.forEach((objective, idx) => {
+      if (objective.metric === 'successRate') {
+        const successRate = parseNumber(row['Success Rate']);
+        if (!Number.isFinite(successRate)) return;
+        checked++;
+        if (successRate < objective.min) {
+          fail(idx, `${objective.name}: ${formatNumber(successRate, 2)}% (limit ${objectiveLimit(objective)})`);
+        }
+      } else if (objective.metric === 'recovery') {
+        const status = row['Recovery Status'];
+        if (!Object.values(RECOVERY_STATUS).includes(status)) return;
+        checked++;
+        const seconds = parseNumber(row['Time To Recover (s)']);
+        if (status === RECOVERY_STATUS.NOT_RECOVERED) {
+          fail(idx, `${objective.name}: not recovered within ${horizon}s (limit ${objective.max}s)`);
+        } else if (status === RECOVERY_STATUS.RECOVERED && seconds > objective.max) {
+          fail(idx, `${objective.name}: ${formatNumber(seconds, 1)}s (limit ${objective.max}s)`);
+        }
+      } else {
+        if (!row.samples) return;
+        checked++;
+        // Same baseline as the significance and recovery analysis, unless another column is used
+        const column = columns[idx];
+        const baseline = column === headers[columnIndices[objective.metric]]
+          ? mean(row.samples[objective.metric].before)
+          : null;
+        const samples = timeSeriesData.filter(r => r.timestamp > time && r.timestamp <= time + horizon * 1000);
+        const values = samples.map(r => parseFloat(r[column])).map(value => (value > 0 ? value : NaN));
+        const before = baseline !== null ? baseline : mean(timeSeriesData
+          .filter(r => r.timestamp < time && r.timestamp >= time - horizon * 1000)
+          .map(r => parseFloat(r[column]))
+          .filter(value => value > 0));
+        const breach = checkSustained(objective, values, before, interval);
+        if (breach) fail(idx, breach);
+      }
+    });
+
+    return {
+      component: componentName(row.Pod),
+      pod: row.Pod,
+      time: row['Termination Time'],
+      row,
+      skipped: checked === 0,
+      failures,
+      breached
+    };
+  });
+
+  const failedTerminations = cases.filter(c => c.failures.length > 0).length;
+  const objectives = slo.objectives.map((objective, idx) => ({
+    name: objective.name,
+    description: describeObjective(objective),
+    breaches: cases.filter(c => c.breached.includes(idx)).length
+  }));
+
+  let errorBudget = null;
+  if (slo.run.successRate !== null) {
+    const observed = runSuccessRate(run, availability);
+    if (observed) {
+      const allowed = +(100 - slo.run.successRate).toFixed(6);
+      errorBudget = {
+        target: slo.run.successRate,
+        successRate: observed.value,
+        source: observed.source,
+        allowed,
+        consumed: Math.max(0, 100 - observed.value) / allowed * 100
+      };
+    } else {
+      log.warn('Warning: No k6 summary or check columns to measure the run success rate; its SLO is not evaluated');
+    }
+  }
+
+  const passed = failedTerminations <= slo.run.maxFailedTerminations &&
+    !(errorBudget && errorBudget.successRate < errorBudget.target);
+
+  return {
+    file: slo.file,
+    verdict: passed ? VERDICTS.PASS : VERDICTS.FAIL,
+    passed,
+    objectives,
+    failedTerminations,
+    maxFailedTerminations: slo.run.maxFailedTerminations,
+    errorBudget,
+    cases
+  };
+}
+
+/**
+ * Add the SLO Result and SLO Breaches columns to the report rows
+ */
+function addSloColumns(results, evaluation) {
+  results.forEach((row, idx) => {
+    const c = evaluation.cases[idx];
+    row['SLO Result'] = c.skipped ? 'N/A' : (c.failures.length > 0 ? 'Fail' : 'Pass');
+    row['SLO Breaches'] = c.failures.join('; ');
+  });
+}
+
+/**
+ * Print the SLO evaluation
+ */
+function printSlo(evaluation) {
+  log.info(`\n=== SLO Verdict: ${evaluation.verdict} ===`);
+  log.info(`SLO file: ${evaluation.file}`);
+  evaluation.objectives.forEach(objective => {
+    log.info(`  ${objective.breaches > 0 ? '✗' : '✓'} ${objective.description} - missed by ${objective.breaches} termination${objective.breaches === 1 ? '' : 's'}`);
+  });
+  log.info(`Terminations missing an objective: ${evaluation.failedTerminations} (allowed: ${evaluation.maxFailedTerminations})`);
+  evaluation.cases.filter(c => c.failures.length > 0).forEach(c => {
+    log.info(`  ${c.pod}: ${c.failures.join('; ')}`);
+  });
+  if (evaluation.errorBudget) {
+    const budget = evaluation.errorBudget;
+    log.info(`Run success rate: ${formatNumber(budget.successRate, 3)}% (${budget.source}, target ${budget.target}%)`);
+    log.info(`Error budget consumed: ${formatNumber(budget.consumed, 1)}% of ${budget.allowed}%`);
+  }
+}
+
+module.exports = {
+  SLO_SCHEMA,
+  VERDICTS,
+  loadSloFile,
+  describeObjective,
+  evaluateSlo,
+  addSloColumns,
+  printSlo
+};
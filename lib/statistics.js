@@ -0,0 +1,376 @@
+/**
+ * Two-sample hypothesis tests and effect sizes
+ *
+ * Used to compare the samples before (or the baseline) and after a pod termination.
+ * Differences and effect sizes are signed as `after - before`.
+ */
+
+// Largest group size for which the exact Mann-Whitney U distribution is used
+const EXACT_MANN_WHITNEY_LIMIT = 20;
+
+/**
+ * Calculate mean of an array
+ */
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, val) => sum + val, 0) / values.length;
+}
+
+/**
+ * Percentile of an array with linear interpolation between closest ranks (as k6 computes trends)
+ * @param {number[]} values
+ * @param {number} p - Percentile, 0-100
+ */
+function percentile(values, p) {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Calculate (population) standard deviation of an array
+ */
+function stdDev(values) {
+  if (values.length === 0) return 0;
+  const avg = mean(values);
+  const squareDiffs = values.map(val => Math.pow(val - avg, 2));
+  const avgSquareDiff = mean(squareDiffs);
+  return Math.sqrt(avgSquareDiff);
+}
+
+/**
+ * Calculate the unbiased sample variance (n - 1 denominator)
+ */
+function sampleVariance(values) {
+  if (values.length < 2) return NaN;
+  const avg = mean(values);
+  return values.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / (values.length - 1);
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => {
+    y += 1;
+    series += c / y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction used by regularizedBeta (Numerical Recipes betacf)
+ */
+function betaContinuedFraction(a, b, x) {
+  const maxIterations = 300;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(a, b, x) / a;
+  }
+  return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ */
+function studentTCdf(t, df) {
+  const tail = 0.5 * regularizedBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile of Student's t distribution (bisection on the CDF)
+ */
+function studentTQuantile(p, df) {
+  let low = -1e4;
+  let high = 1e4;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, df) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * (Abramowitz and Stegun 7.1.26 approximation of erf)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Welch's unequal-variance t-test
+ * @param {number[]} before - Baseline sample
+ * @param {number[]} after - Sample after the termination
+ * @param {number} [alpha=0.05] - Significance level, also sets the (1 - alpha) confidence interval
+ * @returns {{t: number, df: number, pValue: number, meanDiff: number, ciLow: number, ciHigh: number}}
+ */
+function welchTTest(before, after, alpha = 0.05) {
+  const n1 = before.length;
+  const n2 = after.length;
+  const meanDiff = mean(after) - mean(before);
+  const result = { t: NaN, df: NaN, pValue: NaN, meanDiff, ciLow: NaN, ciHigh: NaN };
+
+  if (n1 < 2 || n2 < 2) {
+    return result;
+  }
+
+  const v1 = sampleVariance(before) / n1;
+  const v2 = sampleVariance(after) / n2;
+  const standardError = Math.sqrt(v1 + v2);
+  if (standardError === 0) {
+    return result;
+  }
+
+  result.t = meanDiff / standardError;
+  result.df = Math.pow(v1 + v2, 2) / (Math.pow(v1, 2) / (n1 - 1) + Math.pow(v2, 2) / (n2 - 1));
+  result.pValue = regularizedBeta(result.df / (result.df + result.t * result.t), result.df / 2, 0.5);
+
+  const critical = studentTQuantile(1 - alpha / 2, result.df);
+  result.ciLow = meanDiff - critical * standardError;
+  result.ciHigh = meanDiff + critical * standardError;
+  return result;
+}
+
+/**
+ * Assign average ranks to the pooled samples, returning ranks and tie group sizes
+ */
+function rankPooled(before, after) {
+  const pooled = [
+    ...before.map(value => ({ value, group: 0 })),
+    ...after.map(value => ({ value, group: 1 }))
+  ].sort((a, b) => a.value - b.value);
+
+  const ties = [];
+  for (let i = 0; i < pooled.length;) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) {
+      j++;
+    }
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      pooled[k].rank = rank;
+    }
+    if (j > i) {
+      ties.push(j - i + 1);
+    }
+    i = j + 1;
+  }
+  return { pooled, ties };
+}
+
+/**
+ * Exact distribution of the Mann-Whitney U statistic without ties.
+ * Returns counts[u] = number of rank arrangements giving U = u.
+ */
+function exactUDistribution(n1, n2) {
+  // counts[i][j] is the distribution for group sizes i and j
+  let previous = [];
+  for (let i = 0; i <= n1; i++) {
+    const current = [];
+    for (let j = 0; j <= n2; j++) {
+      if (i === 0 || j === 0) {
+        current.push([1]);
+        continue;
+      }
+      // U(i, j) = U(i - 1, j) shifted by j  +  U(i, j - 1)
+      const shifted = previous[j];
+      const left = current[j - 1];
+      const size = i * j + 1;
+      const counts = new Array(size).fill(0);
+      shifted.forEach((count, u) => { counts[u + j] += count; });
+      left.forEach((count, u) => { counts[u] += count; });
+      current.push(counts);
+    }
+    previous = current;
+  }
+  return previous[n2];
+}
+
+/**
+ * Mann-Whitney U test (two-sided)
+ * Uses the exact distribution for small samples without ties and the normal
+ * approximation with tie and continuity correction otherwise.
+ * @returns {{u: number, z: number, pValue: number, exact: boolean}}
+ */
+function mannWhitneyU(before, after) {
+  const n1 = before.length;
+  const n2 = after.length;
+  if (n1 === 0 || n2 === 0) {
+    return { u: NaN, z: NaN, pValue: NaN, exact: false };
+  }
+
+  const { pooled, ties } = rankPooled(before, after);
+  const rankSumAfter = pooled.filter(item => item.group === 1).reduce((sum, item) => sum + item.rank, 0);
+  const u = rankSumAfter - n2 * (n2 + 1) / 2;
+  const expected = n1 * n2 / 2;
+
+  if (ties.length === 0 && n1 <= EXACT_MANN_WHITNEY_LIMIT && n2 <= EXACT_MANN_WHITNEY_LIMIT) {
+    const counts = exactUDistribution(n1, n2);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const lower = counts.slice(0, Math.floor(u) + 1).reduce((sum, count) => sum + count, 0) / total;
+    const upper = counts.slice(Math.ceil(u)).reduce((sum, count) => sum + count, 0) / total;
+    return { u, z: NaN, pValue: Math.min(1, 2 * Math.min(lower, upper)), exact: true };
+  }
+
+  const n = n1 + n2;
+  const tieCorrection = ties.reduce((sum, t) => sum + (Math.pow(t, 3) - t), 0) / (n * (n - 1));
+  const variance = n1 * n2 / 12 * ((n + 1) - tieCorrection);
+  if (variance <= 0) {
+    return { u, z: NaN, pValue: NaN, exact: false };
+  }
+
+  const continuity = u === expected ? 0 : 0.5 * Math.sign(u - expected);
+  const z = (u - expected - continuity) / Math.sqrt(variance);
+  return { u, z, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))), exact: false };
+}
+
+/**
+ * Cohen's d using the pooled sample standard deviation
+ */
+function cohensD(before, after) {
+  const n1 = before.length;
+  const n2 = after.length;
+  if (n1 < 2 || n2 < 2) return NaN;
+  const pooledVariance = ((n1 - 1) * sampleVariance(before) + (n2 - 1) * sampleVariance(after)) / (n1 + n2 - 2);
+  if (pooledVariance === 0) return NaN;
+  return (mean(after) - mean(before)) / Math.sqrt(pooledVariance);
+}
+
+/**
+ * Cliff's delta: P(after > before) - P(after < before)
+ */
+function cliffsDelta(before, after) {
+  if (before.length === 0 || after.length === 0) return NaN;
+  let greater = 0;
+  let less = 0;
+  after.forEach(a => {
+    before.forEach(b => {
+      if (a > b) greater++;
+      else if (a < b) less++;
+    });
+  });
+  return (greater - less) / (before.length * after.length);
+}
+
+/**
+ * Adjust p-values for multiple comparisons
+ * Non-finite p-values are passed through and do not count towards the number of tests.
+ * @param {number[]} pValues
+ * @param {'holm'|'bonferroni'|'none'} method
+ * @returns {number[]} Adjusted p-values in the original order
+ */
+function adjustPValues(pValues, method = 'holm') {
+  const valid = pValues
+    .map((p, index) => ({ p, index }))
+    .filter(item => Number.isFinite(item.p));
+  const m = valid.length;
+  const adjusted = [...pValues];
+
+  if (method === 'bonferroni') {
+    valid.forEach(item => {
+      adjusted[item.index] = Math.min(1, item.p * m);
+    });
+  } else if (method === 'holm') {
+    valid.sort((a, b) => a.p - b.p);
+    let runningMax = 0;
+    valid.forEach((item, rank) => {
+      runningMax = Math.max(runningMax, Math.min(1, item.p * (m - rank)));
+      adjusted[item.index] = runningMax;
+    });
+  } else if (method !== 'none') {
+    throw new Error(`Unknown p-value correction method: ${method}`);
+  }
+
+  return adjusted;
+}
+
+/**
+ * Run both tests and effect sizes for one before/after comparison
+ */
+function compareSamples(before, after, alpha = 0.05) {
+  return {
+    welch: welchTTest(before, after, alpha),
+    mannWhitney: mannWhitneyU(before, after),
+    cohensD: cohensD(before, after),
+    cliffsDelta: cliffsDelta(before, after)
+  };
+}
+
+module.exports = {
+  EXACT_MANN_WHITNEY_LIMIT,
+  mean,
+  percentile,
+  stdDev,
+  sampleVariance,
+  regularizedBeta,
+  studentTCdf,
+  studentTQuantile,
+  normalCdf,
+  welchTTest,
+  mannWhitneyU,
+  cohensD,
+  cliffsDelta,
+  adjustPValues,
+  compareSamples
+};
@@ -0,0 +1,46 @@
+// Epoch values above this are treated as milliseconds, below as seconds
+const MILLIS_THRESHOLD = 1000000000000;
+
+/**
+ * Convert timestamp to milliseconds
+ * Accepts epoch seconds, epoch milliseconds (numbers or numeric strings) and date strings.
+ * Returns NaN when the value cannot be parsed.
+ */
+function parseTimestamp(timestamp) {
+  if (timestamp === undefined || timestamp === null) {
+    return NaN;
+  }
+  if (timestamp instanceof Date) {
+    return timestamp.getTime();
+  }
+
+  const text = timestamp.toString().trim();
+  if (text === '') {
+    return NaN;
+  }
+
+  if (!isNaN(text)) {
+    const num = Number(text);
+    if (Math.abs(num) >= MILLIS_THRESHOLD) {
+      return Math.round(num);
+    }
+    return Math.round(num * 1000);
+  }
+  return new Date(text).getTime();
+}
+
+/**
+ * Format milliseconds as an ISO 8601 string, or 'N/A' when invalid
+ */
+function formatTimestamp(millis) {
+  if (!Number.isFinite(millis)) {
+    return 'N/A';
+  }
+  return new Date(millis).toISOString();
+}
+
+module.exports = {
+  MILLIS_THRESHOLD,
+  parseTimestamp,
+  formatTimestamp
+};
@@ -0,0 +1,185 @@
+#!/usr/bin/env bash
+# Generic pod killer run by the manifests generated with `avail manifest`.
+# Targets come from a tab-separated file (see lib/manifest.js); timing and dry-run from the environment.
+set -euo pipefail
+
+# Log to stderr to keep stdout clean for the final REPORT
+log(){ echo "[$(date -u -Is)] $*" >&2; }
+
+TARGETS_FILE="${1:-/scripts/targets.tsv}"
+
+# Kill order: sequential | random | parallel
+ORDER="${ORDER:-sequential}"
+
+# Seconds between kills, random ± jitter, and seconds to keep running after the last kill
+SLEEP_SECONDS="${SLEEP_SECONDS:-120}"
+JITTER_SECONDS="${JITTER_SECONDS:-0}"
+SETTLE_SECONDS="${SETTLE_SECONDS:-0}"
+
+# DRY run mode (true/false)
+DRY_RUN="${DRY_RUN:-false}"
+
+# Grace period for deletions, empty for the pod's own (a target's own grace period takes precedence)
+GRACE_PERIOD_SECONDS="${GRACE_PERIOD_SECONDS:-}"
+
+# CSV report accumulator: ns|pod|epochMillis|status
+declare -a report_data=()
+
+# Targets: name namespace selector pattern exclude pick count offset interval runningOnly pods gracePeriodSeconds ("-" = empty)
+declare -a t_name=() t_ns=() t_selector=() t_pattern=() t_exclude=() t_pick=() t_count=() t_offset=() t_interval=() t_running=() t_pods=() t_grace=()
+while IFS=$'\t' read -r name ns selector pattern exclude pick count offset interval running pods grace; do
+  [[ -z "$name" || "$name" == \#* ]] && continue
+  t_name+=("$name"); t_ns+=("$ns"); t_selector+=("$selector"); t_pattern+=("$pattern"); t_exclude+=("$exclude")
+  t_pick+=("$pick"); t_count+=("$count"); t_offset+=("$offset"); t_interval+=("$interval"); t_running+=("$running"); t_pods+=("$pods"); t_grace+=("${grace:--}")
+done < "$TARGETS_FILE"
+
+value(){ [[ "$1" == "-" ]] && echo "" || echo "$1"; }
+
+# Sets wait_seconds to the given seconds ± up to JITTER_SECONDS (RANDOM is only used in this shell)
+jitter_wait(){
+  wait_seconds="$1"
+  if (( JITTER_SECONDS > 0 )); then
+    wait_seconds=$(( wait_seconds + RANDOM % (2 * JITTER_SECONDS + 1) - JITTER_SECONDS ))
+    (( wait_seconds < 0 )) && wait_seconds=0
+  fi
+  return 0
+}
+
+# Kill schedule, one "seconds-from-start<TAB>target<TAB>kill" entry per kill in events
+declare -a events=()
+build_schedule(){
+  local i k at interval
+  local -a lines=() targets=("${!t_name[@]}")
+  if [[ "$ORDER" == "parallel" ]]; then
+    for i in "${targets[@]}"; do
+      interval="$(value "${t_interval[$i]}")"
+      interval="${interval:-$SLEEP_SECONDS}"
+      at="${t_offset[$i]}"
+      for (( k = 0; k < t_count[i]; k++ )); do
+        lines+=("$(printf '%s\t%s\t%s' "$at" "$i" "$k")")
+        jitter_wait "$interval"
+        at=$(( at + wait_seconds ))
+      done
+    done
+    (( ${#lines[@]} > 0 )) && mapfile -t events < <(printf '%s\n' "${lines[@]}" | sort -s -n -k1,1)
+    return 0
+  fi
+
+  if [[ "$ORDER" == "random" ]]; then
+    mapfile -t targets < <(printf '%s\n' "${targets[@]}" | shuf)
+  fi
+  at=0
+  for i in "${targets[@]}"; do
+    for (( k = 0; k < t_count[i]; k++ )); do
+      if (( ${#events[@]} > 0 )); then
+        jitter_wait "$SLEEP_SECONDS"
+        at=$(( at + wait_seconds ))
+      fi
+      events+=("$(printf '%s\t%s\t%s' "$at" "$i" "$k")")
+    done
+  done
+}
+
+find_pods(){
+  local i="$1"
+  local ns selector pattern exclude
+  ns="${t_ns[$i]}"
+  selector="$(value "${t_selector[$i]}")"
+  pattern="$(value "${t_pattern[$i]}")"
+  exclude="$(value "${t_exclude[$i]}")"
+  local -a args=(-n "$ns" get pods -o 'jsonpath={range .items[*]}{.metadata.name}{"\t"}{.metadata.deletionTimestamp}{"\n"}{end}')
+  [[ -n "$selector" ]] && args+=(-l "$selector")
+  [[ "${t_running[$i]}" == "true" ]] && args+=(--field-selector=status.phase=Running)
+
+  kubectl "${args[@]}" 2>/dev/null \
+    | awk -F'\t' -v running="${t_running[$i]}" 'running != "true" || $2 == "" { print $1 }' \
+    | grep -E "${pattern:-.}" \
+    | { if [[ -n "$exclude" ]]; then grep -vE "$exclude"; else cat; fi; } || true
+}
+
+# Sets picked to the pod for kill k of target i, empty when none matches
+pick_one(){
+  local i="$1" k="$2"
+  local pods
+  picked=""
+  pods="$(value "${t_pods[$i]}")"
+  if [[ -n "$pods" ]]; then
+    local -a fixed=()
+    IFS=',' read -r -a fixed <<< "$pods"
+    picked="${fixed[$k]}"
+    return 0
+  fi
+
+  local -a arr=()
+  while IFS= read -r p; do
+    [[ -n "$p" ]] && arr+=("$p")
+  done < <(find_pods "$i")
+  local count="${#arr[@]}"
+  if (( count == 0 )); then
+    return 0
+  elif [[ "${t_pick[$i]}" == "first" ]]; then
+    picked="${arr[0]}"
+  else
+    picked="${arr[$(( RANDOM % count ))]}"
+  fi
+}
+
+delete_pod(){
+  local ns="$1" pod="$2" period="$3"
+  local epoch_ms
+  local -a grace=()
+  [[ -n "$period" ]] && grace=(--grace-period="$period")
+  [[ "$period" == "0" ]] && grace+=(--force)
+  epoch_ms=$(($(date +%s%N)/1000000))
+  if [[ "$DRY_RUN" == "true" ]]; then
+    log "[DRY RUN] kubectl -n $ns delete pod $pod${grace[*]:+ ${grace[*]}}"
+    report_data+=("${ns}|${pod}|${epoch_ms}|DRY_RUN")
+  else
+    log "Deleting pod '$pod' in namespace '$ns'"
+    if kubectl -n "$ns" delete pod "$pod" --wait=false "${grace[@]}" >/dev/null 2>&1; then
+      report_data+=("${ns}|${pod}|${epoch_ms}|DELETED")
+    else
+      report_data+=("${ns}|${pod}|${epoch_ms}|DELETE_ERROR")
+    fi
+  fi
+}
+
+build_schedule
+log "Starting pod-killer | order=${ORDER} | interval=${SLEEP_SECONDS}s | jitter=${JITTER_SECONDS}s | kills=${#events[@]} | dry_run=${DRY_RUN}"
+
+for event in "${events[@]}"; do
+  IFS=$'\t' read -r at i k <<< "$event"
+  remaining=$(( at - SECONDS ))
+  if (( remaining > 0 )); then
+    log "Sleeping ${remaining}s before killing ${t_name[$i]}..."
+    sleep "$remaining"
+  fi
+
+  pick_one "$i" "$k"
+  if [[ -n "$picked" ]]; then
+    grace_period="$(value "${t_grace[$i]}")"
+    delete_pod "${t_ns[$i]}" "$picked" "${grace_period:-$GRACE_PERIOD_SECONDS}"
+  else
+    log "No matching pod found for ${t_name[$i]} in ${t_ns[$i]}. Skipping."
+  fi
+done
+
+if (( ${#events[@]} > 0 && SETTLE_SECONDS > 0 )); then
+  log "Waiting ${SETTLE_SECONDS}s after the last termination..."
+  sleep "$SETTLE_SECONDS"
+fi
+
+log "All done."
+
+# ----- FINAL REPORT (stdout only) -----
+echo "=========================================="
+echo "          TERMINATION REPORT (CSV)        "
+echo "=========================================="
+echo
+echo "Pod,Termination Time,Status"
+for entry in "${report_data[@]}"; do
+  IFS='|' read -r ns pod epoch status <<< "$entry"
+  echo "${pod},${epoch},${status}"
+done
+echo
+echo "Total pods processed: ${#report_data[@]}"